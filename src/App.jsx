@@ -1,4 +1,13 @@
-import React, { useMemo, useState, useEffect, useRef } from 'react';
+import React, { useMemo, useState, useEffect, useRef, useCallback } from 'react';
+import {
+  MODES, initialData, REGION_LEAD_TIME_DEFAULTS, MONTH_NAMES, clamp, fmt, pct, sum,
+  flowKey, parseFlowKey, isEligible, regionDCs, onTimeProb, calendarMonth, seasonFactor,
+  evaluateScenario, evaluateHorizon, horizonDemandTotals, runEngineTask, quantile, MC_METRICS,
+  DEFAULT_UNCERTAINTY, DEMAND_DISTRIBUTIONS, withUncertaintyDefaults, DISRUPTION_KINDS, DEFAULT_DISRUPTIONS,
+  SENSITIVITY_METRICS, DEFAULT_SENSITIVITY, sensitivityInputs, PARETO_AXES, survivalReport, TTS_CAP_DAYS, PACKAGING,
+  INVESTMENT_KINDS, DEFAULT_FINANCE, designState, REGION_RELEASE_DEFAULTS, LICENCE_STATUSES, isLicensed,
+  licenceMessage, licenceViolations, releaseTerms, LANDED_COST_STEPS, SURGE_USE_THRESHOLD
+} from './engine.js';
 
 /*
  * MMD Supply Chain Strategy Simulator – HPV vaccine demo
@@ -9,282 +18,12 @@ import React, { useMemo, useState, useEffect, useRef } from 'react';
  * sensitivity analysis. All numbers are synthetic.
  */
 
-// ------------ Core simulation logic (copied/adapted from previous MMD version) ------------
-const MODES = {
-  ground: { name: 'Ground', unitCostPerKm: 0.002, co2PerKm: 0.0005, baseRisk: 0.01, leadTime: 3 },
-  air:    { name: 'Air',    unitCostPerKm: 0.020, co2PerKm: 0.0100, baseRisk: 0.03, leadTime: 2 },
-  ocean:  { name: 'Ocean',  unitCostPerKm: 0.005, co2PerKm: 0.0020, baseRisk: 0.02, leadTime: 16 }
-};
-
-const initialData = {
-  products: [
-    { id: 'HPV_Gardasil9', name: 'HPV Vaccine (Gardasil® 9)', unit: 'doses', monthlyDemand: { US: 120000, EU: 80000 } }
-  ],
-  plants: [
-    { id: 'WEST_POINT_PA', name: 'West Point, PA – FF & Packaging', region: 'US', capacity: 180000, convCost: 3.6, uptime: 0.97, baseRisk: 0.015 },
-    { id: 'DURHAM_NC',     name: 'Durham, NC – Vaccine FF (new)',   region: 'US', capacity: 150000, convCost: 3.9, uptime: 0.95, baseRisk: 0.018 },
-    { id: 'CMO_EU',        name: 'EU CMO – Vaccine FF (contract)',  region: 'EU', capacity: 70000,  convCost: 4.5, uptime: 0.92, baseRisk: 0.024 }
-  ],
-  dcs: [
-    { id: 'US_DC_WP',  name: 'US DC – West Point, PA', region: 'US' },
-    { id: 'EU_DC_HEI', name: 'EU DC – Heist‑op‑den‑Berg, BE', region: 'EU' }
-  ],
-  lanes: {
-    'WEST_POINT_PA->US_DC_WP': 50,
-    'DURHAM_NC->US_DC_WP': 700,
-    'CMO_EU->EU_DC_HEI': 300,
-    'WEST_POINT_PA->EU_DC_HEI': 6200,
-    'DURHAM_NC->EU_DC_HEI': 6600
-  }
-};
-
-// Helper maths
-const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
-const fmt = (n, d = 0) => n?.toLocaleString(undefined, { maximumFractionDigits: d, minimumFractionDigits: d });
-const pct = x => `${(100 * x).toFixed(1)}%`;
-const sum = arr => arr.reduce((a, b) => a + b, 0);
-const rnd = (mean, sd) => mean + (gauss() * sd);
-function gauss() {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
-}
-
-/**
- * Evaluate a scenario (copied from earlier MMD logic).  Returns cost, service etc.
- */
-function evaluateScenario(state) {
-  const { products, plants, dcs, lanes, choices, levers } = state;
-  const demandUS = products[0].monthlyDemand.US;
-  const demandEU = products[0].monthlyDemand.EU;
-  const alloc = { ...choices.alloc };
-  const capUsed = {};
-  for (const key of Object.keys(alloc)) {
-    const [pId] = key.split('->');
-    const p = plants.find(x => x.id === pId);
-    capUsed[pId] = (capUsed[pId] || 0) + alloc[key];
-    if (capUsed[pId] > p.capacity) {
-      const over = capUsed[pId] - p.capacity;
-      alloc[key] = Math.max(0, alloc[key] - over);
-      capUsed[pId] = p.capacity;
-    }
-  }
-  const supplyByDC = { US_DC_WP: 0, EU_DC_HEI: 0 };
-  const plantUtil = {};
-  let convCost = 0, transportCost = 0, carbon = 0, riskScore = 0;
-  for (const key of Object.keys(alloc)) {
-    const vol = alloc[key];
-    if (vol <= 0) continue;
-    const [pId, dcId] = key.split('->');
-    const p = plants.find(x => x.id === pId);
-    const dc = dcs.find(x => x.id === dcId);
-    const km = lanes[`${pId}->${dcId}`] ?? 0;
-    const modeKey = choices.mode[`${pId}->${dcId}`] || 'ground';
-    const mode = MODES[modeKey];
-    plantUtil[pId] = (plantUtil[pId] || 0) + vol;
-    supplyByDC[dcId] += vol;
-    convCost += vol * p.convCost;
-    transportCost += vol * (mode.unitCostPerKm * km + levers.fuelSurcharge);
-    carbon += vol * (mode.co2PerKm * km);
-    const regionalRisk = dc.region === 'EU' ? 0.012 : 0.010;
-    riskScore += vol * (p.baseRisk + mode.baseRisk + regionalRisk) * (1 - p.uptime) * 100;
-  }
-  const shortageUS = Math.max(0, demandUS - supplyByDC.US_DC_WP);
-  const shortageEU = Math.max(0, demandEU - supplyByDC.EU_DC_HEI);
-  let overflowCost = 0, overflowCarbon = 0, overflowPenalty = 0;
-  let servedUS = supplyByDC.US_DC_WP;
-  let servedEU = supplyByDC.EU_DC_HEI;
-  const overflowEnabled = levers.overflow;
-  function fillOverflow(units) {
-    if (!overflowEnabled || units <= 0) return [0, 0, 0];
-    const c = units * 6.0;
-    const co2 = units * 0.5;
-    const pen = units * 0.15;
-    return [c, co2, pen];
-  }
-  if (shortageUS > 0) {
-    const [c, co2, pen] = fillOverflow(shortageUS);
-    overflowCost += c;
-    overflowCarbon += co2;
-    overflowPenalty += pen;
-    servedUS += shortageUS;
-  }
-  if (shortageEU > 0) {
-    const [c, co2, pen] = fillOverflow(shortageEU);
-    overflowCost += c;
-    overflowCarbon += co2;
-    overflowPenalty += pen;
-    servedEU += shortageEU;
-  }
-  const totalDemand = demandUS + demandEU;
-  const served = Math.min(servedUS, demandUS) + Math.min(servedEU, demandEU);
-  const rawService = served / totalDemand;
-  const otif = clamp(rawService - (overflowPenalty / totalDemand), 0, 1);
-  const cost = convCost + transportCost + overflowCost + (levers.carbonPrice * (carbon + overflowCarbon));
-  const riskWeighted = levers.riskWeight * riskScore * 1_000;
-  const objective = cost + riskWeighted;
-  return {
-    metrics: {
-      demand: totalDemand,
-      served,
-      otif,
-      cost,
-      convCost,
-      transportCost,
-      overflowCost,
-      carbon: carbon + overflowCarbon,
-      riskScore,
-      objective
-    },
-    plantUtil,
-    supplyByDC,
-    shortage: { US: shortageUS, EU: shortageEU }
-  };
-}
-
-/**
- * Optimizer from earlier MMD version.  Not used directly in UI but kept for completeness.
- */
-function optimize(state) {
-  const s = JSON.parse(JSON.stringify(state));
-  const target = s.levers.serviceTarget;
-  const demandUS = s.products[0].monthlyDemand.US;
-  const demandEU = s.products[0].monthlyDemand.EU;
-  s.choices.alloc = {};
-  s.choices.mode = {};
-  const allocFrom = (plantId, dcId, units, modeKey) => {
-    const k = `${plantId}->${dcId}`;
-    s.choices.alloc[k] = (s.choices.alloc[k] || 0) + units;
-    s.choices.mode[k] = modeKey;
-  };
-  let remainingUS = demandUS;
-  const usDC = 'US_DC_WP';
-  const usPlants = s.plants.filter(p => p.region === 'US').sort((a, b) => (s.lanes[`${a.id}->${usDC}`] || 0) - (s.lanes[`${b.id}->${usDC}`] || 0));
-  for (const p of usPlants) {
-    const avail = Math.max(0, p.capacity - (Object.values(s.choices.alloc).filter((_, k2) => k2.startsWith(`${p.id}->`)).reduce((a, b) => a + b, 0)));
-    const take = Math.min(avail, remainingUS);
-    if (take > 0) {
-      allocFrom(p.id, usDC, take, 'ground');
-      remainingUS -= take;
-    }
-  }
-  let remainingEU = demandEU;
-  const euDC = 'EU_DC_HEI';
-  const cmo = s.plants.find(p => p.id === 'CMO_EU');
-  if (cmo) {
-    const avail = cmo.capacity;
-    const take = Math.min(avail, remainingEU);
-    if (take > 0) {
-      allocFrom(cmo.id, euDC, take, 'ground');
-      remainingEU -= take;
-    }
-  }
-  for (const p of usPlants) {
-    if (remainingEU <= 0) break;
-    const key = `${p.id}->${euDC}`;
-    if (!s.lanes[key]) continue;
-    const avail = Math.max(0, p.capacity - (Object.values(s.choices.alloc).filter((_, k2) => k2.startsWith(`${p.id}->`)).reduce((a, b) => a + b, 0)));
-    const take = Math.min(avail, remainingEU);
-    if (take > 0) {
-      allocFrom(p.id, euDC, take, 'ocean');
-      remainingEU -= take;
-    }
-  }
-  let eval1 = evaluateScenario(s);
-  if (eval1.metrics.otif < target && remainingEU > 0) {
-    for (const p of usPlants) {
-      if (remainingEU <= 0) break;
-      const key = `${p.id}->${euDC}`;
-      if (!s.lanes[key]) continue;
-      const avail = Math.max(0, p.capacity - (Object.values(s.choices.alloc).filter((_, k2) => k2.startsWith(`${p.id}->`)).reduce((a, b) => a + b, 0)));
-      const take = Math.min(avail, remainingEU);
-      if (take > 0) {
-        allocFrom(p.id, euDC, take, 'air');
-        remainingEU -= take;
-      }
-    }
-  }
-  let best = s;
-  let bestEval = evaluateScenario(s);
-  if (bestEval.metrics.otif >= target) {
-    for (const key of Object.keys(best.choices.alloc)) {
-      if (!key.endsWith(`->${euDC}`)) continue;
-      const mode = best.choices.mode[key];
-      if (mode !== 'air') continue;
-      const original = best.choices.mode[key];
-      best.choices.mode[key] = 'ocean';
-      const e = evaluateScenario(best);
-      if (e.metrics.otif >= target && e.metrics.objective <= bestEval.metrics.objective) {
-        bestEval = e;
-      } else {
-        best.choices.mode[key] = original;
-      }
-    }
-  }
-  return best;
-}
-
-/**
- * Monte Carlo simulation (reused).
- */
-/**
- * Monte Carlo simulation.  Runs N random scenarios and returns summary
- * statistics.  Demand is perturbed by demandVol and plant capacity is
- * shocked by relShock (standard deviation).  Defaults: relShock=0.03.
- */
-function runMonteCarlo(state, N = 200, relShock = 0.03) {
-  const res = [];
-  for (let i = 0; i < N; i++) {
-    // Deep clone the state since we'll modify it
-    const s = JSON.parse(JSON.stringify(state));
-    const dv = s.levers.demandVol;
-    const muUS = s.products[0].monthlyDemand.US;
-    const muEU = s.products[0].monthlyDemand.EU;
-    // Perturb demand using a normal distribution with sd = demandVol * mean
-    s.products[0].monthlyDemand.US = Math.max(0, Math.round(rnd(muUS, muUS * dv)));
-    s.products[0].monthlyDemand.EU = Math.max(0, Math.round(rnd(muEU, muEU * dv)));
-    // Shock plant capacities based on reliability shock parameter
-    for (const p of s.plants) {
-      const shock = clamp(p.uptime + rnd(0, relShock), 0.80, 0.995);
-      p.capacity = Math.floor(p.capacity * shock);
-    }
-    // Evaluate the scenario and store metrics
-    res.push(evaluateScenario(s).metrics);
-  }
-  const otifs = res.map(x => x.otif);
-  const costs = res.map(x => x.cost);
-  const probHit = otifs.filter(x => x >= state.levers.serviceTarget).length / N;
-  const meanCost = sum(costs) / N;
-  const sorted = costs.slice().sort((a, b) => a - b);
-  const p90Cost = sorted[Math.floor(0.90 * N)];
-  return { probHit, meanCost, p90Cost, sample: res };
-}
-
-/**
- * Tornado sensitivity (reused).
- */
-function tornado(state) {
-  const base = evaluateScenario(state).metrics.objective;
-  const variants = [
-    ['Service Target +5pt', s => ({ ...s, levers: { ...s.levers, serviceTarget: clamp(s.levers.serviceTarget + 0.05, 0.8, 0.99) } })],
-    ['Service Target −5pt', s => ({ ...s, levers: { ...s.levers, serviceTarget: clamp(s.levers.serviceTarget - 0.05, 0.8, 0.99) } })],
-    ['Risk Weight +50%', s => ({ ...s, levers: { ...s.levers, riskWeight: s.levers.riskWeight * 1.5 } })],
-    ['Risk Weight −50%', s => ({ ...s, levers: { ...s.levers, riskWeight: s.levers.riskWeight * 0.5 } })],
-    ['Carbon Price +50%', s => ({ ...s, levers: { ...s.levers, carbonPrice: s.levers.carbonPrice * 1.5 } })],
-    ['Carbon Price −50%', s => ({ ...s, levers: { ...s.levers, carbonPrice: s.levers.carbonPrice * 0.5 } })],
-    ['Fuel Surcharge +$0.05', s => ({ ...s, levers: { ...s.levers, fuelSurcharge: s.levers.fuelSurcharge + 0.05 } })],
-    ['Fuel Surcharge −$0.05', s => ({ ...s, levers: { ...s.levers, fuelSurcharge: Math.max(0, s.levers.fuelSurcharge - 0.05) } })]
-  ];
-  const rows = variants.map(([name, fn]) => {
-    const s2 = fn(JSON.parse(JSON.stringify(state)));
-    const obj = evaluateScenario(s2).metrics.objective;
-    return { name, delta: obj - base };
-  }).sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
-  return { base, rows };
-}
+// Colours used to tell products apart in stacked bars and graph edges.
+const PRODUCT_COLORS = ['#00e0a4', '#4fc3f7', '#ffd166', '#c084fc', '#fb7185'];
 
 // ------------ Graph & UI primitives (adapted from P&C) ------------
+// A drag that moves the pointer a few pixels or less is a click, not a move.
+const DRAG_THRESHOLD = 3;
 function useDrag(position, onChange) {
   const ref = useRef(null);
   const baseRef = useRef({ x: position.x, y: position.y });
@@ -293,9 +32,11 @@ function useDrag(position, onChange) {
     const el = ref.current;
     if (!el) return;
     let dragging = false;
+    let moved = false;
     let startX = 0, startY = 0;
     const down = (e) => {
       dragging = true;
+      moved = false;
       startX = e.clientX;
       startY = e.clientY;
       el.setPointerCapture?.(e.pointerId);
@@ -305,11 +46,17 @@ function useDrag(position, onChange) {
       if (!dragging) return;
       const dx = e.clientX - startX;
       const dy = e.clientY - startY;
-      onChange({ x: baseRef.current.x + dx, y: baseRef.current.y + dy });
+      if (!moved && Math.hypot(dx, dy) <= DRAG_THRESHOLD) return;
+      moved = true;
+      onChange({ x: Math.round(baseRef.current.x + dx), y: Math.round(baseRef.current.y + dy) });
     };
+    // The click that ends a drag must not also select the node
+    const swallow = (e) => { e.stopPropagation(); };
     const up = (e) => {
+      if (!dragging) return;
       dragging = false;
       try { el.releasePointerCapture?.(e.pointerId); } catch {}
+      if (moved) el.addEventListener('click', swallow, { capture: true, once: true });
     };
     el.addEventListener('pointerdown', down);
     window.addEventListener('pointermove', move);
@@ -323,80 +70,410 @@ function useDrag(position, onChange) {
   return ref;
 }
 
-function Graph({ network, assignment, setAssignment, activeLruId, pendingSupplier, setPendingSupplier }) {
+// Graph view saved with scenarios: row or map layout, what colours the
+// edges, and the positions of nodes moved by hand in each layout.
+const GRAPH_LAYOUTS = [{ value: 'rows', label: 'Rows' }, { value: 'map', label: 'Map' }];
+const EDGE_COLORINGS = [{ value: 'product', label: 'Product' }, { value: 'utilisation', label: 'Utilisation' }, { value: 'risk', label: 'Risk' }];
+const DEFAULT_GRAPH_VIEW = { layout: 'rows', edgeColor: 'product', positions: { rows: {}, map: {} } };
+
+// Undo history: steps kept, and how long the state must stay unchanged before
+// it is recorded as a step
+const HISTORY_LIMIT = 100;
+const HISTORY_SETTLE_MS = 400;
+
+// Green below 70%, amber to 90%, red above (utilisation or a 0–1 risk share)
+function heatColor(x) {
+  if (!Number.isFinite(x)) return '#f43f5e';
+  return x < 0.7 ? '#22c55e' : x < 0.9 ? '#f59e0b' : '#f43f5e';
+}
+
+// Map layout: sites placed by latitude and longitude, each axis stretched to
+// fill the canvas.  Sites without coordinates keep their row position and
+// sites that would overlap are nudged down.  Returns the positions and the
+// degree grid to draw behind them.
+function mapLayout(nodes, rows, { width, height, nodeW, nodeH, pad = 40 }) {
+  const located = nodes.filter(n => Number.isFinite(n.lat) && Number.isFinite(n.lon));
+  if (located.length === 0) return { positions: rows, grid: [] };
+  const lats = located.map(n => n.lat);
+  const lons = located.map(n => n.lon);
+  const [latMin, latMax, lonMin, lonMax] = [Math.min(...lats), Math.max(...lats), Math.min(...lons), Math.max(...lons)];
+  const x = lon => pad + (lonMax > lonMin ? (lon - lonMin) / (lonMax - lonMin) : 0.5) * (width - nodeW - 2 * pad);
+  const y = lat => pad + (latMax > latMin ? (latMax - lat) / (latMax - latMin) : 0.5) * (height - nodeH - 2 * pad - 60);
+  const positions = { ...rows };
+  const placed = [];
+  for (const n of located.slice().sort((a, b) => b.lat - a.lat)) {
+    const pos = { x: Math.round(x(n.lon)), y: Math.round(y(n.lat)) };
+    while (placed.some(q => Math.abs(q.x - pos.x) < nodeW && Math.abs(q.y - pos.y) < nodeH + 4)) pos.y += nodeH + 8;
+    placed.push(pos);
+    positions[n.id] = pos;
+  }
+  const grid = [];
+  for (let lon = Math.ceil(lonMin / 10) * 10; lon <= lonMax; lon += 10) grid.push({ key: `lon${lon}`, x1: x(lon) + nodeW / 2, x2: x(lon) + nodeW / 2, y1: 0, y2: height - 30, label: `${Math.abs(lon)}°${lon < 0 ? 'W' : 'E'}` });
+  for (let lat = Math.ceil(latMin / 5) * 5; lat <= latMax; lat += 5) grid.push({ key: `lat${lat}`, x1: 0, x2: width, y1: y(lat) + nodeH / 2, y2: y(lat) + nodeH / 2, label: `${Math.abs(lat)}°${lat < 0 ? 'S' : 'N'}` });
+  return { positions, grid };
+}
+
+// A graph node that can be dragged to a new position.  `data-node` lets the
+// graph move keyboard focus between nodes.
+function GraphNode({ id, position, onMove, children, ...rest }) {
+  const onChange = useCallback(xy => onMove(id, xy), [id, onMove]);
+  const ref = useDrag(position, onChange);
+  return (
+    <g ref={ref} data-node={id} transform={`translate(${position.x},${position.y})`} {...rest}>{children}</g>
+  );
+}
+
+// What a graph node is, from the part of the network model it comes from.
+const NODE_ROLES = { plant: 'Plant', dc: 'DC', surge: 'Surge provider' };
+// Arrow keys: the direction they move focus (or, with Shift, the node)
+const ARROW_STEPS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+/**
+ * Supply network graph.  Plants, DCs and surge providers are told apart by
+ * the network model, not by their IDs.  Select a plant and then a DC to
+ * connect the active demand row through that lane; select an edge to change
+ * its mode, disconnect it or delete the lane from the network.
+ * Keyboard: Tab/arrow keys move between nodes, Enter or Space selects,
+ * Shift+arrows move the focused node, Delete disconnects the selected edge,
+ * and Escape cancels a selection; Ctrl+Z is the app-wide undo.
+ * `onEdit(update)` applies an assignment update;
+ * `onDeleteLane(lane)` removes a plant->dc lane from the network model.
+ */
+function Graph({ network, assignment, onEdit, onDeleteLane, activeLruId, pendingSupplier, setPendingSupplier, productFilter, onNotice, surgeUsed = {}, flows = {}, utilisation = {}, view = DEFAULT_GRAPH_VIEW, onViewChange }) {
   const width = 1000;
   const height = 520;
   const nodeW = 140;
   const nodeH = 36;
-  const [positions, setPositions] = useState(() => {
+  const svgRef = useRef(null);
+  // Row layout recomputed as the network is edited; moved nodes keep their position
+  const rowLayout = useMemo(() => {
     const p = {};
     const xGap = network.assemblySites.length > 0 ? 220 : 300;
     network.suppliers.forEach((s, i) => { p[s.id] = { x: 40 + i * xGap, y: 40 }; });
     network.assemblySites.forEach((a, i) => { p[a.id] = { x: 150 + i * xGap, y: 240 }; });
     network.dcs.forEach((d, i) => { p[d.id] = { x: 200 + i * xGap, y: 420 }; });
+    network.overflowProviders.forEach((o, i) => { p[o.id] = { x: 150 + i * xGap, y: 420 }; });
     return p;
+  }, [network]);
+  const { layout, grid } = useMemo(() => {
+    if (view.layout !== 'map') return { layout: rowLayout, grid: [] };
+    const sites = [...network.suppliers, ...network.assemblySites];
+    const { positions, grid: lines } = mapLayout(sites, rowLayout, { width, height, nodeW, nodeH });
+    // Surge providers sit beside their region's DCs, towards the middle of the map
+    network.overflowProviders.forEach((o) => {
+      const anchors = network.assemblySites.filter(a => a.region.id === o.region).map(a => positions[a.id]);
+      if (anchors.length === 0) return;
+      const x = sum(anchors.map(a => a.x)) / anchors.length;
+      const y = sum(anchors.map(a => a.y)) / anchors.length;
+      positions[o.id] = { x: Math.round(x < width / 2 ? x + nodeW + 30 : x - nodeW - 30), y: Math.round(y) };
+    });
+    return { layout: positions, grid: lines };
+  }, [network, rowLayout, view.layout]);
+  // Every node with its role; the DC roles include the P&C final-DC row
+  const nodes = useMemo(() => [
+    ...network.suppliers.map(n => ({ ...n, role: 'plant' })),
+    ...network.assemblySites.map(n => ({ ...n, role: 'dc' })),
+    ...network.dcs.map(n => ({ ...n, role: 'dc' })),
+    ...network.overflowProviders.map(n => ({ ...n, role: 'surge' }))
+  ], [network]);
+  const moved = view.positions?.[view.layout] || {};
+  const moveNode = useCallback((id, xy) => {
+    onViewChange?.(v => ({ ...v, positions: { ...v.positions, [v.layout]: { ...v.positions?.[v.layout], [id]: xy } } }));
+  }, [onViewChange]);
+  const [hover, setHover] = useState(null);
+  // Selected edge as `${lruId}:${legIdx}`
+  const [selectedEdge, setSelectedEdge] = useState(null);
+  function positionOf(id) { return moved[id] || layout[id]; }
+  function centerOf(id) { const p = positionOf(id); return { cx: (p?.x || 0) + nodeW / 2, cy: (p?.y || 0) + nodeH / 2 }; }
+  const productIds = [...new Set(network.lrus.map(l => l.productId))];
+  const activeLru = network.lrus.find(l => l.id === activeLruId);
+  const laneCount = {};
+  const edges = network.lrus
+    .filter((lru) => !productFilter || lru.productId === productFilter)
+    .flatMap((lru) => legsOf(assignment[lru.id]).map((leg, legIdx, legs) => {
+      const lane = `${leg.supplierId}->${leg.assemblyId}`;
+      // Several products (or split legs) can share a lane; stagger their tags along the edge
+      const slot = laneCount[lane] = (laneCount[lane] ?? -1) + 1;
+      const color = PRODUCT_COLORS[productIds.indexOf(lru.productId) % PRODUCT_COLORS.length];
+      const tag = legs.length > 1 ? `${lru.tag} ${Math.round(leg.share * 100)}%` : lru.tag;
+      const flow = flows[flowKey(lru.productId, leg.supplierId, leg.assemblyId, leg.mode)];
+      // A lane is as stretched as the busier of its two ends
+      const util = Math.max(utilisation[leg.supplierId] ?? 0, utilisation[leg.assemblyId] ?? 0);
+      return { id: `${lru.id}:${legIdx}`, lruId: lru.id, lruName: lru.name, legIdx, tag, lane, from: leg.supplierId, to: leg.assemblyId, mode: leg.mode, slot, color, flow, util };
+    }));
+  // A selection that no longer exists (e.g. after an undo) is dropped
+  const selected = edges.find(e => e.id === selectedEdge) || null;
+  const nameOf = id => nodes.find(n => n.id === id)?.name ?? id;
+
+  // Step to the lane's next allowed mode
+  function cycleMode(e) {
+    const allowed = Object.keys(MODES).filter(m => network.laneModes[e.lane]?.includes(m));
+    if (allowed.length === 0 || (allowed.length === 1 && allowed[0] === e.mode)) {
+      onNotice?.(`${e.lane} allows no other mode`);
+      return;
+    }
+    const nextMode = allowed[(allowed.indexOf(e.mode) + 1) % allowed.length];
+    onEdit((prev) => {
+      const legs = legsOf(prev[e.lruId]);
+      return { ...prev, [e.lruId]: legs.map((leg, i) => (i === e.legIdx ? { ...leg, mode: nextMode } : leg)) };
+    });
+    onNotice?.(`${e.lruName}: ${e.lane} now by ${nextMode}`);
+  }
+  // Disconnecting a leg leaves the other legs' shares as they were
+  function disconnect(e) {
+    onEdit(prev => ({ ...prev, [e.lruId]: legsOf(prev[e.lruId]).filter((_, i) => i !== e.legIdx) }));
+    setSelectedEdge(null);
+    onNotice?.(`${e.lruName} disconnected from ${e.lane}`);
+  }
+  function deleteLane(e) {
+    onDeleteLane?.(e.lane);
+    setSelectedEdge(null);
+    onNotice?.(`Lane ${e.lane} deleted from the network`);
+  }
+  function cancel() {
+    if (pendingSupplier) {
+      setPendingSupplier(null);
+      onNotice?.('Selection cancelled');
+    }
+    setSelectedEdge(null);
+  }
+  function activate(n) {
+    if (n.role === 'plant') {
+      setSelectedEdge(null);
+      if (pendingSupplier === n.id) {
+        cancel();
+        return;
+      }
+      setPendingSupplier(n.id);
+      onNotice?.(`${n.name} selected; now choose a DC for ${activeLru?.name ?? 'the active demand'}`);
+      return;
+    }
+    if (n.role === 'surge') {
+      onNotice?.(`${n.name} fills ${n.region} shortages automatically while surge is allowed`);
+      return;
+    }
+    if (!pendingSupplier) {
+      onNotice?.(`Select a plant first, then ${n.name}`);
+      return;
+    }
+    const sId = pendingSupplier;
+    setPendingSupplier(null);
+    // The DC must serve the active demand row's market
+    if (activeLru && n.region?.id !== activeLru.region) {
+      onNotice?.(`${n.name} does not serve ${activeLru.region}; ${activeLru.name} was not connected`);
+      return;
+    }
+    // Only plants qualified for the active product can take its demand
+    const product = network.products.find(p => p.id === activeLru?.productId);
+    if (product && !product.eligiblePlants.includes(sId)) {
+      onNotice?.(`${nameOf(sId)} is not qualified for ${product.code}`);
+      return;
+    }
+    // A plant can only supply markets it is licensed for; pending
+    // approvals connect but ship only once they take effect
+    const supplier = network.suppliers.find(x => x.id === sId);
+    const market = n.region?.id;
+    let notice = `${activeLru?.name} connected: ${nameOf(sId)} → ${n.name}`;
+    if (!isLicensed(supplier, market, 0)) {
+      if (!isLicensed(supplier, market)) {
+        onNotice?.(licenceMessage(supplier, market));
+        return;
+      }
+      notice = `${licenceMessage(supplier, market)}; earlier months ship nothing`;
+    }
+    // Connecting replaces any optimizer split with a single lane
+    onEdit(prev => ({
+      ...prev,
+      [activeLruId]: [{ supplierId: sId, assemblyId: n.id, mode: legsOf(prev[activeLruId])[0]?.mode || 'ground', share: 1 }]
+    }));
+    onNotice?.(notice);
+  }
+  // Nearest node in an arrow's direction, favouring ones straight ahead
+  function neighbour(id, [dx, dy]) {
+    const a = centerOf(id);
+    let best = null;
+    let bestScore = Infinity;
+    for (const n of nodes) {
+      if (n.id === id) continue;
+      const b = centerOf(n.id);
+      const along = (b.cx - a.cx) * dx + (b.cy - a.cy) * dy;
+      if (along <= 0) continue;
+      const across = Math.abs((b.cx - a.cx) * dy) + Math.abs((b.cy - a.cy) * dx);
+      const score = along + 2 * across;
+      if (score < bestScore) { bestScore = score; best = n.id; }
+    }
+    return best;
+  }
+  function focusNode(id) {
+    svgRef.current?.querySelector(`[data-node="${id}"]`)?.focus();
+  }
+  function nodeKeyDown(ev, n) {
+    const step = ARROW_STEPS[ev.key];
+    if (ev.key === 'Enter' || ev.key === ' ') {
+      ev.preventDefault();
+      activate(n);
+    } else if (step && ev.shiftKey) {
+      ev.preventDefault();
+      const pos = positionOf(n.id) || { x: 0, y: 0 };
+      moveNode(n.id, { x: pos.x + step[0] * 10, y: pos.y + step[1] * 10 });
+    } else if (step) {
+      ev.preventDefault();
+      const next = neighbour(n.id, step);
+      if (next) focusNode(next);
+    }
+  }
+  function edgeKeyDown(ev, e) {
+    if (ev.key === 'Enter' || ev.key === ' ') {
+      ev.preventDefault();
+      cycleMode(e);
+    } else if (ev.key === 'Delete' || ev.key === 'Backspace') {
+      ev.preventDefault();
+      disconnect(e);
+    }
+  }
+  function svgKeyDown(ev) {
+    if (ev.key === 'Escape') cancel();
+  }
+  // Escape cancels a pending selection wherever the focus is
+  useEffect(() => {
+    if (!pendingSupplier && !selectedEdge) return undefined;
+    const onKey = (ev) => { if (ev.key === 'Escape') cancel(); };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
   });
-  function setPos(id, xy) { setPositions((prev) => ({ ...prev, [id]: xy })); }
-  function centerOf(id) { const p = positions[id]; return { cx: (p?.x || 0) + nodeW / 2, cy: (p?.y || 0) + nodeH / 2 }; }
-  const edges = Object.entries(assignment).map(([lruId, pick]) => ({ lruId, from: pick.supplierId, to: pick.assemblyId, mode: pick.mode }));
+
   const modeStyle = { air: { dash: '0', width: 3 }, ground: { dash: '6 6', width: 2.5 }, ocean: { dash: '2 6', width: 2 } };
+  // Edge width follows the doses shipped, relative to the busiest edge
+  const maxUnits = Math.max(0, ...edges.map(e => e.flow?.units || 0));
+  const maxRisk = Math.max(0, ...edges.map(e => e.flow?.risk || 0));
+  const edgeColor = (e) => {
+    if (view.edgeColor === 'utilisation') return heatColor(e.util);
+    if (view.edgeColor === 'risk') return heatColor(maxRisk > 0 ? (e.flow?.risk || 0) / maxRisk : 0);
+    return productFilter ? '#94a3b8' : e.color;
+  };
+  // Surge providers feed the DCs of their region; tagged with this period's fill
+  const surgeEdges = network.overflowProviders.flatMap(o => network.assemblySites
+    .filter(a => a.region.id === o.region)
+    .map(a => ({ from: o.id, to: a.id, used: surgeUsed[o.id] || 0 })));
+  const detailed = edges.find(e => e.id === hover) || selected;
+  const edgeLabel = e => `${e.lruName} via ${nameOf(e.from)} to ${nameOf(e.to)} by ${e.mode}${e.flow ? `, ${fmt(e.flow.units)} doses` : ''}. Enter changes mode, Delete disconnects`;
   return (
-    <svg width={width} height={height} style={{ background: 'transparent' }}>
+    <svg ref={svgRef} width={width} height={height} style={{ background: 'transparent' }} role="group" aria-label="Supply network graph" onKeyDown={svgKeyDown}>
+      <desc>Plants, DCs and surge providers with the lanes carrying each demand row. Use Tab or the arrow keys to move between nodes and Enter to select; select a plant, then a DC, to connect the active demand.</desc>
+      {/* map grid */}
+      {grid.map((g) => (
+        <g key={g.key} aria-hidden="true">
+          <line x1={g.x1} y1={g.y1} x2={g.x2} y2={g.y2} stroke="#1e293b" strokeWidth="1" />
+          <text x={g.x1 === g.x2 ? g.x1 + 3 : 4} y={g.y1 === g.y2 ? g.y1 - 3 : 12} fontSize="9" fill="#334155">{g.label}</text>
+        </g>
+      ))}
+      {/* surge edges */}
+      {surgeEdges.map((e) => {
+        const a = centerOf(e.from);
+        const b = centerOf(e.to);
+        return (
+          <g key={`${e.from}->${e.to}`} aria-hidden="true">
+            <line x1={a.cx} y1={a.cy} x2={b.cx} y2={b.cy} stroke={e.used > SURGE_USE_THRESHOLD ? '#f59e0b' : '#475569'} strokeWidth={e.used > SURGE_USE_THRESHOLD ? 2 : 1} strokeDasharray="3 4" />
+            {e.used > SURGE_USE_THRESHOLD && (
+              <text x={(a.cx + b.cx) / 2} y={(a.cy + b.cy) / 2} fontSize="10" fill="#f59e0b" textAnchor="middle">surge {fmt(e.used)}</text>
+            )}
+          </g>
+        );
+      })}
       {/* edges */}
-      {edges.map((e, idx) => {
+      {edges.map((e) => {
         const a = centerOf(e.from);
         const b = centerOf(e.to);
-        const midX = (a.cx + b.cx) / 2;
-        const midY = (a.cy + b.cy) / 2;
+        const t = 0.5 + (e.slot % 2 ? -1 : 1) * Math.ceil(e.slot / 2) * 0.12;
+        const midX = a.cx + (b.cx - a.cx) * t;
+        const midY = a.cy + (b.cy - a.cy) * t;
         const dash = modeStyle[e.mode].dash;
-        const strokeWidth = modeStyle[e.mode].width;
+        const strokeWidth = maxUnits > 0 ? 1.5 + 8 * (e.flow?.units || 0) / maxUnits : modeStyle[e.mode].width;
+        const stroke = edgeColor(e);
+        const isSelected = selected?.id === e.id;
         return (
-          <g key={idx}>
-            <line x1={a.cx} y1={a.cy} x2={b.cx} y2={b.cy} stroke="#94a3b8" strokeWidth={strokeWidth} strokeDasharray={dash} />
-            <rect x={midX - 30} y={midY - 12} width={60} height={20} fill="#0f172a" stroke="#475569" strokeWidth="1" rx="4"
-              onClick={() => {
-                setAssignment((prev) => {
-                  const cur = prev[e.lruId];
-                  const nextMode = cur.mode === 'air' ? 'ground' : cur.mode === 'ground' ? 'ocean' : 'air';
-                  return { ...prev, [e.lruId]: { ...cur, mode: nextMode } };
-                });
-              }}
-              style={{ cursor: 'pointer' }}
-            />
-            <text x={midX} y={midY + 3} fontSize="10" fill="#e2e8f0" textAnchor="middle">{e.lruId}•{e.mode}</text>
+          <g key={e.id} onMouseEnter={() => setHover(e.id)} onMouseLeave={() => setHover(h => (h === e.id ? null : h))}>
+            <line x1={a.cx} y1={a.cy} x2={b.cx} y2={b.cy} stroke={stroke} strokeWidth={strokeWidth} strokeDasharray={dash} strokeOpacity={hover === e.id || isSelected ? 1 : 0.85}
+              onClick={() => setSelectedEdge(isSelected ? null : e.id)} style={{ cursor: 'pointer' }} />
+            <g role="button" tabIndex={0} aria-label={edgeLabel(e)} aria-pressed={isSelected}
+              onClick={() => { setSelectedEdge(e.id); cycleMode(e); }}
+              onFocus={() => setSelectedEdge(e.id)}
+              onKeyDown={(ev) => edgeKeyDown(ev, e)}
+              style={{ cursor: 'pointer', outline: 'none' }}>
+              <rect x={midX - 48} y={midY - 12} width={96} height={20} fill="#0f172a" stroke={isSelected ? '#00f5c4' : stroke} strokeWidth={isSelected ? 2 : 1} rx="4" />
+              <text x={midX} y={midY + 3} fontSize="10" fill="#e2e8f0" textAnchor="middle" pointerEvents="none">{e.tag}•{e.mode}</text>
+            </g>
+            {isSelected && (
+              <g transform={`translate(${midX + 52},${midY - 12})`}>
+                <g role="button" tabIndex={0} aria-label={`Disconnect ${e.lruName} from ${e.lane}`} style={{ cursor: 'pointer' }}
+                  onClick={() => disconnect(e)} onKeyDown={(ev) => { if (ev.key === 'Enter' || ev.key === ' ') { ev.preventDefault(); disconnect(e); } }}>
+                  <rect width={20} height={20} fill="#0f172a" stroke="#fb7185" rx="4" />
+                  <text x={10} y={14} fontSize="11" fill="#fb7185" textAnchor="middle">✕</text>
+                  <title>Disconnect this demand from the lane</title>
+                </g>
+                {onDeleteLane && (
+                  <g role="button" tabIndex={0} aria-label={`Delete lane ${e.lane} from the network`} transform="translate(24,0)" style={{ cursor: 'pointer' }}
+                    onClick={() => deleteLane(e)} onKeyDown={(ev) => { if (ev.key === 'Enter' || ev.key === ' ') { ev.preventDefault(); deleteLane(e); } }}>
+                    <rect width={68} height={20} fill="#0f172a" stroke="#fb7185" rx="4" />
+                    <text x={34} y={14} fontSize="10" fill="#fb7185" textAnchor="middle">delete lane</text>
+                  </g>
+                )}
+              </g>
+            )}
           </g>
         );
       })}
       {/* nodes */}
-      {[...network.suppliers, ...network.assemblySites, ...network.dcs].map((n) => {
-        const pos = positions[n.id] || { x: 0, y: 0 };
+      {nodes.map((n) => {
+        const pos = positionOf(n.id) || { x: 0, y: 0 };
+        const isPending = pendingSupplier === n.id;
+        const full = n.role === 'surge' && n.capacity != null && (surgeUsed[n.id] || 0) >= n.capacity - 0.5;
+        // A DC is a valid target while a plant is selected and it serves the active market
+        const target = n.role === 'dc' && pendingSupplier && n.region?.id === activeLru?.region;
+        const label = n.role === 'surge'
+          ? `${NODE_ROLES.surge} ${n.name}: ${n.capacity == null ? 'unlimited' : `${fmt(n.capacity)} doses a month`}, from month ${n.activationMonths}`
+          : `${NODE_ROLES[n.role]} ${n.name}, ${n.region?.id}${isPending ? ', selected' : ''}${target ? ', press Enter to connect' : ''}`;
         return (
-          <g key={n.id} transform={`translate(${pos.x},${pos.y})`} style={{ cursor: 'pointer' }}
-            onClick={() => {
-              if (n.id.startsWith('WEST') || n.id.startsWith('DURHAM') || n.id.startsWith('CMO')) {
-                // treat as supplier
-                setPendingSupplier(n.id);
-              }
-              // If assembly/dc clicked after a supplier is pending, assign to that LRU
-              if ((n.id.startsWith('US_DC') || n.id.startsWith('EU_DC')) && pendingSupplier) {
-                const sId = pendingSupplier;
-                const aId = n.id;
-                setAssignment((prev) => ({
-                  ...prev,
-                  [activeLruId]: { ...prev[activeLruId], supplierId: sId, assemblyId: aId }
-                }));
-                setPendingSupplier(null);
-              }
-            }}>
-            <rect width={nodeW} height={nodeH} fill="#0f172a" stroke="#475569" strokeWidth="1" rx="6" />
+          <GraphNode key={n.id} id={n.id} position={pos} onMove={moveNode} style={{ cursor: n.role === 'surge' ? 'move' : 'pointer', outline: 'none' }}
+            role="button" tabIndex={0} aria-label={label} aria-pressed={n.role === 'plant' ? isPending : undefined}
+            onClick={() => activate(n)} onKeyDown={(ev) => nodeKeyDown(ev, n)}
+            className="graph-node">
+            {n.role === 'surge' && <title>{label}</title>}
+            <rect width={nodeW} height={nodeH} fill="#0f172a" rx="6"
+              stroke={n.role === 'surge' ? (full ? '#f43f5e' : '#f59e0b') : target ? '#00f5c4' : '#475569'}
+              strokeWidth="1" strokeDasharray={n.role === 'surge' ? '4 3' : target ? '3 2' : undefined} />
             <text x={nodeW/2} y={nodeH/2 + 4} fontSize="10" fill="#e2e8f0" textAnchor="middle">{n.name}</text>
-            {pendingSupplier && n.id === pendingSupplier && (
+            {isPending && (
               <rect width={nodeW} height={nodeH} fill="rgba(0,255,255,0.1)" stroke="#00f5c4" strokeWidth="2" rx="6" />
             )}
-          </g>
+            <rect className="focus-ring" x={-3} y={-3} width={nodeW + 6} height={nodeH + 6} fill="none" stroke="#38bdf8" strokeWidth="2" rx="8" />
+          </GraphNode>
         );
       })}
-      <text x={20} y={height - 10} fontSize="10" fill="#6b7280">Click supplier then DC to connect • Click edge tag to change mode</text>
+      {/* hovered or selected edge details */}
+      {detailed && (() => {
+        const a = centerOf(detailed.from);
+        const b = centerOf(detailed.to);
+        const f = detailed.flow;
+        const lines = [
+          `${detailed.lane} • ${detailed.mode}`,
+          f ? `${fmt(f.km)} km • ${f.leadDays} d lead time` : 'No doses shipped',
+          ...(f ? [
+            `${fmt(f.units)} doses • $${f.unitCost.toFixed(2)}/dose landed`,
+            `CO₂ ${fmt(f.carbon)} kg • risk ${f.risk.toFixed(2)}/dose`
+          ] : []),
+          `Utilisation ${Number.isFinite(detailed.util) ? pct(detailed.util) : 'closed'}`
+        ];
+        const x = Math.min(width - 230, Math.max(0, (a.cx + b.cx) / 2 + 12));
+        const y = Math.min(height - 20 - lines.length * 14, Math.max(0, (a.cy + b.cy) / 2 + 14));
+        return (
+          <g transform={`translate(${x},${y})`} pointerEvents="none" aria-hidden="true">
+            <rect width={220} height={lines.length * 14 + 8} fill="#020617" stroke="#475569" rx="4" />
+            {lines.map((line, i) => (<text key={i} x={8} y={16 + i * 14} fontSize="10" fill={i === 0 ? '#e2e8f0' : '#94a3b8'}>{line}</text>))}
+          </g>
+        );
+      })()}
+      <text x={20} y={height - 10} fontSize="10" fill="#6b7280" aria-hidden="true">Select a plant then a DC to connect • Click an edge to disconnect or delete its lane • Click its tag to change mode • Drag nodes to move them • Edge width = doses shipped</text>
     </svg>
   );
 }
@@ -411,77 +488,2429 @@ function Panel({ title, subtitle, children }) {
     </div>
   );
 }
-function Label({ children }) { return <div className="text-slate-400 text-xs mb-1">{children}</div>; }
-function KPI({ label, value }) {
-  return (
-    <div className="bg-slate-800 border border-slate-700 rounded-lg p-2 flex flex-col gap-1 min-w-[150px]">
-      <div className="text-slate-500 text-xs">{label}</div>
-      <div className="text-slate-200 text-lg font-semibold">{value}</div>
-    </div>
-  );
+function Label({ children }) { return <div className="text-slate-400 text-xs mb-1">{children}</div>; }
+function KPI({ label, value }) {
+  return (
+    <div className="bg-slate-800 border border-slate-700 rounded-lg p-2 flex flex-col gap-1 min-w-[150px]">
+      <div className="text-slate-500 text-xs">{label}</div>
+      <div className="text-slate-200 text-lg font-semibold">{value}</div>
+    </div>
+  );
+}
+function Select({ value, onChange, options }) {
+  return (
+    <select value={value} onChange={onChange} className="w-full bg-slate-800 border border-slate-700 text-slate-200 text-sm rounded-md p-1">
+      {options.map((o) => (<option key={o.id ?? o.value} value={o.id ?? o.value}>{o.name || o.label}</option>))}
+    </select>
+  );
+}
+function Range({ label, min, max, step, value, onChange }) {
+  return (
+    <div className="flex flex-col mb-2">
+      <div className="flex justify-between text-xs text-slate-400">
+        <span>{label}</span>
+        <span>{typeof value === 'number' ? value.toFixed(2) : value}</span>
+      </div>
+      <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} className="w-full accent-indigo-500" />
+    </div>
+  );
+}
+
+/**
+ * Runs engine tasks (Monte Carlo, sensitivity, optimizer) in a Web Worker,
+ * one at a time.  `run(task, args, onProgress)` resolves with the result, or
+ * with null if the task was cancelled or failed (in the task or in the
+ * worker itself); `job` holds the running task and its latest progress,
+ * `error` the last failure.  `cancel()` terminates the worker; the next task
+ * starts a fresh one.  Without Worker support (e.g. server rendering) tasks
+ * run inline.
+ */
+function useEngine() {
+  const workerRef = useRef(null);
+  const jobRef = useRef(null);
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  useEffect(() => () => workerRef.current?.terminate(), []);
+  function finish(result) {
+    const current = jobRef.current;
+    jobRef.current = null;
+    setJob(null);
+    current?.resolve(result);
+  }
+  function cancel() {
+    if (!jobRef.current) return;
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    finish(null);
+  }
+  function run(task, args, onProgress) {
+    cancel();
+    setError(null);
+    return new Promise((resolve) => {
+      const id = `${task}-${Date.now()}`;
+      jobRef.current = { id, task, resolve, onProgress };
+      setJob({ id, task, progress: null });
+      if (typeof Worker === 'undefined') {
+        try {
+          finish(runEngineTask(task, args, p => onProgress?.(p)));
+        } catch (e) {
+          setError({ task, message: e.message });
+          finish(null);
+        }
+        return;
+      }
+      if (!workerRef.current) {
+        workerRef.current = new Worker(new URL('./engine.worker.js', import.meta.url), { type: 'module' });
+        workerRef.current.onmessage = (e) => {
+          const msg = e.data;
+          const current = jobRef.current;
+          if (!current || msg.id !== current.id) return;
+          if (msg.type === 'progress') {
+            setJob({ id: current.id, task: current.task, progress: msg });
+            current.onProgress?.(msg);
+          } else if (msg.type === 'error') {
+            setError({ task: current.task, message: msg.message });
+            finish(null);
+          } else {
+            finish(msg.result);
+          }
+        };
+        // A worker that fails to load or throws outside a task, or a reply
+        // that cannot be read, fails the running task; the next starts afresh
+        const fail = (message) => {
+          workerRef.current?.terminate();
+          workerRef.current = null;
+          if (!jobRef.current) return;
+          setError({ task: jobRef.current.task, message });
+          finish(null);
+        };
+        workerRef.current.onerror = (e) => {
+          e.preventDefault();
+          fail(e.message || 'The engine worker stopped unexpectedly');
+        };
+        workerRef.current.onmessageerror = () => fail('The engine worker sent a result that could not be read');
+      }
+      workerRef.current.postMessage({ id, task, args });
+    });
+  }
+  return { job, error, run, cancel };
+}
+
+// Progress bar and Cancel button for an engine task while it runs; the
+// error message if it failed.
+function JobProgress({ engine, task, className = '' }) {
+  const { job, error } = engine;
+  if (error?.task === task) return <div className={`text-xs text-rose-400 ${className}`}>Failed: {error.message}</div>;
+  if (job?.task !== task) return null;
+  const p = job.progress;
+  const frac = p?.total ? p.done / p.total : null;
+  return (
+    <div className={`flex items-center gap-2 text-xs ${className}`}>
+      <div className="flex-1 bar"><span style={{ width: `${frac == null ? 100 : frac * 100}%`, opacity: frac == null ? 0.4 : 1 }} /></div>
+      <span className="text-slate-400">{frac != null ? `${p.done}/${p.total}` : p ? `phase ${p.phase} • ${fmt(p.iterations)} pivots` : 'starting…'}</span>
+      <button className="btn ghost" onClick={engine.cancel}>Cancel</button>
+    </div>
+  );
+}
+
+// End-of-month DC inventory per period, stacked by product (all regions).
+function InventoryChart({ periods, products }) {
+  const W = 600, H = 140, pad = 24;
+  const totals = periods.map(p => sum(products.map(prod => sum(Object.values(p.inventory[prod.id] || {})))));
+  const max = Math.max(1, ...totals);
+  const bw = (W - pad) / Math.max(1, periods.length);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      <line x1={pad} y1={H - 16} x2={W} y2={H - 16} stroke="#334155" />
+      <text x={0} y={10} fill="#94a3b8" fontSize="9">{fmt(max)}</text>
+      {periods.map((p, k) => {
+        let y = H - 16;
+        return (
+          <g key={p.t}>
+            {products.map((prod) => {
+              const units = sum(Object.values(p.inventory[prod.id] || {}));
+              const h = units / max * (H - 30);
+              y -= h;
+              return (
+                <rect key={prod.id} x={pad + k * bw + 2} y={y} width={Math.max(1, bw - 4)} height={h} fill={prod.color}>
+                  <title>{`${p.label} ${prod.code}: ${Object.entries(p.inventory[prod.id] || {}).map(([r, u]) => `${r} ${fmt(u)}`).join(', ')}`}</title>
+                </rect>
+              );
+            })}
+            <text x={pad + k * bw + bw / 2} y={H - 4} fill="#94a3b8" fontSize="9" textAnchor="middle">{p.label.slice(0, 3)}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Monte Carlo metrics: label and value formatter.
+const MC_METRIC_INFO = {
+  cost: { label: 'Horizon cost', format: v => `$${fmt(v / 1e6, 2)}M` },
+  otif: { label: 'Service (OTIF)', format: pct },
+  carbon: { label: 'Carbon (kg)', format: v => fmt(v, 0) },
+  riskScore: { label: 'Risk index', format: v => fmt(v, 0) }
+};
+
+// Histogram of sample values; `marker` draws a reference line (e.g. target).
+function Histogram({ values, format, marker, bins = 20 }) {
+  const W = 300, H = 130, pad = 16;
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const width = (hi - lo) / bins || 1;
+  const counts = Array(bins).fill(0);
+  values.forEach((v) => { counts[Math.min(bins - 1, Math.floor((v - lo) / width))] += 1; });
+  const max = Math.max(1, ...counts);
+  const bw = (W - 2 * pad) / bins;
+  const xOf = v => pad + (hi > lo ? (v - lo) / (hi - lo) : 0.5) * (W - 2 * pad);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      {counts.map((c, k) => (
+        <rect key={k} x={pad + k * bw + 1} y={H - pad - c / max * (H - 2 * pad)} width={Math.max(1, bw - 2)} height={c / max * (H - 2 * pad)} fill="#6366f1">
+          <title>{`${format(lo + k * width)} – ${format(lo + (k + 1) * width)}: ${c}`}</title>
+        </rect>
+      ))}
+      {marker != null && marker >= lo && marker <= hi && <line x1={xOf(marker)} x2={xOf(marker)} y1={pad / 2} y2={H - pad} stroke="#f43f5e" strokeDasharray="3 2" />}
+      <line x1={pad} x2={W - pad} y1={H - pad} y2={H - pad} stroke="#334155" />
+      <text x={pad} y={H - 3} fill="#94a3b8" fontSize="9">{format(lo)}</text>
+      <text x={W - pad} y={H - 3} fill="#94a3b8" fontSize="9" textAnchor="end">{format(hi)}</text>
+    </svg>
+  );
+}
+
+// Empirical CDF of sample values.
+function CdfChart({ values, format, marker }) {
+  const W = 300, H = 130, pad = 16;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const lo = sorted[0], hi = sorted[sorted.length - 1];
+  const xOf = v => pad + (hi > lo ? (v - lo) / (hi - lo) : 0.5) * (W - 2 * pad);
+  const yOf = q => H - pad - q * (H - 2 * pad);
+  const pts = sorted.map((v, k) => `${xOf(v)},${yOf((k + 1) / sorted.length)}`).join(' ');
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      {[0.5, 0.9].map(q => (
+        <g key={q}>
+          <line x1={pad} x2={W - pad} y1={yOf(q)} y2={yOf(q)} stroke="#1e293b" />
+          <text x={W - pad} y={yOf(q) - 2} fill="#64748b" fontSize="8" textAnchor="end">{`P${q * 100} ${format(quantile(sorted, q))}`}</text>
+        </g>
+      ))}
+      <polyline points={`${xOf(lo)},${yOf(0)} ${pts}`} fill="none" stroke="#4fc3f7" strokeWidth="1.5" />
+      {marker != null && marker >= lo && marker <= hi && <line x1={xOf(marker)} x2={xOf(marker)} y1={pad / 2} y2={H - pad} stroke="#f43f5e" strokeDasharray="3 2" />}
+      <line x1={pad} x2={W - pad} y1={H - pad} y2={H - pad} stroke="#334155" />
+      <text x={pad} y={H - 3} fill="#94a3b8" fontSize="9">{format(lo)}</text>
+      <text x={W - pad} y={H - 3} fill="#94a3b8" fontSize="9" textAnchor="end">{format(hi)}</text>
+    </svg>
+  );
+}
+
+// Cost vs service scatter of Monte Carlo samples; samples meeting the target
+// are green, misses red.
+function CostServiceScatter({ sample, target }) {
+  const W = 600, H = 180, pad = 28;
+  const xs = sample.map(x => x.cost), ys = sample.map(x => x.otif);
+  const x0 = Math.min(...xs), x1 = Math.max(...xs);
+  const y0 = Math.min(target, ...ys), y1 = Math.max(target, ...ys);
+  const xOf = v => pad + (x1 > x0 ? (v - x0) / (x1 - x0) : 0.5) * (W - 2 * pad);
+  const yOf = v => H - pad - (y1 > y0 ? (v - y0) / (y1 - y0) : 0.5) * (H - 2 * pad);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      <line x1={pad} x2={W - pad} y1={yOf(target)} y2={yOf(target)} stroke="#f43f5e" strokeDasharray="3 2" />
+      <text x={W - pad} y={yOf(target) - 3} fill="#f43f5e" fontSize="9" textAnchor="end">{`Target ${pct(target)}`}</text>
+      {sample.map((x, k) => (
+        <circle key={k} cx={xOf(x.cost)} cy={yOf(x.otif)} r="2.5" fill={x.otif >= target ? '#00e0a4' : '#fb7185'} fillOpacity="0.7" />
+      ))}
+      <line x1={pad} x2={W - pad} y1={H - pad} y2={H - pad} stroke="#334155" />
+      <text x={pad} y={H - 10} fill="#94a3b8" fontSize="9">{MC_METRIC_INFO.cost.format(x0)}</text>
+      <text x={W - pad} y={H - 10} fill="#94a3b8" fontSize="9" textAnchor="end">{MC_METRIC_INFO.cost.format(x1)}</text>
+      <text x={W / 2} y={H - 2} fill="#64748b" fontSize="9" textAnchor="middle">Horizon cost →</text>
+      <text x={2} y={yOf(y1) + 8} fill="#94a3b8" fontSize="9">{pct(y1)}</text>
+      <text x={2} y={yOf(y0)} fill="#94a3b8" fontSize="9">{pct(y0)}</text>
+    </svg>
+  );
+}
+
+/**
+ * Monte Carlo uncertainty model: demand distribution and correlation, plant
+ * capacity correlation, random and common-cause outages, lane freight and
+ * lead-time noise and fuel volatility (see DEFAULT_UNCERTAINTY).
+ */
+function UncertaintyEditor({ value, onChange, plants }) {
+  function update(fn) {
+    const next = JSON.parse(JSON.stringify(value));
+    fn(next);
+    onChange(next);
+  }
+  const num = (v, fallback = 0) => (Number.isFinite(parseFloat(v)) ? Math.max(0, parseFloat(v)) : fallback);
+  return (
+    <div className="flex flex-col gap-1 text-xs">
+      <Label>Demand distribution</Label>
+      <Select value={value.demand.dist} onChange={(e) => update((u) => { u.demand.dist = e.target.value; })}
+        options={DEMAND_DISTRIBUTIONS.map(d => ({ value: d, label: d[0].toUpperCase() + d.slice(1) }))} />
+      <Range label="Demand correlation (ρ)" min={0} max={1} step={0.05} value={value.demand.correlation} onChange={(v) => update((u) => { u.demand.correlation = v; })} />
+      <Range label="Plant capacity correlation (ρ)" min={0} max={1} step={0.05} value={value.capacity.correlation} onChange={(v) => update((u) => { u.capacity.correlation = v; })} />
+      <Range label="Plant outage probability / month" min={0} max={0.2} step={0.005} value={value.outages.probability} onChange={(v) => update((u) => { u.outages.probability = v; })} />
+      <div className="flex items-center gap-2">
+        <span className="text-slate-400 flex-1">Outage duration (days)</span>
+        <input type="number" min={1} step={1} className="input w-20" value={value.outages.durationDays}
+          onChange={(e) => update((u) => { u.outages.durationDays = num(e.target.value, 1); })} />
+      </div>
+      <Range label="Lane freight noise (σ, relative)" min={0} max={0.5} step={0.01} value={value.lanes.costSd} onChange={(v) => update((u) => { u.lanes.costSd = v; })} />
+      <Range label="Lead-time variability (× mode σ)" min={0} max={3} step={0.1} value={value.lanes.leadTimeSdScale} onChange={(v) => update((u) => { u.lanes.leadTimeSdScale = v; })} />
+      <Range label="Fuel surcharge volatility (σ, $/u)" min={0} max={0.05} step={0.0025} value={value.fuelSd} onChange={(v) => update((u) => { u.fuelSd = v; })} />
+      <div className="flex justify-between items-center mt-1">
+        <Label>Common-cause events</Label>
+        <button className="btn ghost" onClick={() => update((u) => {
+          u.commonCause.push({ id: `EVENT_${Date.now()}`, name: 'New event', plants: [], probability: 0.01, durationDays: 14 });
+        })}>+ Event</button>
+      </div>
+      {value.commonCause.map((event, i) => (
+        <div key={event.id} className="border border-slate-700 rounded-md p-1 flex flex-col gap-1">
+          <div className="flex gap-1 items-center">
+            <input className="input flex-1" value={event.name} onChange={(e) => update((u) => { u.commonCause[i].name = e.target.value; })} />
+            <button className="btn ghost" title="Remove event" onClick={() => update((u) => { u.commonCause.splice(i, 1); })}>✕</button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {plants.map((p) => (
+              <label key={p.id} className="flex items-center gap-1 text-slate-300">
+                <input type="checkbox" checked={event.plants.includes(p.id)} onChange={(e) => update((u) => {
+                  const ev = u.commonCause[i];
+                  ev.plants = e.target.checked ? [...ev.plants, p.id] : ev.plants.filter(id => id !== p.id);
+                })} />
+                {p.id}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2 items-center">
+            <span className="text-slate-400">P / month</span>
+            <input type="number" min={0} max={1} step={0.005} className="input w-20" value={event.probability}
+              onChange={(e) => update((u) => { u.commonCause[i].probability = Math.min(1, num(e.target.value)); })} />
+            <span className="text-slate-400">Days</span>
+            <input type="number" min={1} step={1} className="input w-16" value={event.durationDays}
+              onChange={(e) => update((u) => { u.commonCause[i].durationDays = num(e.target.value, 1); })} />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Value and delta formatters for a sensitivity output metric; service
+// deltas are shown in percentage points.
+function metricFormats(metric) {
+  const format = MC_METRIC_INFO[metric]?.format ?? (v => `$${fmt(v, 0)}`);
+  const signed = (d, f) => `${d > 0 ? '+' : d < 0 ? '−' : ''}${f(Math.abs(d))}`;
+  return {
+    format,
+    formatDelta: d => (metric === 'otif' ? signed(d, v => `${(v * 100).toFixed(2)} pt`) : signed(d, metric === 'objective' || metric === 'cost' ? v => `$${fmt(v, 0)}` : v => fmt(v, 0)))
+  };
+}
+// Input change as entered in the sensitivity setup and shown in charts.
+const formatChange = (change, absolute) => (absolute ? `${change >= 0 ? '+' : ''}${fmt(change, 3)}` : `${change >= 0 ? '+' : ''}${Math.round(change * 100)}%`);
+
+/**
+ * Sensitivity setup: output metric, sweep points and the inputs to vary with
+ * their low/high changes (percent of base, or absolute for uptime and the
+ * fuel surcharge).
+ */
+function SensitivityEditor({ spec, onChange, available }) {
+  const [pick, setPick] = useState('');
+  const keyOf = x => `${x.kind}:${x.target}`;
+  const byKey = Object.fromEntries(available.map(x => [keyOf(x), x]));
+  const unused = available.filter(x => !spec.inputs.some(i => keyOf(i) === keyOf(x)));
+  function update(fn) {
+    const next = JSON.parse(JSON.stringify(spec));
+    fn(next);
+    onChange(next);
+  }
+  function setChange(i, side, raw, absolute) {
+    const v = parseFloat(raw);
+    if (!Number.isFinite(v)) return;
+    update((sp) => { sp.inputs[i][side] = absolute ? v : v / 100; });
+  }
+  return (
+    <div className="flex flex-col gap-1 text-xs">
+      <div className="flex gap-2">
+        <div className="flex-1">
+          <Label>Output metric</Label>
+          <Select value={spec.metric} options={SENSITIVITY_METRICS} onChange={(e) => update((sp) => { sp.metric = e.target.value; })} />
+        </div>
+        <div className="w-24">
+          <Label>Sweep points</Label>
+          <Select value={spec.points} options={[5, 9, 13].map(n => ({ value: n, label: `${n}` }))} onChange={(e) => update((sp) => { sp.points = parseInt(e.target.value, 10); })} />
+        </div>
+      </div>
+      <table className="w-full border-collapse">
+        <thead>
+          <tr className="text-slate-400">
+            <th className="text-left p-1">Input</th>
+            <th className="p-1">Low</th>
+            <th className="p-1">High</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {spec.inputs.map((input, i) => {
+            const info = byKey[keyOf(input)];
+            const absolute = info?.absolute;
+            const shown = v => (absolute ? v : Math.round(v * 1000) / 10);
+            return (
+              <tr key={keyOf(input)} className="text-slate-200">
+                <td className="p-1">{info?.label ?? keyOf(input)}</td>
+                <td className="p-1">
+                  <input type="number" step={absolute ? 0.01 : 5} className="input w-16" value={shown(input.low)} onChange={(e) => setChange(i, 'low', e.target.value, absolute)} />
+                </td>
+                <td className="p-1">
+                  <input type="number" step={absolute ? 0.01 : 5} className="input w-16" value={shown(input.high)} onChange={(e) => setChange(i, 'high', e.target.value, absolute)} />
+                </td>
+                <td className="p-1 text-slate-500">
+                  {absolute ? '' : '%'}
+                  <button className="btn ghost ml-1" title="Remove input" onClick={() => update((sp) => { sp.inputs.splice(i, 1); })}>✕</button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div className="flex gap-1">
+        <div className="flex-1">
+          <Select value={pick} onChange={(e) => setPick(e.target.value)}
+            options={[{ value: '', label: 'Add input…' }, ...unused.map(x => ({ value: keyOf(x), label: x.label }))]} />
+        </div>
+        <button className="btn ghost" disabled={!byKey[pick] || !unused.includes(byKey[pick])} onClick={() => {
+          const x = byKey[pick];
+          update((sp) => { sp.inputs.push({ kind: x.kind, target: x.target, low: x.range[0], high: x.range[1] }); });
+          setPick('');
+        }}>Add</button>
+      </div>
+    </div>
+  );
+}
+
+// Tornado bars: each input's metric change at its low (indigo) and high
+// (amber) end, widest swing first.
+function TornadoChart({ rows, formatDelta }) {
+  const W = 300, rowH = 18, labelW = 110;
+  const maxAbs = Math.max(1e-12, ...rows.flatMap(r => [Math.abs(r.low.delta), Math.abs(r.high.delta)]));
+  const mid = labelW + (W - labelW) / 2;
+  const scale = v => v / maxAbs * ((W - labelW) / 2 - 4);
+  const H = rows.length * rowH + 4;
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      <line x1={mid} x2={mid} y1={0} y2={H} stroke="#334155" />
+      {rows.map((r, k) => (
+        <g key={r.key}>
+          <text x={0} y={k * rowH + 12} fill="#cbd5e1" fontSize="8">{r.label.length > 28 ? `${r.label.slice(0, 27)}…` : r.label}</text>
+          {[['low', '#6366f1'], ['high', '#f59e0b']].map(([side, color]) => {
+            const d = scale(r[side].delta);
+            return (
+              <rect key={side} x={Math.min(mid, mid + d)} y={k * rowH + 3 + (side === 'high' ? 7 : 0)} width={Math.max(0.5, Math.abs(d))} height={6} fill={color}>
+                <title>{`${r.label} ${formatChange(r[side].change, r.absolute)}: ${formatDelta(r[side].delta)}`}</title>
+              </rect>
+            );
+          })}
+        </g>
+      ))}
+    </svg>
+  );
+}
+
+// Spider plot of one-way sweeps: metric value against each input's position
+// in its range (low → base → high).  Clicking a line selects that input.
+function SpiderChart({ rows, base, format, selected, onSelect }) {
+  const W = 300, H = 170, pad = 24;
+  const values = rows.flatMap(r => r.sweep.map(p => p.value)).concat(base);
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const xOf = (k, n) => pad + k / (n - 1) * (W - 2 * pad);
+  const yOf = v => H - pad - (hi > lo ? (v - lo) / (hi - lo) : 0.5) * (H - 2 * pad);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      <line x1={pad} x2={W - pad} y1={yOf(base)} y2={yOf(base)} stroke="#334155" strokeDasharray="3 2" />
+      {rows.map((r, i) => {
+        const color = PRODUCT_COLORS[i % PRODUCT_COLORS.length];
+        const active = selected === r.key;
+        return (
+          <polyline key={r.key} points={r.sweep.map((p, k) => `${xOf(k, r.sweep.length)},${yOf(p.value)}`).join(' ')}
+            fill="none" stroke={color} strokeWidth={active ? 3 : 1.5} strokeOpacity={selected && !active ? 0.35 : 1}
+            style={{ cursor: 'pointer' }} onClick={() => onSelect(r.key)}>
+            <title>{r.label}</title>
+          </polyline>
+        );
+      })}
+      <text x={pad} y={H - 8} fill="#94a3b8" fontSize="9">low</text>
+      <text x={W / 2} y={H - 8} fill="#64748b" fontSize="8" textAnchor="middle">position in range (dashed: base)</text>
+      <text x={W - pad} y={H - 8} fill="#94a3b8" fontSize="9" textAnchor="end">high</text>
+      <text x={2} y={yOf(hi) + 8} fill="#94a3b8" fontSize="8">{format(hi)}</text>
+      <text x={2} y={yOf(lo)} fill="#94a3b8" fontSize="8">{format(lo)}</text>
+    </svg>
+  );
+}
+
+// Sensitivity results: tornado of low/high deltas, spider plot of the sweeps
+// and the sweep of the selected input.
+function SensitivityReport({ sens, selected, onSelect }) {
+  const { format, formatDelta } = metricFormats(sens.metric);
+  const row = sens.rows.find(r => r.key === selected);
+  const metricLabel = SENSITIVITY_METRICS.find(m => m.value === sens.metric)?.label;
+  return (
+    <Panel title="Sensitivity (tornado)" subtitle={`${metricLabel} • base ${format(sens.base)}`}>
+      <TornadoChart rows={sens.rows} formatDelta={formatDelta} />
+      <div className="flex gap-3 text-xs text-slate-400 mb-2">
+        <span><span style={{ color: '#6366f1' }}>■</span> low</span>
+        <span><span style={{ color: '#f59e0b' }}>■</span> high</span>
+      </div>
+      <div className="text-xs text-slate-400">One-way sweeps</div>
+      <SpiderChart rows={sens.rows} base={sens.base} format={format} selected={selected} onSelect={onSelect} />
+      <Select value={selected ?? ''} onChange={(e) => onSelect(e.target.value)} options={sens.rows.map(r => ({ value: r.key, label: r.label }))} />
+      {row && (
+        <table className="w-full text-xs border-collapse mt-1">
+          <thead>
+            <tr className="text-slate-400">
+              <th className="text-left p-1">Change</th>
+              <th className="p-1">Input</th>
+              <th className="p-1">{metricLabel}</th>
+              <th className="p-1">Δ</th>
+            </tr>
+          </thead>
+          <tbody>
+            {row.sweep.map((p, k) => (
+              <tr key={k} className="text-slate-200 text-center">
+                <td className="p-1 text-left">{formatChange(p.change, row.absolute)}</td>
+                <td className="p-1">{fmt(p.inputValue, row.absolute || p.inputValue < 10 ? 3 : 0)}</td>
+                <td className="p-1">{format(p.value)}</td>
+                <td className="p-1 text-slate-400">{formatDelta(p.delta)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </Panel>
+  );
+}
+
+/**
+ * Pareto explorer scatter: one dot per optimized plan on the chosen axes,
+ * coloured by a third metric (green = better).  Dominated plans are grey;
+ * the current plan is the white ring.  Clicking a dot selects that plan.
+ */
+function ParetoChart({ points, current, x, y, color, showDominated, selectedId, onSelect }) {
+  const W = 600, H = 240, pad = 36;
+  const shown = points.filter(p => showDominated || !p.dominated);
+  const all = [...shown.map(p => p.metrics), current];
+  const range = key => [Math.min(...all.map(m => m[key])), Math.max(...all.map(m => m[key]))];
+  const [x0, x1] = range(x), [y0, y1] = range(y), [c0, c1] = range(color);
+  const xOf = v => pad + (x1 > x0 ? (v - x0) / (x1 - x0) : 0.5) * (W - 2 * pad);
+  const yOf = v => H - pad - (y1 > y0 ? (v - y0) / (y1 - y0) : 0.5) * (H - 2 * pad);
+  const axis = key => PARETO_AXES.find(a => a.value === key);
+  const fmtOf = key => MC_METRIC_INFO[key]?.format ?? (v => fmt(v, 0));
+  // 0 = worst, 1 = best on the colour metric
+  const goodness = v => {
+    const f = c1 > c0 ? (v - c0) / (c1 - c0) : 1;
+    return axis(color).better === 'min' ? 1 - f : f;
+  };
+  const fill = g => `hsl(${Math.round(g * 140)}, 70%, 55%)`;
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      <line x1={pad} x2={W - pad} y1={H - pad} y2={H - pad} stroke="#334155" />
+      <line x1={pad} x2={pad} y1={pad / 2} y2={H - pad} stroke="#334155" />
+      <text x={W / 2} y={H - 4} fill="#64748b" fontSize="9" textAnchor="middle">{`${axis(x).label} (${axis(x).better === 'min' ? 'lower' : 'higher'} is better)`}</text>
+      <text x={pad} y={H - pad + 12} fill="#94a3b8" fontSize="9">{fmtOf(x)(x0)}</text>
+      <text x={W - pad} y={H - pad + 12} fill="#94a3b8" fontSize="9" textAnchor="end">{fmtOf(x)(x1)}</text>
+      <text x={2} y={yOf(y1) + 3} fill="#94a3b8" fontSize="9">{fmtOf(y)(y1)}</text>
+      <text x={2} y={yOf(y0)} fill="#94a3b8" fontSize="9">{fmtOf(y)(y0)}</text>
+      <text x={pad + 4} y={pad / 2 + 2} fill="#64748b" fontSize="9">{axis(y).label}</text>
+      {shown.map((p) => (
+        <circle key={p.id} cx={xOf(p.metrics[x])} cy={yOf(p.metrics[y])} r={p.id === selectedId ? 7 : p.dominated ? 3 : 5}
+          fill={p.dominated ? '#475569' : fill(goodness(p.metrics[color]))} stroke={p.id === selectedId ? '#f8fafc' : 'none'} strokeWidth="2"
+          style={{ cursor: 'pointer' }} onClick={() => onSelect(p)}>
+          <title>{PARETO_AXES.map(a => `${a.label}: ${fmtOf(a.value)(p.metrics[a.value])}`).join('\n')}</title>
+        </circle>
+      ))}
+      <circle cx={xOf(current[x])} cy={yOf(current[y])} r="6" fill="none" stroke="#f8fafc" strokeDasharray="2 2">
+        <title>Current plan</title>
+      </circle>
+    </svg>
+  );
+}
+
+// Monthly service of several plans as lines, with the service target and the
+// months an event is active shaded.
+function ServiceLines({ labels, series, target, shade }) {
+  const W = 600, H = 160, pad = 28;
+  const all = series.flatMap(x => x.values).concat(target);
+  const lo = Math.min(...all) - 0.01, hi = Math.min(1, Math.max(...all) + 0.01);
+  const xOf = t => pad + (labels.length > 1 ? t / (labels.length - 1) : 0.5) * (W - 2 * pad);
+  const yOf = v => H - pad - (v - lo) / (hi - lo || 1) * (H - 2 * pad);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      {shade && <rect x={xOf(shade[0]) - 4} y={pad / 2} width={Math.max(8, xOf(shade[1]) - xOf(shade[0]) + 8)} height={H - 1.5 * pad} fill="#f43f5e" fillOpacity="0.12" />}
+      <line x1={pad} x2={W - pad} y1={yOf(target)} y2={yOf(target)} stroke="#f43f5e" strokeDasharray="3 2" />
+      <text x={W - pad} y={yOf(target) - 3} fill="#f43f5e" fontSize="9" textAnchor="end">{`Target ${pct(target)}`}</text>
+      {series.map((x) => (
+        <polyline key={x.name} points={x.values.map((v, t) => `${xOf(t)},${yOf(v)}`).join(' ')} fill="none" stroke={x.color} strokeWidth="1.5" />
+      ))}
+      {labels.map((label, t) => (
+        <text key={t} x={xOf(t)} y={H - 10} fill="#94a3b8" fontSize="8" textAnchor="middle">{label.split(' ')[0]}</text>
+      ))}
+      <text x={2} y={yOf(hi) + 8} fill="#94a3b8" fontSize="9">{pct(hi)}</text>
+      <text x={2} y={yOf(lo)} fill="#94a3b8" fontSize="9">{pct(lo)}</text>
+      {series.map((x, k) => (
+        <text key={x.name} x={pad + k * 110} y={H - 1} fill={x.color} fontSize="9">{`— ${x.name}`}</text>
+      ))}
+    </svg>
+  );
+}
+
+/**
+ * Fields of one disruption event (see DEFAULT_DISRUPTIONS in engine.js);
+ * which fields show depends on the event kind.
+ */
+function DisruptionEditor({ event, onChange, data, months }) {
+  function update(fn) {
+    const next = JSON.parse(JSON.stringify(event));
+    fn(next);
+    onChange(next);
+  }
+  const num = (v, fallback = 0) => (Number.isFinite(parseFloat(v)) ? Math.max(0, parseFloat(v)) : fallback);
+  const field = (label, control) => (
+    <div className="flex items-center gap-2">
+      <span className="text-slate-400 w-28">{label}</span>
+      <div className="flex-1">{control}</div>
+    </div>
+  );
+  return (
+    <div className="flex flex-col gap-1 text-xs">
+      {field('Name', <input className="input w-full" value={event.name} onChange={(e) => update((ev) => { ev.name = e.target.value; })} />)}
+      {field('Kind', <Select value={event.kind} options={DISRUPTION_KINDS} onChange={(e) => update((ev) => {
+        ev.kind = e.target.value;
+        if (ev.kind === 'plantOutage') Object.assign(ev, { plantId: ev.plantId ?? data.plants[0]?.id, capacityLoss: ev.capacityLoss ?? 1 });
+        if (ev.kind === 'laneClosure') Object.assign(ev, { lanes: ev.lanes ?? [], mode: ev.mode ?? '' });
+        if (ev.kind === 'demandSpike') Object.assign(ev, { region: ev.region ?? data.regions[0]?.id, productId: ev.productId ?? '', factor: ev.factor ?? 1.2 });
+      })} />)}
+      {field('Starts', <Select value={event.start} onChange={(e) => update((ev) => { ev.start = parseInt(e.target.value, 10); })}
+        options={Array.from({ length: months }, (_, t) => ({ value: t, label: `Month ${t + 1}` }))} />)}
+      {field('Duration (days)', <input type="number" min={1} step={1} className="input w-full" value={event.durationDays}
+        onChange={(e) => update((ev) => { ev.durationDays = num(e.target.value, 1); })} />)}
+      {event.kind === 'plantOutage' && (
+        <>
+          {field('Plant', <Select value={event.plantId} options={data.plants} onChange={(e) => update((ev) => { ev.plantId = e.target.value; })} />)}
+          {field('Capacity lost', <input type="number" min={0} max={1} step={0.05} className="input w-full" value={event.capacityLoss}
+            onChange={(e) => update((ev) => { ev.capacityLoss = Math.min(1, num(e.target.value)); })} />)}
+        </>
+      )}
+      {event.kind === 'laneClosure' && (
+        <>
+          {field('Mode', <Select value={event.mode} onChange={(e) => update((ev) => { ev.mode = e.target.value; })}
+            options={[{ value: '', label: 'All modes' }, ...Object.entries(MODES).map(([value, m]) => ({ value, label: m.name }))]} />)}
+          <div className="flex flex-col gap-0.5">
+            {Object.keys(data.lanes).map((lane) => (
+              <label key={lane} className="flex items-center gap-1 text-slate-300">
+                <input type="checkbox" checked={event.lanes.includes(lane)} onChange={(e) => update((ev) => {
+                  ev.lanes = e.target.checked ? [...ev.lanes, lane] : ev.lanes.filter(l => l !== lane);
+                })} />
+                {lane}
+              </label>
+            ))}
+          </div>
+        </>
+      )}
+      {event.kind === 'demandSpike' && (
+        <>
+          {field('Region', <Select value={event.region} options={data.regions} onChange={(e) => update((ev) => { ev.region = e.target.value; })} />)}
+          {field('Product', <Select value={event.productId} onChange={(e) => update((ev) => { ev.productId = e.target.value; })}
+            options={[{ value: '', label: 'All products' }, ...data.products.map(p => ({ value: p.id, label: p.code }))]} />)}
+          {field('Demand ×', <input type="number" min={0} step={0.05} className="input w-full" value={event.factor}
+            onChange={(e) => update((ev) => { ev.factor = num(e.target.value, 1); })} />)}
+        </>
+      )}
+    </div>
+  );
+}
+
+// Stress-test result of one disruption event (see analyzeDisruption): time to
+// survive and recover, horizon KPIs against the baseline and the monthly
+// service of the baseline, disrupted and re-optimized plans.
+function DisruptionReport({ result, target }) {
+  const { event, labels, baseline, disrupted, response } = result;
+  const months = (x) => (x.survives ? 'Survives' : `${x.timeToSurvive} mo`);
+  const rows = [
+    ['Cost', 'cost', v => `$${fmt(v,0)}`],
+    ['Service', 'otif', pct],
+    ['Served', 'served', v => fmt(v,0)],
+    ['Late (lead time)', 'lateUnits', v => fmt(v,0)],
+    ['Carbon (kg)', 'carbon', v => fmt(v,0)],
+    ['Risk index', 'riskScore', v => fmt(v,0)],
+    ['Expired', 'expired', v => fmt(v,0)]
+  ];
+  const signed = (v, f) => `${v > 0 ? '+' : v < 0 ? '−' : ''}${f(Math.abs(v))}`;
+  return (
+    <Panel title={`Disruption: ${event.name}`}
+      subtitle={`${DISRUPTION_KINDS.find(k => k.value === event.kind)?.label} from ${labels[event.start] ?? `month ${event.start + 1}`} for ${event.durationDays} days`}>
+      <div className="flex gap-2 flex-wrap mb-2">
+        <KPI label="Time to survive (plan)" value={months(disrupted)} />
+        <KPI label="Time to recover (plan)" value={`${disrupted.timeToRecover} mo`} />
+        {response.status === 'optimal' && <KPI label="Time to survive (response)" value={months(response)} />}
+        {response.status === 'optimal' && <KPI label="Time to recover (response)" value={`${response.timeToRecover} mo`} />}
+      </div>
+      <table className="w-full text-xs border-collapse mb-2">
+        <thead>
+          <tr className="text-slate-400">
+            <th className="text-left p-1">KPI (horizon)</th>
+            <th className="p-1">Baseline</th>
+            <th className="p-1">Disrupted</th>
+            <th className="p-1">Δ</th>
+            {response.status === 'optimal' && <th className="p-1">Re-optimized</th>}
+            {response.status === 'optimal' && <th className="p-1">Δ</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(([label, key, f]) => (
+            <tr key={key} className="text-slate-200 text-center">
+              <td className="p-1 text-left">{label}</td>
+              <td className="p-1">{f(baseline.metrics[key])}</td>
+              <td className="p-1">{f(disrupted.metrics[key])}</td>
+              <td className="p-1 text-slate-400">{signed(disrupted.delta[key], f)}</td>
+              {response.status === 'optimal' && <td className="p-1">{f(response.metrics[key])}</td>}
+              {response.status === 'optimal' && <td className="p-1 text-slate-400">{signed(response.delta[key], f)}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {response.status === 'infeasible' && (
+        <div className="text-xs text-rose-400 mb-2">
+          No re-optimized plan meets the service target{response.proof?.bestService != null && ` (best achievable ${pct(response.proof.bestService)})`}.
+        </div>
+      )}
+      {response.status !== 'optimal' && response.status !== 'infeasible' && (
+        <div className="text-xs text-rose-400 mb-2">Re-optimization stopped: {response.status}</div>
+      )}
+      <div className="text-xs text-slate-400">Monthly service (shaded: event active)</div>
+      <ServiceLines labels={labels} target={target}
+        shade={[event.start, Math.min(labels.length - 1, event.start + Math.ceil(event.durationDays / 30) - 1)]}
+        series={[
+          { name: 'Baseline', color: '#94a3b8', values: baseline.service },
+          { name: 'Disrupted', color: '#fb7185', values: disrupted.service },
+          ...(response.status === 'optimal' ? [{ name: 'Re-optimized', color: '#00e0a4', values: response.service }] : [])
+        ]} />
+      <div className="text-xs text-slate-500">
+        Impacted months are those from the event start with service below target (or below an already-missed baseline month).
+        Time to survive counts months until the first one; time to recover until the last one ends.
+      </div>
+    </Panel>
+  );
+}
+
+// Time to survive (bar) against time to recover (marker) for every site; the
+// stretch a site needs beyond what the network can absorb is the exposure gap.
+function SurvivalChart({ rows }) {
+  const W = 600, rowH = 20, left = 170, right = 16, top = 14;
+  const H = top + rows.length * rowH + 18;
+  const max = Math.max(30, ...rows.map(r => Math.max(r.timeToRecover, Math.min(r.timeToSurvive, TTS_CAP_DAYS))));
+  const xOf = d => left + Math.min(d, max) / max * (W - left - right);
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      {rows.map((r, i) => {
+        const y = top + i * rowH;
+        return (
+          <g key={r.id}>
+            <title>{`${r.name}: survives ${fmt(r.timeToSurvive,0)} d, recovers in ${fmt(r.timeToRecover,0)} d`}</title>
+            <text x={left - 6} y={y + 12} fill="#cbd5e1" fontSize="9" textAnchor="end">{`${r.id} (${r.type === 'plant' ? 'plant' : 'DC'})`}</text>
+            <rect x={left} y={y + 3} width={Math.max(1, xOf(r.timeToSurvive) - left)} height={rowH - 8} fill="#00e0a4" fillOpacity="0.6" />
+            {r.exposed && <rect x={xOf(r.timeToSurvive)} y={y + 3} width={xOf(r.timeToRecover) - xOf(r.timeToSurvive)} height={rowH - 8} fill="#fb7185" fillOpacity="0.5" />}
+            <line x1={xOf(r.timeToRecover)} x2={xOf(r.timeToRecover)} y1={y + 1} y2={y + rowH - 3} stroke="#f8fafc" strokeWidth="2" />
+          </g>
+        );
+      })}
+      {[0, 0.25, 0.5, 0.75, 1].map(f => (
+        <text key={f} x={xOf(f * max)} y={H - 4} fill="#94a3b8" fontSize="8" textAnchor="middle">{`${fmt(f * max,0)} d`}</text>
+      ))}
+    </svg>
+  );
+}
+
+// Time-to-survive vs time-to-recover report (see survivalReport): exposure
+// gaps and what each site's loss would cost.
+function SurvivalReport({ rows, products }) {
+  const exposed = rows.filter(r => r.exposed);
+  const days = d => (d >= TTS_CAP_DAYS ? `≥${TTS_CAP_DAYS}` : fmt(d,0));
+  return (
+    <Panel title="Time to survive vs time to recover" subtitle="Each site lost in turn; the rest of the network and DC buffer stock carry demand">
+      <div className="flex gap-2 flex-wrap mb-2">
+        <KPI label="Exposure gaps" value={`${exposed.length} of ${rows.length}`} />
+        <KPI label="Revenue at risk (worst site)" value={`$${fmt(Math.max(0, ...rows.map(r => r.revenueAtRisk)),0)}`} />
+        <KPI label="Expected loss / yr" value={`$${fmt(sum(rows.map(r => r.expectedLoss)),0)}`} />
+      </div>
+      <SurvivalChart rows={rows} />
+      <div className="text-xs text-slate-500 mb-2">Green: time to survive • white marker: time to recover • red: exposure gap</div>
+      <table className="w-full text-xs border-collapse">
+        <thead>
+          <tr className="text-slate-400">
+            <th className="text-left p-1">Site</th>
+            <th className="p-1">TTR (d)</th>
+            <th className="p-1">TTS (d)</th>
+            <th className="p-1">Gap (d)</th>
+            <th className="p-1">Lost doses</th>
+            <th className="p-1">Revenue at risk</th>
+            <th className="p-1" title="Revenue at risk × annual disruption likelihood (plant base risk, region risk for DCs)">Expected loss</th>
+            <th className="p-1" title="Share of the current plan's risk index flowing through the site">Risk share</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.id} className={`text-center ${r.exposed ? 'text-rose-300' : 'text-slate-200'}`}>
+              <td className="p-1 text-left" title={r.name}>{r.id}</td>
+              <td className="p-1">{fmt(r.timeToRecover,0)}</td>
+              <td className="p-1">{days(r.timeToSurvive)}</td>
+              <td className="p-1">{r.exposed ? fmt(r.gapDays,0) : '–'}</td>
+              <td className="p-1" title={products.map(prod => `${prod.code} ${fmt(r.lostByProduct[prod.id] || 0,0)}`).join(' • ')}>{fmt(r.lostDoses,0)}</td>
+              <td className="p-1">${fmt(r.revenueAtRisk,0)}</td>
+              <td className="p-1">${fmt(r.expectedLoss,0)}</td>
+              <td className="p-1">{pct(r.riskShare)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-xs text-slate-500 mt-1">
+        Average-month demand and capacity × uptime; stock at a lost DC is lost with it. Risk shares count each flow at its plant and its DC.
+      </div>
+    </Panel>
+  );
+}
+
+// Landed cost per dose on one lane as a waterfall: each LANDED_COST_STEPS
+// component stacked on the previous ones, ending in the landed total.
+function LandedCostWaterfall({ row }) {
+  const W = 300, H = 150, left = 28, bottom = 28, top = 10;
+  const steps = LANDED_COST_STEPS.map(step => ({ ...step, perDose: row.units > 0 ? row[step.value] / row.units : 0 }));
+  const total = sum(steps.map(x => x.perDose));
+  const barW = (W - left) / (steps.length + 1);
+  const yOf = v => top + (1 - v / Math.max(total, 1e-9)) * (H - top - bottom);
+  let running = 0;
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      {[0, 0.5, 1].map(f => (
+        <text key={f} x={left - 3} y={yOf(f * total) + 3} fill="#94a3b8" fontSize="7" textAnchor="end">{fmt(f * total, 2)}</text>
+      ))}
+      {steps.map((x, k) => {
+        const from = running;
+        running += x.perDose;
+        return (
+          <g key={x.value}>
+            <title>{`${x.label}: $${fmt(x.perDose, 3)}/dose`}</title>
+            <rect x={left + k * barW + 2} y={yOf(running)} width={barW - 4} height={Math.max(0.5, yOf(from) - yOf(running))} fill="#6366f1" fillOpacity={x.perDose > 0 ? 0.8 : 0.2} />
+            <text x={left + (k + 0.5) * barW} y={H - bottom + 10} fill="#cbd5e1" fontSize="7" textAnchor="middle">{x.label}</text>
+          </g>
+        );
+      })}
+      <rect x={left + steps.length * barW + 2} y={yOf(total)} width={barW - 4} height={yOf(0) - yOf(total)} fill="#00e0a4" fillOpacity="0.8">
+        <title>{`Landed: $${fmt(total, 3)}/dose`}</title>
+      </rect>
+      <text x={left + (steps.length + 0.5) * barW} y={H - bottom + 10} fill="#cbd5e1" fontSize="7" textAnchor="middle">Landed</text>
+      <text x={left + (steps.length + 0.5) * barW} y={yOf(total) - 2} fill="#e2e8f0" fontSize="7" textAnchor="middle">{`$${fmt(total, 2)}`}</text>
+    </svg>
+  );
+}
+
+// Network-design appraisal (see investmentAppraisal): the status quo, current
+// and optimized designs side by side with NPV and payback, and the
+// cumulative discounted cash flow of each design.
+function DesignAppraisal({ result, stale, onAdopt }) {
+  const { finance, cases } = result;
+  const ok = cases.filter(c => c.status === 'optimal');
+  const money = v => (v == null ? '–' : `${v < 0 ? '−' : ''}$${fmt(Math.abs(v) / 1e6, 2)}M`);
+  const rows = [
+    ['Capex', c => money(c.capex)],
+    ['Fixed cost / yr', c => money(c.fixedCost)],
+    ['Operating cost / yr', c => money(c.annualOperating)],
+    ['Lost revenue / yr', c => money(c.annualLostRevenue)],
+    ['Saving / yr vs status quo', c => money(c.annualSaving)],
+    [`NPV (${pct(finance.discountRate)}, ${finance.lifeYears} yr)`, c => money(c.npv)],
+    ['Payback', c => (c.key === 'statusQuo' ? '–' : c.paybackYears == null ? 'never' : `${fmt(c.paybackYears,1)} yr`)],
+    ['Horizon service', c => pct(c.metrics.otif)]
+  ];
+  // Cumulative discounted cash flow per design
+  const W = 600, H = 150, pad = 30;
+  const curves = ok.filter(c => c.cashFlows).map(c => c.cashFlows.reduce((acc, cf, y) => [...acc, (acc[y - 1] ?? 0) + cf / (1 + finance.discountRate) ** y], []));
+  const all = curves.flat().concat(0);
+  const lo = Math.min(...all), hi = Math.max(...all);
+  const xOf = y => pad + y / finance.lifeYears * (W - 2 * pad);
+  const yOf = v => H - pad - (v - lo) / (hi - lo || 1) * (H - 2 * pad);
+  const colors = ['#94a3b8', '#60a5fa', '#00e0a4'];
+  return (
+    <Panel title="Network design appraisal" subtitle="Each design re-optimized over the horizon and compared with the status quo (no options taken)">
+      <table className="w-full text-xs border-collapse mb-2">
+        <thead>
+          <tr className="text-slate-400">
+            <th className="text-left p-1" />
+            {cases.map(c => (<th key={c.key} className="p-1">{c.label}</th>))}
+          </tr>
+        </thead>
+        <tbody>
+          <tr className="text-slate-200 text-center">
+            <td className="p-1 text-left">Options</td>
+            {cases.map(c => (
+              <td key={c.key} className="p-1">
+                {c.status !== 'optimal' ? `Not solved (${c.status})` : c.options.length === 0 ? 'None' : c.options.map(o => o.name).join(', ')}
+                {(c.nodeLimit || c.unsolvedNodes > 0) && (
+                  <div className="text-amber-400" title={c.nodeLimit ? 'The search hit its node limit' : `The search could not solve ${c.unsolvedNodes} of its nodes`}>not proven optimal</div>
+                )}
+              </td>
+            ))}
+          </tr>
+          {rows.map(([label, f]) => (
+            <tr key={label} className="text-slate-200 text-center">
+              <td className="p-1 text-left">{label}</td>
+              {cases.map(c => (<td key={c.key} className={`p-1 ${c.status === 'optimal' && !c.meetsTarget ? 'text-amber-400' : ''}`}>{c.status === 'optimal' ? f(c) : '–'}</td>))}
+            </tr>
+          ))}
+          <tr>
+            <td />
+            {cases.map(c => (
+              <td key={c.key} className="p-1 text-center">
+                {c.key !== 'current' && c.status === 'optimal' && (
+                  <button className="btn ghost" disabled={stale} title={stale ? 'The network or horizon changed since this appraisal' : 'Take this design and its plan'} onClick={() => onAdopt(c)}>Adopt</button>
+                )}
+              </td>
+            ))}
+          </tr>
+        </tbody>
+      </table>
+      {cases.some(c => c.status === 'optimal' && !c.meetsTarget) && (
+        <div className="text-xs text-amber-400 mb-2">Amber: the design cannot meet the service target and is planned for the best service it can give.</div>
+      )}
+      <div className="text-xs text-slate-400">Cumulative discounted cash flow vs status quo</div>
+      <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+        <line x1={pad} x2={W - pad} y1={yOf(0)} y2={yOf(0)} stroke="#334155" />
+        {curves.map((curve, k) => (
+          <polyline key={ok[k].key} points={curve.map((v, y) => `${xOf(y)},${yOf(v)}`).join(' ')} fill="none" stroke={colors[cases.indexOf(ok[k])]} strokeWidth="1.5" />
+        ))}
+        {Array.from({ length: finance.lifeYears + 1 }, (_, y) => (
+          <text key={y} x={xOf(y)} y={H - 12} fill="#94a3b8" fontSize="8" textAnchor="middle">{y}</text>
+        ))}
+        <text x={2} y={yOf(hi) + 8} fill="#94a3b8" fontSize="9">{money(hi)}</text>
+        <text x={2} y={yOf(lo)} fill="#94a3b8" fontSize="9">{money(lo)}</text>
+        {ok.map((c, k) => (
+          <text key={c.key} x={pad + k * 130} y={H - 1} fill={colors[cases.indexOf(c)]} fontSize="9">{`— ${c.label}`}</text>
+        ))}
+      </svg>
+      <div className="text-xs text-slate-500">
+        Horizon savings are annualised and held for every year; capex is paid in year 0. The optimized design counts capex annualised over the appraisal life.
+      </div>
+    </Panel>
+  );
+}
+
+// Scenario diffs: what changed between two snapshots of levers, assignment
+// and network, as rows of { key, label, from, to } with printable values.
+const LEVER_LABELS = {
+  serviceTarget: 'Service target',
+  riskWeight: 'Risk weight',
+  carbonPrice: 'Carbon price',
+  demandVol: 'Demand volatility',
+  demandMultiplier: 'Demand multiplier',
+  allowOverflow: 'Allow surge',
+  fuelSurcharge: 'Fuel surcharge',
+  relShock: 'Reliability shock',
+  horizonMonths: 'Horizon months',
+  startMonth: 'Start month',
+  mcSeed: 'Monte Carlo seed',
+  mcSamples: 'Monte Carlo samples',
+  uncertainty: 'Uncertainty model',
+  disruptions: 'Disruption library',
+  sensitivity: 'Sensitivity setup'
+};
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+function diffValue(v) {
+  if (v == null) return '–';
+  if (typeof v === 'number') return String(+v.toPrecision(4));
+  if (typeof v !== 'object') return String(v);
+  const text = JSON.stringify(v);
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+function diffParams(a = {}, b = {}) {
+  return Object.keys(LEVER_LABELS)
+    .map(key => [key, a[key] ?? DEFAULT_PARAMS[key], b[key] ?? DEFAULT_PARAMS[key]])
+    .filter(([, from, to]) => !sameValue(from, to))
+    .map(([key, from, to]) => ({ key, label: LEVER_LABELS[key], from: diffValue(from), to: diffValue(to) }));
+}
+// Legs as "plant→DC mode", with the share when the row is split
+const describeLegs = pick => legsOf(pick)
+  .map(l => `${l.supplierId}→${l.assemblyId} ${l.mode}${l.share < 1 ? ` ${Math.round(l.share * 100)}%` : ''}`)
+  .join(' + ') || 'unassigned';
+function diffAssignment(a = {}, b = {}) {
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(id => describeLegs(a[id]) !== describeLegs(b[id]))
+    .map(id => ({ key: id, label: id, from: describeLegs(a[id]), to: describeLegs(b[id]) }));
+}
+const NETWORK_COLLECTIONS = [['regions', 'Region'], ['products', 'Product'], ['plants', 'Plant'], ['dcs', 'DC'], ['overflowProviders', 'Surge'], ['investments', 'Option']];
+function diffNetwork(a, b) {
+  const rows = [];
+  // Entries keyed by id: added, removed, or changed field by field
+  const compare = (kind, x = {}, y = {}) => {
+    for (const id of new Set([...Object.keys(x), ...Object.keys(y)])) {
+      const key = `${kind}:${id}`;
+      if (!(id in x)) rows.push({ key, label: `${kind} ${id}`, from: '–', to: 'added' });
+      else if (!(id in y)) rows.push({ key, label: `${kind} ${id}`, from: 'present', to: 'removed' });
+      else if (x[id] && typeof x[id] === 'object' && !Array.isArray(x[id])) {
+        for (const field of new Set([...Object.keys(x[id]), ...Object.keys(y[id] || {})])) {
+          if (!sameValue(x[id][field], y[id]?.[field])) rows.push({ key: `${key}.${field}`, label: `${kind} ${id} · ${field}`, from: diffValue(x[id][field]), to: diffValue(y[id]?.[field]) });
+        }
+      } else if (!sameValue(x[id], y[id])) rows.push({ key, label: `${kind} ${id}`, from: diffValue(x[id]), to: diffValue(y[id]) });
+    }
+  };
+  const byId = list => Object.fromEntries((list || []).map(o => [o.id, o]));
+  for (const [coll, kind] of NETWORK_COLLECTIONS) compare(kind, byId(a[coll]), byId(b[coll]));
+  compare('Lane', a.lanes, b.lanes);
+  compare('Duty', a.duties, b.duties);
+  compare('Finance', { appraisal: a.finance }, { appraisal: b.finance });
+  const design = new Set(b.design), was = new Set(a.design);
+  for (const id of a.design) if (!design.has(id)) rows.push({ key: `design:${id}`, label: `Design ${id}`, from: 'taken', to: 'dropped' });
+  for (const id of b.design) if (!was.has(id)) rows.push({ key: `design:${id}`, label: `Design ${id}`, from: 'not taken', to: 'taken' });
+  return rows;
+}
+// Everything that differs between two { params, assignment, data } snapshots
+function diffScenarios(a, b) {
+  return { levers: diffParams(a.params, b.params), assignment: diffAssignment(a.assignment, b.assignment), network: diffNetwork(a.data, b.data) };
+}
+// One line for a history step or a branch: the first change and a count
+function describeChange(a, b) {
+  const d = diffScenarios(a, b);
+  const rows = [...d.levers, ...d.assignment, ...d.network];
+  if (rows.length === 0) return 'No changes';
+  const first = `${rows[0].label}: ${rows[0].from} → ${rows[0].to}`;
+  return rows.length > 1 ? `${first} (+${rows.length - 1} more)` : first;
+}
+
+// What-if branch tree: each node is a snapshot hanging off the one it was
+// branched from.  The current node can be renamed, annotated, overwritten with
+// the working state or loaded back; deleting a node drops its subtree.
+function BranchTree({ nodes, currentId, modified, onBranch, onLoad, onUpdate, onSave, onDelete }) {
+  const children = parentId => nodes.filter(n => (n.parentId ?? null) === parentId);
+  const current = nodes.find(n => n.id === currentId);
+  const renderNode = (n, depth) => (
+    <React.Fragment key={n.id}>
+      <div className={`flex items-center justify-between text-xs ${n.id === currentId ? 'text-emerald-300' : 'text-slate-200'}`} style={{ paddingLeft: depth * 12 }}>
+        <button className="text-left truncate" title={n.note || 'Load this branch'} onClick={() => onLoad(n)}>
+          {depth > 0 ? '└ ' : ''}{n.name}{n.id === currentId && modified ? ' •' : ''}
+        </button>
+        <span className="text-slate-500 ml-2 whitespace-nowrap">${fmt(n.metrics.cost,0)} • {pct(n.metrics.serviceLevel)}</span>
+      </div>
+      {children(n.id).map(c => renderNode(c, depth + 1))}
+    </React.Fragment>
+  );
+  return (
+    <div className="flex flex-col gap-2">
+      {nodes.length === 0 ? (
+        <div className="text-xs text-slate-400">No branches yet. Branch to keep the current state as a named what-if.</div>
+      ) : (
+        <div className="flex flex-col gap-1 max-h-48 overflow-auto">{children(null).map(n => renderNode(n, 0))}</div>
+      )}
+      {current && (
+        <div className="flex flex-col gap-1">
+          <input value={current.name} onChange={(e) => onUpdate(current.id, { name: e.target.value })} aria-label="Branch name"
+            className="bg-slate-800 border border-slate-700 text-slate-200 text-xs rounded-md p-1" />
+          <textarea value={current.note} onChange={(e) => onUpdate(current.id, { note: e.target.value })} placeholder="Notes for this what-if" aria-label="Branch notes" rows={2}
+            className="bg-slate-800 border border-slate-700 text-slate-200 text-xs rounded-md p-1" />
+          {modified && <div className="text-xs text-amber-400">Working state differs from this branch</div>}
+        </div>
+      )}
+      <div className="flex gap-2">
+        <button className="btn" onClick={onBranch} title={current ? `New branch under ${current.name}` : 'New root branch'}>Branch here</button>
+        <button className="btn ghost" disabled={!current || !modified} onClick={onSave} title="Overwrite the current branch with the working state">Save to branch</button>
+        <button className="btn ghost" disabled={!current} onClick={() => onDelete(current.id)} title="Delete this branch and everything under it">Delete</button>
+      </div>
+    </div>
+  );
+}
+
+// Two branches side by side: KPIs of each (with its own levers) and every
+// lever, assignment and network change between them
+const DIFF_KPIS = [
+  ['Objective', r => r.objective, v => `$${fmt(v,0)}`],
+  ['Cost', r => r.cost, v => `$${fmt(v,0)}`],
+  ['Service', r => r.totals.serviceLevel, v => pct(v)],
+  ['Carbon (kg)', r => r.totals.carbonKg, v => fmt(v,0)],
+  ['Risk', r => r.totals.riskIndex, v => fmt(v,0)],
+  ['Unserved doses', r => r.totals.unserved, v => fmt(v,0)]
+];
+function BranchDiff({ a, b }) {
+  const [ra, rb] = useMemo(() => [a, b].map(n => evaluateSolutionWrapper({ assignment: n.assignment, params: n.params, network: buildNetwork(n.data), data: n.data })), [a, b]);
+  const diff = useMemo(() => diffScenarios(a, b), [a, b]);
+  const sections = [['Levers', diff.levers], ['Assignments', diff.assignment], ['Network', diff.network]];
+  return (
+    <div className="flex flex-col gap-2 text-xs">
+      <table className="w-full border-collapse">
+        <thead>
+          <tr className="text-slate-400">
+            <th className="text-left p-1" />
+            <th className="p-1">{a.name}</th>
+            <th className="p-1">{b.name}</th>
+            <th className="p-1">Δ</th>
+          </tr>
+        </thead>
+        <tbody>
+          {DIFF_KPIS.map(([label, get, format]) => {
+            const delta = get(rb) - get(ra);
+            return (
+              <tr key={label} className="text-slate-200 text-center">
+                <td className="p-1 text-left">{label}</td>
+                <td className="p-1">{format(get(ra))}</td>
+                <td className="p-1">{format(get(rb))}</td>
+                <td className="p-1 text-slate-400">{delta > 0 ? '+' : delta < 0 ? '−' : ''}{format(Math.abs(delta))}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {sections.map(([title, rows]) => (
+        <div key={title}>
+          <div className="text-slate-400">{title} ({rows.length})</div>
+          {rows.map(r => (
+            <div key={r.key} className="flex justify-between gap-2 text-slate-200">
+              <span className="truncate">{r.label}</span>
+              <span className="text-slate-400 whitespace-nowrap">{r.from} → {r.to}</span>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Saved scenarios are shown by name; older saves have only a timestamp
+const scenarioName = s => s.name || new Date(s.ts).toLocaleString();
+
+// Every KPI in evaluateSolutionWrapper's totals: label, format and whether a
+// rise is good (1), bad (-1) or neither (0)
+const money0 = v => `$${fmt(v,0)}`;
+const COMPARE_KPIS = [
+  ['objective', 'Objective', r => r.objective, money0, -1],
+  ['cost', 'Cost', r => r.cost, money0, -1],
+  ['serviceLevel', 'Service (OTIF)', r => r.totals.serviceLevel, pct, 1],
+  ['units', 'Demand (doses)', r => r.totals.units, v => fmt(v,0), 0],
+  ['lateUnits', 'Late doses', r => r.totals.lateUnits, v => fmt(v,0), -1],
+  ['unserved', 'Unserved doses', r => r.totals.unserved, v => fmt(v,0), -1],
+  ['excursionLoss', 'Excursion loss (doses)', r => r.totals.excursionLoss, v => fmt(v,0), -1],
+  ['material', 'Material', r => r.totals.material, money0, -1],
+  ['assembly', 'Conversion', r => r.totals.assembly, money0, -1],
+  ['transportCost', 'Freight', r => r.totals.transportCost, money0, -1],
+  ['packagingCost', 'Packaging', r => r.totals.packagingCost, money0, -1],
+  ['releaseCost', 'Release testing', r => r.totals.releaseCost, money0, -1],
+  ['tariffs', 'Tariffs (duty + brokerage)', r => r.totals.tariffs, money0, -1],
+  ['dutyCost', 'Duty', r => r.totals.dutyCost, money0, -1],
+  ['brokerageCost', 'Brokerage', r => r.totals.brokerageCost, money0, -1],
+  ['handlingCost', 'DC handling', r => r.totals.handlingCost, money0, -1],
+  ['overhead', 'DC fixed cost', r => r.totals.overhead, money0, -1],
+  ['inventory', 'Surge (incl. minimums)', r => r.totals.inventory, money0, -1],
+  ['surgeMinimumCost', 'Surge minimums', r => r.totals.surgeMinimumCost, money0, -1],
+  ['carbonKg', 'Carbon (kg CO₂)', r => r.totals.carbonKg, v => fmt(v,0), -1],
+  ['riskIndex', 'Risk index', r => r.totals.riskIndex, v => fmt(v,0), -1]
+];
+// The parts of `cost`, in waterfall order; the carbon charge uses each
+// scenario's own carbon price
+const COST_BRIDGE = [
+  ['Conversion', r => r.totals.assembly],
+  ['Freight', r => r.totals.transportCost],
+  ['Packaging', r => r.totals.packagingCost],
+  ['Release', r => r.totals.releaseCost],
+  ['Duty', r => r.totals.dutyCost],
+  ['Brokerage', r => r.totals.brokerageCost],
+  ['Handling', r => r.totals.handlingCost],
+  ['DC fixed', r => r.totals.overhead],
+  ['Surge', r => r.totals.inventory],
+  ['Carbon', (r, p) => p.carbonPrice * r.totals.carbonKg]
+];
+
+// Cost bridge from the baseline's total cost to a scenario's, one bar per
+// cost component that moved
+function CostBridge({ base, scenario }) {
+  const W = 360, H = 150, left = 44, bottom = 28, top = 12;
+  const steps = COST_BRIDGE
+    .map(([label, get]) => ({ label, delta: get(scenario.result, scenario.params) - get(base.result, base.params) }))
+    .filter(x => Math.abs(x.delta) >= 0.5);
+  const levels = steps.reduce((acc, x) => [...acc, acc[acc.length - 1] + x.delta], [base.result.cost]);
+  const lo = Math.min(...levels), hi = Math.max(...levels);
+  // The axis is cut below the lowest level so small changes stay visible
+  const floor = Math.max(0, lo - (hi - lo || hi) * 0.25);
+  const barW = (W - left) / (steps.length + 2);
+  const yOf = v => top + (1 - (v - floor) / Math.max(hi - floor, 1e-9)) * (H - top - bottom);
+  const bar = (k, from, to, fill, label, tip) => (
+    <g key={k}>
+      <title>{tip}</title>
+      <rect x={left + k * barW + 2} y={yOf(Math.max(from, to))} width={barW - 4} height={Math.max(0.5, Math.abs(yOf(from) - yOf(to)))} fill={fill} fillOpacity="0.8" />
+      <text x={left + (k + 0.5) * barW} y={H - bottom + 10} fill="#cbd5e1" fontSize="7" textAnchor="middle">{label}</text>
+    </g>
+  );
+  return (
+    <svg viewBox={`0 0 ${W} ${H}`} className="w-full" style={{ height: H }}>
+      {[floor, hi].map((v, k) => (
+        <text key={k} x={left - 3} y={yOf(v) + 3} fill="#94a3b8" fontSize="7" textAnchor="end">{`$${fmt(v / 1e3,0)}k`}</text>
+      ))}
+      {bar(0, floor, levels[0], '#94a3b8', scenarioName(base.snap).slice(0, 12), `${scenarioName(base.snap)}: $${fmt(levels[0],0)}`)}
+      {steps.map((x, k) => bar(k + 1, levels[k], levels[k + 1], x.delta > 0 ? '#f43f5e' : '#22c55e', x.label, `${x.label}: ${x.delta > 0 ? '+' : '−'}$${fmt(Math.abs(x.delta),0)}`))}
+      {bar(steps.length + 1, floor, scenario.result.cost, '#00e0a4', scenarioName(scenario.snap).slice(0, 12), `${scenarioName(scenario.snap)}: $${fmt(scenario.result.cost,0)}`)}
+    </svg>
+  );
+}
+
+// Compare modal: saved scenarios side by side against a baseline.  Each is
+// re-evaluated with its own levers (so the objective uses its own risk
+// weight); changed levers, assignments and network entries are highlighted,
+// with per-plant utilisation and a cost bridge from the baseline.
+function CompareScenarios({ saved, baselineId, onBaseline, onClose }) {
+  const [chosenIds, setChosenIds] = useState(() => saved.slice(0, 4).map(s => s.id));
+  const baseId = saved.some(s => s.id === baselineId) ? baselineId : saved[0]?.id;
+  const compared = useMemo(() => {
+    const picked = saved.filter(s => s.id === baseId || chosenIds.includes(s.id));
+    const loaded = [...picked.filter(s => s.id === baseId), ...picked.filter(s => s.id !== baseId)].map((snap) => {
+      // Older saves are brought up to date as an import would be
+      const scenario = migrateScenario(savedAsExport(snap));
+      return { snap, scenario, errors: validateScenario(scenario) };
+    });
+    return {
+      unreadable: loaded.filter(l => l.errors.length > 0),
+      columns: loaded.filter(l => l.errors.length === 0).map(({ snap, scenario }) => {
+        const data = scenario.state;
+        const assignment = scenario.assignment ?? {};
+        const params = { ...DEFAULT_PARAMS, ...scenario.params };
+        return {
+          snap,
+          data,
+          params,
+          assignment,
+          result: evaluateSolutionWrapper({ assignment, params, network: buildNetwork(data), data }),
+          plants: computeLoads(designState(data), assignment, params.demandMultiplier).supplierUtil
+        };
+      })
+    };
+  }, [saved, baseId, chosenIds]);
+  const { columns, unreadable } = compared;
+  const [base, ...others] = columns;
+  const diffs = useMemo(() => others.map(c => diffScenarios(base, c)), [columns]);
+  // Rows changed in any scenario, keyed as in the diff
+  const changed = (section) => {
+    const rows = new Map();
+    diffs.forEach((d, k) => d[section].forEach(r => {
+      if (!rows.has(r.key)) rows.set(r.key, { label: r.label, from: r.from, to: {} });
+      rows.get(r.key).to[k] = r.to;
+    }));
+    return [...rows.entries()];
+  };
+  const plantIds = [...new Set(columns.flatMap(c => c.plants.map(p => p.id)))];
+  const utilOf = (c, id) => c.plants.find(p => p.id === id)?.util;
+  const cell = 'border-b border-slate-700 p-1';
+  const deltaClass = (delta, better) => (better === 0 || Math.abs(delta) < 1e-9 ? 'text-slate-400' : delta * better > 0 ? 'text-emerald-400' : 'text-rose-400');
+  const sectionRow = (title, count) => (
+    <tr><td colSpan={columns.length + 1} className="pt-3 pb-1 text-slate-400 font-semibold">{title}{count != null ? ` (${count} changed)` : ''}</td></tr>
+  );
+  const diffRows = (section) => changed(section).map(([key, row]) => (
+    <tr key={key} className="text-slate-200 text-center">
+      <td className={`${cell} text-left`}>{row.label}</td>
+      <td className={cell}>{row.from}</td>
+      {others.map((c, k) => (
+        <td key={c.snap.id} className={`${cell} ${row.to[k] != null ? 'text-amber-300' : 'text-slate-500'}`}>{row.to[k] ?? '='}</td>
+      ))}
+    </tr>
+  ));
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50">
+      <div className="bg-slate-800 border border-slate-700 rounded-lg p-4 max-h-[85vh] overflow-auto w-[1000px]">
+        <div className="flex justify-between items-center mb-3">
+          <h3 className="text-lg font-bold">Compare Saved Scenarios</h3>
+          <button className="btn" onClick={onClose}>Close</button>
+        </div>
+        {saved.length < 2 ? (
+          <div className="text-slate-400 text-sm">Save at least two scenarios to compare.</div>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2 mb-2 text-xs">
+              <label className="text-slate-400">Baseline</label>
+              <select value={baseId} onChange={(e) => onBaseline(e.target.value)} className="bg-slate-700 text-slate-200 text-xs p-1 rounded">
+                {saved.map((s) => (<option key={s.id} value={s.id}>{scenarioName(s)}</option>))}
+              </select>
+              <span className="text-slate-400 ml-2">Compare</span>
+              {saved.filter(s => s.id !== baseId).map((s) => (
+                <label key={s.id} className="flex items-center gap-1 text-slate-200">
+                  <input type="checkbox" checked={chosenIds.includes(s.id)}
+                    onChange={(e) => setChosenIds(ids => (e.target.checked ? [...ids, s.id] : ids.filter(id => id !== s.id)))} />
+                  {scenarioName(s)}
+                </label>
+              ))}
+            </div>
+            {unreadable.map(({ snap, errors }) => (
+              <div key={snap.id} className="text-rose-400 text-xs mb-1">
+                {scenarioName(snap)} cannot be compared: <code>{errors[0].path || '(scenario)'}</code>: {errors[0].message}
+                {errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}
+              </div>
+            ))}
+            {columns.length > 0 && (
+              <table className="w-full text-xs border-collapse">
+                <thead>
+                  <tr className="text-slate-300">
+                    <th className={`${cell} text-left`} />
+                    {columns.map((c, k) => (
+                      <th key={c.snap.id} className={cell}>
+                        <div>{scenarioName(c.snap)}{k === 0 ? ' (baseline)' : ''}</div>
+                        <div className="flex flex-wrap justify-center gap-1 font-normal">
+                          {(c.snap.tags || []).map(t => (<span key={t} className="px-1 rounded bg-slate-700 text-slate-300">{t}</span>))}
+                        </div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {sectionRow('KPIs')}
+                  {COMPARE_KPIS.map(([key, label, get, format, better]) => (
+                    <tr key={key} className="text-slate-200 text-center">
+                      <td className={`${cell} text-left`}>{label}</td>
+                      {columns.map((c, k) => {
+                        const delta = get(c.result) - get(base.result);
+                        return (
+                          <td key={c.snap.id} className={cell}>
+                            {format(get(c.result))}
+                            {k > 0 && <div className={deltaClass(delta, better)}>{delta > 0 ? '+' : delta < 0 ? '−' : '±'}{format(Math.abs(delta))}</div>}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                  {sectionRow('Plant utilisation')}
+                  {plantIds.map(id => (
+                    <tr key={id} className="text-slate-200 text-center">
+                      <td className={`${cell} text-left`}>{columns.map(c => c.data.plants.find(p => p.id === id)?.name).find(Boolean)}</td>
+                      {columns.map((c, k) => {
+                        const util = utilOf(c, id), baseUtil = utilOf(base, id);
+                        const delta = (util ?? 0) - (baseUtil ?? 0);
+                        return (
+                          <td key={c.snap.id} className={cell}>
+                            {util == null ? '–' : pct(util)}
+                            {k > 0 && util != null && baseUtil != null && <div className={deltaClass(delta, 0)}>{`${delta >= 0 ? '+' : '−'}${fmt(Math.abs(delta) * 100,1)} pp`}</div>}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                  {sectionRow('Levers', changed('levers').length)}
+                  {diffRows('levers')}
+                  {sectionRow('Assignments, lanes and modes', changed('assignment').length)}
+                  {diffRows('assignment')}
+                  {sectionRow('Network', changed('network').length)}
+                  {diffRows('network')}
+                </tbody>
+              </table>
+            )}
+            {others.length > 0 && (
+              <>
+                <div className="text-slate-400 text-xs font-semibold mt-3 mb-1">Cost bridge from {scenarioName(base.snap)}</div>
+                <div className="grid grid-cols-2 gap-3">
+                  {others.map(c => (<CostBridge key={c.snap.id} base={base} scenario={c} />))}
+                </div>
+                <div className="text-xs text-slate-500">Green bars lower cost, red bars raise it. Carbon is charged at each scenario's own carbon price.</div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Network model editor: plants, per-product qualification/demand, DCs, lanes
+// and regions.  Edits are made on a draft and applied to the model as soon as
+// the draft validates; field-level errors are shown until then.
+const EDITOR_TABS = [['plants', 'Plants'], ['products', 'Products'], ['dcs', 'DCs'], ['lanes', 'Lanes'], ['regions', 'Regions'], ['surge', 'Surge'], ['investments', 'Design']];
+function NetworkEditor({ data, onApply, onReset }) {
+  const [draft, setDraft] = useState(data);
+  const [tab, setTab] = useState('plants');
+  const [newId, setNewId] = useState('');
+  const [newLane, setNewLane] = useState({ from: '', to: '' });
+  // Loading a scenario replaces the model; drop any unapplied edits
+  useEffect(() => { setDraft(data); }, [data]);
+  const errors = useMemo(() => validateNetwork(draft), [draft]);
+  const errorAt = path => errors.find(e => e.path === path);
+  function update(fn) {
+    const next = JSON.parse(JSON.stringify(draft));
+    fn(next);
+    setDraft(next);
+    if (validateNetwork(next).length === 0) onApply(next);
+  }
+  const num = v => (v === '' ? NaN : parseFloat(v));
+  // Plain render helpers (not components) so inputs keep focus while typing
+  function numInput(path, value, onChange, step = 'any') {
+    const e = errorAt(path);
+    return (
+      <input type="number" step={step} className={`input ${e ? 'invalid' : ''}`} title={e?.message} value={Number.isFinite(value) ? value : ''} onChange={(ev) => onChange(num(ev.target.value))} />
+    );
+  }
+  function numCell(path, value, onChange, step = 'any') {
+    return (<td key={path} className="p-1">{numInput(path, value, onChange, step)}</td>);
+  }
+  // Latitude and longitude of a site; both blank leaves it off the map layout
+  function coordCell(kind, i, node) {
+    const input = (field, step) => {
+      const e = errorAt(`${kind}.${node.id}.${field}`);
+      return (
+        <input type="number" step={step} className={`input ${e ? 'invalid' : ''}`} style={{ width: '64px' }} title={e?.message ?? (field === 'lat' ? 'Latitude' : 'Longitude')}
+          placeholder={field} value={Number.isFinite(node[field]) ? node[field] : ''}
+          onChange={(ev) => update((next) => {
+            if (ev.target.value === '') delete next[kind][i][field];
+            else next[kind][i][field] = num(ev.target.value);
+          })} />
+      );
+    };
+    return (<td className="p-1"><div className="flex gap-1">{input('lat', 0.01)}{input('lon', 0.01)}</div></td>);
+  }
+  function regionSelect(value, onChange) {
+    return (
+      <select className="input" value={value} onChange={(e) => onChange(e.target.value)}>
+        {draft.regions.map((r) => (<option key={r.id} value={r.id}>{r.id}</option>))}
+      </select>
+    );
+  }
+  function addNode(kind) {
+    const id = newId.trim();
+    const taken = kind === 'investments'
+      ? draft.investments.some(o => o.id === id)
+      : [...draft.plants, ...draft.dcs, ...draft.overflowProviders].some(n => n.id === id) || (kind === 'products' ? draft.products : draft.regions).some(n => n.id === id);
+    if (!/^[A-Za-z0-9_]+$/.test(id) || taken) return;
+    update((next) => {
+      const region = next.regions[0]?.id;
+      if (kind === 'plants') next.plants.push({ id, name: id, region, capacity: 50000, uptime: 0.95, baseRisk: 0.02, shutdowns: [], ...PLANT_RECOVERY_DEFAULTS, licences: { [region]: { status: 'approved' } } });
+      if (kind === 'dcs') next.dcs.push({ id, name: id, region, ...DC_RECOVERY_DEFAULTS, ...DC_CAPACITY_DEFAULTS });
+      if (kind === 'products') next.products.push({ id, code: id.slice(0, 4), name: id, unit: 'doses', monthlyDemand: { [region]: 0 }, convCost: {}, ...productHorizonDefaults(), price: PRODUCT_PRICE_DEFAULT });
+      if (kind === 'regions') next.regions.push({ id, name: id, risk: 0.01, ...REGION_LEAD_TIME_DEFAULTS, ...REGION_RELEASE_DEFAULTS, ...REGION_TRADE_DEFAULTS });
+      if (kind === 'surge') next.overflowProviders.push({ id, name: id, region, ...SURGE_PROVIDER_DEFAULTS, tiers: SURGE_PROVIDER_DEFAULTS.tiers.map(t => ({ ...t })) });
+      if (kind === 'investments') next.investments.push({ id, name: id, kind: 'expand', site: next.plants[0]?.id, capacity: 20000, capex: 5000000, fixedCost: 500000, leadMonths: 6 });
+    });
+    setNewId('');
+  }
+  // Design options at a removed site go with it
+  function dropOptionsAt(next, site) {
+    const gone = next.investments.filter(o => o.site === site).map(o => o.id);
+    next.investments = next.investments.filter(o => o.site !== site);
+    next.design = next.design.filter(id => !gone.includes(id));
+  }
+  function removePlant(id) {
+    update((next) => {
+      next.plants = next.plants.filter(p => p.id !== id);
+      dropOptionsAt(next, id);
+      for (const key of Object.keys(next.lanes)) if (key.startsWith(`${id}->`)) delete next.lanes[key];
+      next.products.forEach((prod) => { delete prod.convCost[id]; });
+    });
+  }
+  function removeDC(id) {
+    update((next) => {
+      next.dcs = next.dcs.filter(dc => dc.id !== id);
+      dropOptionsAt(next, id);
+      for (const key of Object.keys(next.lanes)) if (key.endsWith(`->${id}`)) delete next.lanes[key];
+    });
+  }
+  function removeRegion(id) {
+    update((next) => {
+      next.regions = next.regions.filter(r => r.id !== id);
+      next.products.forEach((prod) => { delete prod.monthlyDemand[id]; });
+      next.plants.forEach((p) => { delete p.licences[id]; });
+      for (const route of Object.keys(next.duties)) if (route.split('->').includes(id)) delete next.duties[route];
+      next.overflowProviders = next.overflowProviders.filter(prov => prov.region !== id);
+    });
+  }
+  const addForm = kind => (
+    <div className="flex gap-2 mt-2">
+      <input className="input" placeholder="New ID" value={newId} onChange={(e) => setNewId(e.target.value)} />
+      <button className="btn" onClick={() => addNode(kind)}>Add</button>
+    </div>
+  );
+  return (
+    <div className="text-xs">
+      <div className="flex gap-1 mb-2">
+        {EDITOR_TABS.map(([id, label]) => (
+          <button key={id} className={`btn ${tab === id ? 'primary' : 'ghost'}`} onClick={() => { setTab(id); setNewId(''); }}>{label}</button>
+        ))}
+      </div>
+      {tab === 'plants' && (
+        <>
+          <table className="w-full text-xs border-collapse">
+            <thead><tr className="text-slate-400"><th className="text-left p-1">Plant</th><th className="p-1">Region</th><th className="p-1">Capacity</th><th className="p-1">Uptime</th><th className="p-1">Base risk</th><th className="p-1" title="Annual shutdown windows (month, days down)">Shutdowns</th><th className="p-1" title="Days to restore the site after a major disruption">Recovery d</th><th className="p-1" title="Approval to supply each market; pending approvals take effect from a horizon month">Licences</th><th className="p-1" title="Site coordinates (degrees) for the map layout">Lat / Lon</th><th /></tr></thead>
+            <tbody>
+              {draft.plants.map((p, i) => (
+                <tr key={p.id}>
+                  <td className="p-1"><input className="input" title={p.id} value={p.name} onChange={(e) => update((next) => { next.plants[i].name = e.target.value; })} /></td>
+                  <td className="p-1">{regionSelect(p.region, (v) => update((next) => { next.plants[i].region = v; }))}</td>
+                  {numCell(`plants.${p.id}.capacity`, p.capacity, (v) => update((next) => { next.plants[i].capacity = v; }), 1000)}
+                  {numCell(`plants.${p.id}.uptime`, p.uptime, (v) => update((next) => { next.plants[i].uptime = v; }), 0.01)}
+                  {numCell(`plants.${p.id}.baseRisk`, p.baseRisk, (v) => update((next) => { next.plants[i].baseRisk = v; }), 0.001)}
+                  <td className="p-1">
+                    {(p.shutdowns || []).map((sd, k) => (
+                      <div key={k} className="flex gap-1 mb-1">
+                        <select className="input" value={sd.month} onChange={(e) => update((next) => { next.plants[i].shutdowns[k].month = parseInt(e.target.value, 10); })}>
+                          {MONTH_NAMES.map((m, mi) => (<option key={m} value={mi}>{m}</option>))}
+                        </select>
+                        {numInput(`plants.${p.id}.shutdowns.${k}.days`, sd.days, (v) => update((next) => { next.plants[i].shutdowns[k].days = v; }), 1)}
+                        <button className="btn ghost" title="Remove shutdown" onClick={() => update((next) => { next.plants[i].shutdowns.splice(k, 1); })}>✕</button>
+                      </div>
+                    ))}
+                    <button className="btn ghost" onClick={() => update((next) => { next.plants[i].shutdowns.push({ month: 0, days: 7 }); })}>+ shutdown</button>
+                  </td>
+                  {numCell(`plants.${p.id}.recoveryDays`, p.recoveryDays, (v) => update((next) => { next.plants[i].recoveryDays = v; }), 1)}
+                  <td className="p-1">
+                    {draft.regions.map((r) => {
+                      const licence = p.licences?.[r.id];
+                      const path = `plants.${p.id}.licences.${r.id}.effectiveMonth`;
+                      return (
+                        <div key={r.id} className="flex items-center gap-1 mb-1">
+                          <span className="w-8">{r.id}</span>
+                          <select className="input" value={licence?.status ?? 'none'} onChange={(e) => update((next) => {
+                            const status = e.target.value;
+                            next.plants[i].licences[r.id] = status === 'pending' ? { status, effectiveMonth: licence?.effectiveMonth ?? 0 } : { status };
+                          })}>
+                            {LICENCE_STATUSES.map((x) => (<option key={x.value} value={x.value}>{x.label}</option>))}
+                          </select>
+                          {licence?.status === 'pending' && (
+                            <input type="number" step="1" style={{ width: '50px' }} className={`input ${errorAt(path) ? 'invalid' : ''}`}
+                              title={errorAt(path)?.message || 'Effective from horizon month (1 = first)'} value={(licence.effectiveMonth ?? 0) + 1}
+                              onChange={(e) => update((next) => { next.plants[i].licences[r.id].effectiveMonth = Math.max(0, Math.round(num(e.target.value)) - 1); })} />
+                          )}
+                        </div>
+                      );
+                    })}
+                  </td>
+                  {coordCell('plants', i, p)}
+                  <td className="p-1"><button className="btn ghost" title={`Delete ${p.id}`} onClick={() => removePlant(p.id)}>✕</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {addForm('plants')}
+        </>
+      )}
+      {tab === 'products' && (
+        <>
+          {draft.products.map((prod, i) => (
+            <div key={prod.id} className="mb-2">
+              <div className="flex items-center gap-2 mb-1">
+                <input className="input" style={{ width: '70px' }} value={prod.code} onChange={(e) => update((next) => { next.products[i].code = e.target.value; })} />
+                <input className="input" value={prod.name} onChange={(e) => update((next) => { next.products[i].name = e.target.value; })} />
+                <button className="btn ghost" title={`Delete ${prod.id}`} onClick={() => update((next) => { next.products.splice(i, 1); })}>✕</button>
+              </div>
+              <table className="w-full text-xs border-collapse">
+                <tbody>
+                  <tr>
+                    <td className="p-1 text-slate-400">Demand / month</td>
+                    {draft.regions.map((r) => numCell(`products.${prod.id}.monthlyDemand.${r.id}`, prod.monthlyDemand[r.id] ?? 0, (v) => update((next) => { next.products[i].monthlyDemand[r.id] = v; }), 1000))}
+                  </tr>
+                  <tr className="text-slate-500">
+                    <td />
+                    {draft.regions.map((r) => (<td key={r.id} className="p-1 text-center">{r.id}</td>))}
+                  </tr>
+                  <tr>
+                    <td className="p-1 text-slate-400">Conv. $/dose</td>
+                    {draft.plants.map((p) => {
+                      const path = `products.${prod.id}.convCost.${p.id}`;
+                      return (
+                        <td key={p.id} className="p-1">
+                          <input type="number" step="0.1" placeholder="n/q" className={`input ${errorAt(path) ? 'invalid' : ''}`} title={errorAt(path)?.message || 'Blank = not qualified'}
+                            value={prod.convCost[p.id] ?? ''}
+                            onChange={(e) => update((next) => {
+                              if (e.target.value === '') delete next.products[i].convCost[p.id];
+                              else next.products[i].convCost[p.id] = num(e.target.value);
+                            })} />
+                        </td>
+                      );
+                    })}
+                  </tr>
+                  <tr className="text-slate-500">
+                    <td />
+                    {draft.plants.map((p) => (<td key={p.id} className="p-1 text-center" title={p.name}>{p.id}</td>))}
+                  </tr>
+                </tbody>
+              </table>
+              <table className="w-full text-xs border-collapse">
+                <tbody>
+                  <tr>
+                    <td className="p-1 text-slate-400">Seasonality</td>
+                    {MONTH_NAMES.map((m, mi) => numCell(`products.${prod.id}.seasonality.${mi}`, prod.seasonality?.[mi], (v) => update((next) => { next.products[i].seasonality[mi] = v; }), 0.05))}
+                  </tr>
+                  <tr className="text-slate-500">
+                    <td />
+                    {MONTH_NAMES.map((m) => (<td key={m} className="p-1 text-center">{m}</td>))}
+                  </tr>
+                </tbody>
+              </table>
+              <div className="flex items-center gap-2 mt-1">
+                <span className="text-slate-400">Holding $/dose·month</span>
+                {numInput(`products.${prod.id}.holdingCost`, prod.holdingCost, (v) => update((next) => { next.products[i].holdingCost = v; }), 0.01)}
+                <span className="text-slate-400">Shelf life (months)</span>
+                {numInput(`products.${prod.id}.shelfLifeMonths`, prod.shelfLifeMonths, (v) => update((next) => { next.products[i].shelfLifeMonths = v; }), 1)}
+                <span className="text-slate-400">Price $/dose</span>
+                {numInput(`products.${prod.id}.price`, prod.price, (v) => update((next) => { next.products[i].price = v; }), 1)}
+              </div>
+            </div>
+          ))}
+          {addForm('products')}
+        </>
+      )}
+      {tab === 'dcs' && (
+        <>
+          <table className="w-full text-xs border-collapse">
+            <thead><tr className="text-slate-400"><th className="text-left p-1">DC</th><th className="p-1">Region</th><th className="p-1" title="Strategic stock held, in days of the region's demand">Buffer d</th><th className="p-1" title="Days to restore the DC after a major disruption">Recovery d</th><th className="p-1" title="Doses the DC can receive per month">Throughput</th><th className="p-1" title="Handling cost per dose received">Handling $</th><th className="p-1" title="Fixed cost per month while open">Fixed $/mo</th><th className="p-1" title="Site coordinates (degrees) for the map layout">Lat / Lon</th><th /></tr></thead>
+            <tbody>
+              {draft.dcs.map((dc, i) => (
+                <tr key={dc.id}>
+                  <td className="p-1"><input className="input" title={dc.id} value={dc.name} onChange={(e) => update((next) => { next.dcs[i].name = e.target.value; })} /></td>
+                  <td className="p-1">{regionSelect(dc.region, (v) => update((next) => { next.dcs[i].region = v; }))}</td>
+                  {numCell(`dcs.${dc.id}.bufferDays`, dc.bufferDays, (v) => update((next) => { next.dcs[i].bufferDays = v; }), 1)}
+                  {numCell(`dcs.${dc.id}.recoveryDays`, dc.recoveryDays, (v) => update((next) => { next.dcs[i].recoveryDays = v; }), 1)}
+                  {numCell(`dcs.${dc.id}.capacity`, dc.capacity, (v) => update((next) => { next.dcs[i].capacity = v; }), 1000)}
+                  {numCell(`dcs.${dc.id}.handlingCost`, dc.handlingCost, (v) => update((next) => { next.dcs[i].handlingCost = v; }), 0.01)}
+                  {numCell(`dcs.${dc.id}.fixedCost`, dc.fixedCost, (v) => update((next) => { next.dcs[i].fixedCost = v; }), 1000)}
+                  {coordCell('dcs', i, dc)}
+                  <td className="p-1"><button className="btn ghost" title={`Delete ${dc.id}`} onClick={() => removeDC(dc.id)}>✕</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {addForm('dcs')}
+        </>
+      )}
+      {tab === 'lanes' && (
+        <>
+          <table className="w-full text-xs border-collapse">
+            <thead><tr className="text-slate-400"><th className="text-left p-1">Lane</th><th className="p-1">km</th><th className="p-1" title="Allowed modes and hours in transit by each (blank = lead time)">Modes / transit h</th><th className="p-1">Packaging</th><th /></tr></thead>
+            <tbody>
+              {Object.entries(draft.lanes).map(([key, lane]) => (
+                <tr key={key}>
+                  <td className="p-1">{key.replace('->', ' → ')}</td>
+                  {numCell(`lanes.${key}.km`, lane.km, (v) => update((next) => { next.lanes[key].km = v; }), 50)}
+                  <td className={`p-1 ${errorAt(`lanes.${key}.modes`) ? 'text-rose-400' : ''}`}>
+                    {Object.keys(MODES).map((m) => {
+                      const path = `lanes.${key}.transitHours.${m}`;
+                      return (
+                        <div key={m} className="flex items-center gap-1 mb-1">
+                          <label className="w-16">
+                            <input type="checkbox" checked={lane.modes.includes(m)} onChange={(e) => update((next) => {
+                              const modes = next.lanes[key].modes.filter(x => x !== m);
+                              next.lanes[key].modes = e.target.checked ? [...modes, m] : modes;
+                            })} /> {MODES[m].name}
+                          </label>
+                          {lane.modes.includes(m) && (
+                            <input type="number" step="1" style={{ width: '70px' }} placeholder={`${MODES[m].leadTime * 24}`} className={`input ${errorAt(path) ? 'invalid' : ''}`}
+                              title={errorAt(path)?.message || 'Hours in transit (blank = lead time)'} value={lane.transitHours?.[m] ?? ''}
+                              onChange={(e) => update((next) => {
+                                if (e.target.value === '') delete next.lanes[key].transitHours[m];
+                                else next.lanes[key].transitHours[m] = num(e.target.value);
+                              })} />
+                          )}
+                        </div>
+                      );
+                    })}
+                  </td>
+                  <td className="p-1">
+                    <select className="input" value={lane.packaging} title={`${PACKAGING[lane.packaging]?.holdHours} h hold, $${PACKAGING[lane.packaging]?.unitCost}/dose`}
+                      onChange={(e) => update((next) => { next.lanes[key].packaging = e.target.value; })}>
+                      {Object.entries(PACKAGING).map(([id, pkg]) => (<option key={id} value={id}>{pkg.name}</option>))}
+                    </select>
+                  </td>
+                  <td className="p-1"><button className="btn ghost" title={`Delete ${key}`} onClick={() => update((next) => { delete next.lanes[key]; })}>✕</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex gap-2 mt-2">
+            <select className="input" value={newLane.from} onChange={(e) => setNewLane({ ...newLane, from: e.target.value })}>
+              <option value="">Plant…</option>
+              {draft.plants.map((p) => (<option key={p.id} value={p.id}>{p.id}</option>))}
+            </select>
+            <select className="input" value={newLane.to} onChange={(e) => setNewLane({ ...newLane, to: e.target.value })}>
+              <option value="">DC…</option>
+              {draft.dcs.map((dc) => (<option key={dc.id} value={dc.id}>{dc.id}</option>))}
+            </select>
+            <button className="btn" disabled={!newLane.from || !newLane.to || draft.lanes[`${newLane.from}->${newLane.to}`]}
+              onClick={() => update((next) => { next.lanes[`${newLane.from}->${newLane.to}`] = { km: 0, modes: ['ground'], packaging: 'passive', transitHours: {} }; })}>Add</button>
+          </div>
+        </>
+      )}
+      {tab === 'regions' && (
+        <>
+          <table className="w-full text-xs border-collapse">
+            <thead><tr className="text-slate-400"><th className="text-left p-1">Region</th><th className="p-1">Name</th><th className="p-1">Risk</th><th className="p-1" title="Delivery window (days)">Window d</th><th className="p-1" title="DC safety stock (days of cover)">SS d</th><th className="p-1" title="Release-testing days added to supply from plants in other regions">Release d</th><th className="p-1" title="Release-testing cost per dose supplied from plants in other regions (local currency)">Release</th><th className="p-1" title="Currency site costs in the region are quoted in">Currency</th><th className="p-1" title="USD per unit of the region's currency">FX</th><th className="p-1" title="Customs brokerage per dose imported into the region">Brokerage $</th><th /></tr></thead>
+            <tbody>
+              {draft.regions.map((r, i) => (
+                <tr key={r.id}>
+                  <td className="p-1">{r.id}</td>
+                  <td className="p-1"><input className="input" value={r.name} onChange={(e) => update((next) => { next.regions[i].name = e.target.value; })} /></td>
+                  {numCell(`regions.${r.id}.risk`, r.risk, (v) => update((next) => { next.regions[i].risk = v; }), 0.001)}
+                  {numCell(`regions.${r.id}.deliveryWindowDays`, r.deliveryWindowDays, (v) => update((next) => { next.regions[i].deliveryWindowDays = v; }), 1)}
+                  {numCell(`regions.${r.id}.safetyStockDays`, r.safetyStockDays, (v) => update((next) => { next.regions[i].safetyStockDays = v; }), 1)}
+                  {numCell(`regions.${r.id}.releaseLeadDays`, r.releaseLeadDays, (v) => update((next) => { next.regions[i].releaseLeadDays = v; }), 1)}
+                  {numCell(`regions.${r.id}.releaseCost`, r.releaseCost, (v) => update((next) => { next.regions[i].releaseCost = v; }), 0.05)}
+                  <td className="p-1">
+                    <input className={`input ${errorAt(`regions.${r.id}.currency`) ? 'invalid' : ''}`} style={{ width: '50px' }} title={errorAt(`regions.${r.id}.currency`)?.message}
+                      value={r.currency} onChange={(e) => update((next) => { next.regions[i].currency = e.target.value.toUpperCase(); })} />
+                  </td>
+                  {numCell(`regions.${r.id}.fxRate`, r.fxRate, (v) => update((next) => { next.regions[i].fxRate = v; }), 0.01)}
+                  {numCell(`regions.${r.id}.brokerageCost`, r.brokerageCost, (v) => update((next) => { next.regions[i].brokerageCost = v; }), 0.01)}
+                  <td className="p-1"><button className="btn ghost" title={`Delete ${r.id}`} onClick={() => removeRegion(r.id)}>✕</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="text-slate-400 mt-2 mb-1">Import duty (share of customs value), origin ↓ destination →</div>
+          <table className="text-xs border-collapse">
+            <thead><tr className="text-slate-400"><th />{draft.regions.map((r) => (<th key={r.id} className="p-1">{r.id}</th>))}</tr></thead>
+            <tbody>
+              {draft.regions.map((from) => (
+                <tr key={from.id}>
+                  <td className="p-1 text-slate-400">{from.id}</td>
+                  {draft.regions.map((to) => (from.id === to.id
+                    ? <td key={to.id} className="p-1 text-center text-slate-600">–</td>
+                    : numCell(`duties.${from.id}->${to.id}`, draft.duties[`${from.id}->${to.id}`] ?? 0, (v) => update((next) => { next.duties[`${from.id}->${to.id}`] = v; }), 0.005)))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {addForm('regions')}
+        </>
+      )}
+      {tab === 'surge' && (
+        <>
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="text-slate-400">
+                <th className="text-left p-1">Provider</th>
+                <th className="p-1">Region</th>
+                <th className="p-1" title="Doses/month; empty = unlimited">Capacity</th>
+                <th className="p-1" title="Price per dose up to each volume a month; the last tier has no limit">Price tiers</th>
+                <th className="p-1" title="kg CO₂ per dose">CO₂</th>
+                <th className="p-1" title="Share of each surge dose counted as late">Penalty</th>
+                <th className="p-1" title="Months into the horizon before the provider can fill">Lead mo</th>
+                <th className="p-1" title="Doses billed every month once the provider has been used">Min vol</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {draft.overflowProviders.map((prov, i) => (
+                <tr key={prov.id}>
+                  <td className="p-1"><input className="input" title={prov.id} value={prov.name} onChange={(e) => update((next) => { next.overflowProviders[i].name = e.target.value; })} /></td>
+                  <td className="p-1">{regionSelect(prov.region, (v) => update((next) => { next.overflowProviders[i].region = v; }))}</td>
+                  <td className="p-1">
+                    <input type="number" step={1000} className={`input ${errorAt(`overflowProviders.${prov.id}.capacity`) ? 'invalid' : ''}`} title={errorAt(`overflowProviders.${prov.id}.capacity`)?.message}
+                      placeholder="∞" value={prov.capacity ?? ''} onChange={(e) => update((next) => { next.overflowProviders[i].capacity = e.target.value === '' ? null : num(e.target.value); })} />
+                  </td>
+                  <td className="p-1">
+                    {prov.tiers.map((tier, k) => (
+                      <div key={k} className="flex gap-1 mb-1 items-center">
+                        {k < prov.tiers.length - 1
+                          ? numInput(`overflowProviders.${prov.id}.tiers.${k}.upTo`, tier.upTo, (v) => update((next) => { next.overflowProviders[i].tiers[k].upTo = v; }), 1000)
+                          : <span className="text-slate-500 px-1">rest</span>}
+                        {numInput(`overflowProviders.${prov.id}.tiers.${k}.unitCost`, tier.unitCost, (v) => update((next) => { next.overflowProviders[i].tiers[k].unitCost = v; }), 0.1)}
+                        {prov.tiers.length > 1 && (
+                          <button className="btn ghost" title="Remove tier" onClick={() => update((next) => {
+                            const tiers = next.overflowProviders[i].tiers;
+                            tiers.splice(k, 1);
+                            tiers[tiers.length - 1].upTo = null;
+                          })}>✕</button>
+                        )}
+                      </div>
+                    ))}
+                    <button className="btn ghost" onClick={() => update((next) => {
+                      const tiers = next.overflowProviders[i].tiers;
+                      const last = tiers[tiers.length - 1];
+                      const from = tiers.length > 1 ? tiers[tiers.length - 2].upTo : 0;
+                      last.upTo = from + 10000;
+                      tiers.push({ upTo: null, unitCost: last.unitCost });
+                    })}>+ tier</button>
+                  </td>
+                  {numCell(`overflowProviders.${prov.id}.co2`, prov.co2, (v) => update((next) => { next.overflowProviders[i].co2 = v; }), 0.1)}
+                  {numCell(`overflowProviders.${prov.id}.servicePenalty`, prov.servicePenalty, (v) => update((next) => { next.overflowProviders[i].servicePenalty = v; }), 0.01)}
+                  {numCell(`overflowProviders.${prov.id}.activationMonths`, prov.activationMonths, (v) => update((next) => { next.overflowProviders[i].activationMonths = v; }), 1)}
+                  {numCell(`overflowProviders.${prov.id}.minVolume`, prov.minVolume, (v) => update((next) => { next.overflowProviders[i].minVolume = v; }), 1000)}
+                  <td className="p-1"><button className="btn ghost" title={`Delete ${prov.id}`} onClick={() => update((next) => { next.overflowProviders.splice(i, 1); })}>✕</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {addForm('surge')}
+          <div className="text-slate-500 mt-1">Surge providers fill what the network cannot while “Allow surge/overflow” is on; demand beyond their capacity goes unserved.</div>
+        </>
+      )}
+      {tab === 'investments' && (
+        <>
+          <table className="w-full text-xs border-collapse">
+            <thead>
+              <tr className="text-slate-400">
+                <th className="p-1" title="Taken in the current network">In</th>
+                <th className="text-left p-1">Option</th>
+                <th className="p-1">Kind</th>
+                <th className="p-1">Site</th>
+                <th className="p-1" title="Doses/month added by a line">+Capacity</th>
+                <th className="p-1">Capex $</th>
+                <th className="p-1" title="Change in annual fixed cost (negative = saving)">Fixed $/yr</th>
+                <th className="p-1" title="Months until qualified">Lead mo</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {draft.investments.map((o, i) => (
+                <tr key={o.id}>
+                  <td className="p-1 text-center">
+                    <input type="checkbox" checked={draft.design.includes(o.id)} onChange={(e) => update((next) => {
+                      next.design = e.target.checked ? [...next.design, o.id] : next.design.filter(id => id !== o.id);
+                    })} />
+                  </td>
+                  <td className="p-1"><input className="input" title={o.id} value={o.name} onChange={(e) => update((next) => { next.investments[i].name = e.target.value; })} /></td>
+                  <td className="p-1">
+                    <select className={`input ${errorAt(`investments.${o.id}.kind`) ? 'invalid' : ''}`} title={errorAt(`investments.${o.id}.kind`)?.message} value={o.kind}
+                      onChange={(e) => update((next) => { next.investments[i].kind = e.target.value; })}>
+                      {INVESTMENT_KINDS.map((k) => (<option key={k.value} value={k.value}>{k.label}</option>))}
+                    </select>
+                  </td>
+                  <td className="p-1">
+                    <select className={`input ${errorAt(`investments.${o.id}.site`) ? 'invalid' : ''}`} title={errorAt(`investments.${o.id}.site`)?.message} value={o.site}
+                      onChange={(e) => update((next) => { next.investments[i].site = e.target.value; })}>
+                      {[...draft.plants, ...(o.kind === 'expand' ? [] : draft.dcs)].map((n) => (<option key={n.id} value={n.id}>{n.id}</option>))}
+                    </select>
+                  </td>
+                  {o.kind === 'expand'
+                    ? numCell(`investments.${o.id}.capacity`, o.capacity, (v) => update((next) => { next.investments[i].capacity = v; }), 1000)
+                    : <td className="p-1 text-center text-slate-500">–</td>}
+                  {numCell(`investments.${o.id}.capex`, o.capex, (v) => update((next) => { next.investments[i].capex = v; }), 100000)}
+                  {numCell(`investments.${o.id}.fixedCost`, o.fixedCost, (v) => update((next) => { next.investments[i].fixedCost = v; }), 100000)}
+                  {numCell(`investments.${o.id}.leadMonths`, o.leadMonths, (v) => update((next) => { next.investments[i].leadMonths = v; }), 1)}
+                  <td className="p-1"><button className="btn ghost" title={`Delete ${o.id}`} onClick={() => update((next) => {
+                    next.investments.splice(i, 1);
+                    next.design = next.design.filter(id => id !== o.id);
+                  })}>✕</button></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {addForm('investments')}
+          <div className="flex items-center gap-2 mt-2">
+            <span className="text-slate-400">Discount rate</span>
+            {numInput('finance.discountRate', draft.finance.discountRate, (v) => update((next) => { next.finance.discountRate = v; }), 0.01)}
+            <span className="text-slate-400">Appraisal life (years)</span>
+            {numInput('finance.lifeYears', draft.finance.lifeYears, (v) => update((next) => { next.finance.lifeYears = v; }), 1)}
+          </div>
+          <div className="text-slate-500 mt-1">A site with an “Open site” option is only in the network while that option is taken.</div>
+        </>
+      )}
+      {errors.length > 0 && (
+        <div className="mt-2 text-rose-400">
+          <div className="font-semibold">Not applied – fix {errors.length} error{errors.length > 1 ? 's' : ''}:</div>
+          {errors.map((e, idx) => (<div key={idx}>{e.path}: {e.message}</div>))}
+        </div>
+      )}
+      <div className="flex gap-2 mt-2">
+        <button className="btn ghost" onClick={() => setDraft(data)} disabled={draft === data}>Discard edits</button>
+        <button className="btn ghost" onClick={onReset}>Reset to default network</button>
+      </div>
+    </div>
+  );
+}
+
+// One demand row ("LRU") per product and region; assignments are keyed by its id.
+// Each assignment entry is a list of legs `{ supplierId, assemblyId, mode, share }`
+// whose shares split the row's demand (a single leg with share 1 when set
+// from the graph; several when the optimizer splits volume).
+const lruKey = (productId, region) => `${productId}:${region}`;
+// Legs of an assignment entry; entries saved before splits were a single pick.
+const legsOf = pick => (Array.isArray(pick) ? pick : pick ? [{ ...pick, share: 1 }] : []);
+
+// Allocation (flowKey → units) implied by an assignment
+function allocFromAssignment(lrus, assignment, demandMultiplier) {
+  const alloc = {};
+  lrus.forEach((lru) => {
+    for (const leg of legsOf(assignment[lru.id])) {
+      const units = Math.round(lru.baseDemand * demandMultiplier * leg.share);
+      const key = flowKey(lru.productId, leg.supplierId, leg.assemblyId, leg.mode);
+      alloc[key] = (alloc[key] || 0) + units;
+    }
+  });
+  return alloc;
+}
+// Per-period allocations for a horizon that follow seasonal demand with the
+// assignment's leg shares (a chase plan: no stock is built ahead).
+function chasePlan(lrus, assignment, demandMultiplier, products, horizon) {
+  return Array.from({ length: horizon.months }, (_, t) => {
+    const month = calendarMonth(horizon, t);
+    const alloc = {};
+    lrus.forEach((lru) => {
+      const factor = seasonFactor(products.find(p => p.id === lru.productId), month);
+      for (const leg of legsOf(assignment[lru.id])) {
+        const units = Math.round(lru.baseDemand * demandMultiplier * factor * leg.share);
+        const key = flowKey(lru.productId, leg.supplierId, leg.assemblyId, leg.mode);
+        alloc[key] = (alloc[key] || 0) + units;
+      }
+    });
+    return alloc;
+  });
+}
+function demandRows(products) {
+  return products.flatMap((prod) => Object.entries(prod.monthlyDemand).map(([region, baseDemand]) => ({
+    id: lruKey(prod.id, region),
+    productId: prod.id,
+    region,
+    name: `${prod.code} ${region} Demand`,
+    tag: `${prod.code}·${region}`,
+    baseDemand,
+    bomLaborHours: 1.0,
+    bomScrapRate: 0
+  })));
+}
+
+// Saved scenarios and share links from the single-product model keyed the
+// assignment by region only; map those onto the first product's rows.  Picks
+// that reference plants or DCs no longer in the network fall back too.
+function normalizeAssignment(raw, lrus, fallback, data) {
+  const next = { ...fallback };
+  for (const [key, pick] of Object.entries(raw || {})) {
+    const id = lrus.some(l => l.id === key) ? key : lruKey(lrus[0].productId, key);
+    if (!lrus.some(l => l.id === id)) continue;
+    const legs = legsOf(pick);
+    if (data && !legs.every(leg => data.plants.some(p => p.id === leg.supplierId) && data.dcs.some(d => d.id === leg.assemblyId))) continue;
+    next[id] = legs;
+  }
+  return next;
+}
+
+/**
+ * Validate an edited network model.  Returns a list of `{ path, message }`
+ * errors where `path` names the offending field (e.g. `plants.CMO_EU.uptime`);
+ * an empty list means the model can be evaluated.
+ */
+function validateNetwork(data) {
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  const isNum = x => typeof x === 'number' && Number.isFinite(x);
+  const checkId = (path, id, seen) => {
+    if (typeof id !== 'string' || !/^[A-Za-z0-9_]+$/.test(id)) err(path, 'ID must be letters, digits or _');
+    else if (seen.has(id)) err(path, `Duplicate ID ${id}`);
+    seen.add(id);
+  };
+  const regionIds = new Set();
+  (data.regions || []).forEach((r) => {
+    checkId(`regions.${r.id}.id`, r.id, regionIds);
+    if (!isNum(r.risk) || r.risk < 0 || r.risk > 1) err(`regions.${r.id}.risk`, 'Risk must be between 0 and 1');
+    if (!isNum(r.deliveryWindowDays) || r.deliveryWindowDays < 0) err(`regions.${r.id}.deliveryWindowDays`, 'Delivery window must be ≥ 0 days');
+    if (!isNum(r.safetyStockDays) || r.safetyStockDays < 0) err(`regions.${r.id}.safetyStockDays`, 'Safety stock must be ≥ 0 days');
+    if (!isNum(r.releaseLeadDays) || r.releaseLeadDays < 0) err(`regions.${r.id}.releaseLeadDays`, 'Release lead time must be ≥ 0 days');
+    if (!isNum(r.releaseCost) || r.releaseCost < 0) err(`regions.${r.id}.releaseCost`, 'Release cost must be a number ≥ 0');
+    if (typeof r.currency !== 'string' || !/^[A-Z]{3}$/.test(r.currency)) err(`regions.${r.id}.currency`, 'Currency must be a 3-letter code');
+    if (!isNum(r.fxRate) || r.fxRate <= 0) err(`regions.${r.id}.fxRate`, 'FX rate must be a number > 0');
+    if (!isNum(r.brokerageCost) || r.brokerageCost < 0) err(`regions.${r.id}.brokerageCost`, 'Brokerage must be a number ≥ 0');
+  });
+  if (!data.duties || typeof data.duties !== 'object' || Array.isArray(data.duties)) err('duties', 'Must be an object of rates per origin->destination');
+  else for (const [route, rate] of Object.entries(data.duties)) {
+    const [from, to] = route.split('->');
+    if (!regionIds.has(from) || !regionIds.has(to) || from === to) err(`duties.${route}`, 'Route must join two different known regions');
+    else if (!isNum(rate) || rate < 0 || rate > 1) err(`duties.${route}`, 'Duty rate must be between 0 and 1');
+  }
+  if (regionIds.size === 0) err('regions', 'At least one region is required');
+  // Plants and DCs share one ID space as nodes of the graph
+  const nodeIds = new Set();
+  // Coordinates are optional, but a site either has both or neither
+  const checkCoords = (path, site) => {
+    if (site.lat == null && site.lon == null) return;
+    if (!isNum(site.lat) || site.lat < -90 || site.lat > 90) err(`${path}.lat`, 'Latitude must be between -90 and 90');
+    if (!isNum(site.lon) || site.lon < -180 || site.lon > 180) err(`${path}.lon`, 'Longitude must be between -180 and 180');
+  };
+  (data.plants || []).forEach((p) => {
+    checkId(`plants.${p.id}.id`, p.id, nodeIds);
+    if (!regionIds.has(p.region)) err(`plants.${p.id}.region`, `Unknown region ${p.region}`);
+    if (!isNum(p.capacity) || p.capacity < 0) err(`plants.${p.id}.capacity`, 'Capacity must be a number ≥ 0');
+    if (!isNum(p.uptime) || p.uptime <= 0 || p.uptime > 1) err(`plants.${p.id}.uptime`, 'Uptime must be in (0, 1]');
+    if (!isNum(p.baseRisk) || p.baseRisk < 0 || p.baseRisk > 1) err(`plants.${p.id}.baseRisk`, 'Base risk must be between 0 and 1');
+    if (!Array.isArray(p.shutdowns)) err(`plants.${p.id}.shutdowns`, 'Must be a list');
+    else p.shutdowns.forEach((sd, k) => {
+      if (!Number.isInteger(sd?.month) || sd.month < 0 || sd.month > 11) err(`plants.${p.id}.shutdowns.${k}.month`, 'Month must be 0–11');
+      if (!isNum(sd?.days) || sd.days < 0 || sd.days > 30) err(`plants.${p.id}.shutdowns.${k}.days`, 'Days must be between 0 and 30');
+    });
+    if (!isNum(p.recoveryDays) || p.recoveryDays < 0) err(`plants.${p.id}.recoveryDays`, 'Recovery time must be ≥ 0 days');
+    checkCoords(`plants.${p.id}`, p);
+    if (!p.licences || typeof p.licences !== 'object' || Array.isArray(p.licences)) err(`plants.${p.id}.licences`, 'Must be an object of licences per region');
+    else for (const [region, licence] of Object.entries(p.licences)) {
+      const path = `plants.${p.id}.licences.${region}`;
+      if (!regionIds.has(region)) err(path, `Unknown region ${region}`);
+      else if (!LICENCE_STATUSES.some(x => x.value === licence?.status)) err(`${path}.status`, `Status must be one of ${LICENCE_STATUSES.map(x => x.value).join(', ')}`);
+      else if (licence.status === 'pending' && (!Number.isInteger(licence.effectiveMonth) || licence.effectiveMonth < 0)) err(`${path}.effectiveMonth`, 'Effective month must be a whole number ≥ 0');
+    }
+  });
+  (data.dcs || []).forEach((dc) => {
+    checkId(`dcs.${dc.id}.id`, dc.id, nodeIds);
+    if (!regionIds.has(dc.region)) err(`dcs.${dc.id}.region`, `Unknown region ${dc.region}`);
+    if (!isNum(dc.bufferDays) || dc.bufferDays < 0) err(`dcs.${dc.id}.bufferDays`, 'Buffer must be ≥ 0 days');
+    if (!isNum(dc.recoveryDays) || dc.recoveryDays < 0) err(`dcs.${dc.id}.recoveryDays`, 'Recovery time must be ≥ 0 days');
+    if (!isNum(dc.capacity) || dc.capacity < 0) err(`dcs.${dc.id}.capacity`, 'Throughput must be a number ≥ 0');
+    if (!isNum(dc.handlingCost) || dc.handlingCost < 0) err(`dcs.${dc.id}.handlingCost`, 'Handling cost must be a number ≥ 0');
+    if (!isNum(dc.fixedCost) || dc.fixedCost < 0) err(`dcs.${dc.id}.fixedCost`, 'Fixed cost must be a number ≥ 0');
+    checkCoords(`dcs.${dc.id}`, dc);
+  });
+  if (!Array.isArray(data.overflowProviders)) err('overflowProviders', 'Must be a list');
+  else data.overflowProviders.forEach((prov) => {
+    const path = `overflowProviders.${prov.id}`;
+    checkId(`${path}.id`, prov.id, nodeIds);
+    if (!regionIds.has(prov.region)) err(`${path}.region`, `Unknown region ${prov.region}`);
+    if (prov.capacity != null && (!isNum(prov.capacity) || prov.capacity < 0)) err(`${path}.capacity`, 'Capacity must be a number ≥ 0 (empty = unlimited)');
+    if (!Array.isArray(prov.tiers) || prov.tiers.length === 0) err(`${path}.tiers`, 'Add at least one price tier');
+    else prov.tiers.forEach((tier, k) => {
+      const last = k === prov.tiers.length - 1;
+      if (!last && (!isNum(tier?.upTo) || tier.upTo <= (k > 0 ? prov.tiers[k - 1].upTo : 0))) err(`${path}.tiers.${k}.upTo`, 'Tier limits must rise from tier to tier');
+      if (last && tier?.upTo != null) err(`${path}.tiers.${k}.upTo`, 'The last tier has no limit');
+      if (!isNum(tier?.unitCost) || tier.unitCost < 0) err(`${path}.tiers.${k}.unitCost`, 'Price must be a number ≥ 0');
+      else if (k > 0 && tier.unitCost < prov.tiers[k - 1].unitCost) err(`${path}.tiers.${k}.unitCost`, 'Tier prices may not fall with volume');
+    });
+    if (!isNum(prov.co2) || prov.co2 < 0) err(`${path}.co2`, 'CO₂ must be a number ≥ 0');
+    if (!isNum(prov.servicePenalty) || prov.servicePenalty < 0 || prov.servicePenalty > 1) err(`${path}.servicePenalty`, 'Service penalty must be between 0 and 1');
+    if (!Number.isInteger(prov.activationMonths) || prov.activationMonths < 0) err(`${path}.activationMonths`, 'Lead time must be a whole number of months ≥ 0');
+    if (!isNum(prov.minVolume) || prov.minVolume < 0) err(`${path}.minVolume`, 'Minimum volume must be a number ≥ 0');
+  });
+  for (const [key, lane] of Object.entries(data.lanes || {})) {
+    const [from, to] = key.split('->');
+    if (!(data.plants || []).some(p => p.id === from)) err(`lanes.${key}`, `Lane starts at unknown plant ${from}`);
+    if (!(data.dcs || []).some(dc => dc.id === to)) err(`lanes.${key}`, `Lane ends at unknown DC ${to}`);
+    if (!isNum(lane?.km) || lane.km < 0) err(`lanes.${key}.km`, 'Distance must be a number ≥ 0');
+    if (!Array.isArray(lane?.modes) || lane.modes.length === 0) err(`lanes.${key}.modes`, 'Allow at least one mode');
+    else if (lane.modes.some(m => !MODES[m])) err(`lanes.${key}.modes`, 'Unknown transport mode');
+    if (!PACKAGING[lane?.packaging]) err(`lanes.${key}.packaging`, `Packaging must be one of ${Object.keys(PACKAGING).join(', ')}`);
+    if (!lane?.transitHours || typeof lane.transitHours !== 'object' || Array.isArray(lane.transitHours)) err(`lanes.${key}.transitHours`, 'Must be an object of hours per mode');
+    else for (const [m, h] of Object.entries(lane.transitHours)) {
+      if (!MODES[m]) err(`lanes.${key}.transitHours.${m}`, `Unknown transport mode ${m}`);
+      else if (!isNum(h) || h < 0) err(`lanes.${key}.transitHours.${m}`, 'Transit time must be ≥ 0 hours');
+    }
+  }
+  const productIds = new Set();
+  (data.products || []).forEach((prod) => {
+    checkId(`products.${prod.id}.id`, prod.id, productIds);
+    if (!prod.code) err(`products.${prod.id}.code`, 'Code is required');
+    if (!Array.isArray(prod.seasonality) || prod.seasonality.length !== 12) err(`products.${prod.id}.seasonality`, 'Seasonality needs 12 monthly factors');
+    else prod.seasonality.forEach((f, m) => {
+      if (!isNum(f) || f < 0) err(`products.${prod.id}.seasonality.${m}`, 'Factor must be a number ≥ 0');
+    });
+    if (!isNum(prod.holdingCost) || prod.holdingCost < 0) err(`products.${prod.id}.holdingCost`, 'Holding cost must be a number ≥ 0');
+    if (!Number.isInteger(prod.shelfLifeMonths) || prod.shelfLifeMonths < 1) err(`products.${prod.id}.shelfLifeMonths`, 'Shelf life must be a whole number of months ≥ 1');
+    if (!isNum(prod.price) || prod.price < 0) err(`products.${prod.id}.price`, 'Price must be a number ≥ 0');
+    for (const [region, units] of Object.entries(prod.monthlyDemand || {})) {
+      if (!regionIds.has(region)) err(`products.${prod.id}.monthlyDemand.${region}`, `Unknown region ${region}`);
+      else if (!isNum(units) || units < 0) err(`products.${prod.id}.monthlyDemand.${region}`, 'Demand must be a number ≥ 0');
+      else if (units > 0 && regionDCs(data.dcs || [], region).length === 0) err(`products.${prod.id}.monthlyDemand.${region}`, `No DC serves ${region}`);
+    }
+    for (const [plantId, cost] of Object.entries(prod.convCost || {})) {
+      if (!(data.plants || []).some(p => p.id === plantId)) err(`products.${prod.id}.convCost.${plantId}`, `Unknown plant ${plantId}`);
+      else if (!isNum(cost) || cost < 0) err(`products.${prod.id}.convCost.${plantId}`, 'Conversion cost must be a number ≥ 0');
+    }
+    if (Object.keys(prod.convCost || {}).length === 0) err(`products.${prod.id}.convCost`, 'Qualify at least one plant');
+  });
+  if (productIds.size === 0) err('products', 'At least one product is required');
+  const optionIds = new Set();
+  if (!Array.isArray(data.investments)) err('investments', 'Must be a list');
+  else data.investments.forEach((o) => {
+    checkId(`investments.${o.id}.id`, o.id, optionIds);
+    if (!INVESTMENT_KINDS.some(k => k.value === o.kind)) err(`investments.${o.id}.kind`, `Kind must be one of ${INVESTMENT_KINDS.map(k => k.value).join(', ')}`);
+    const isPlant = (data.plants || []).some(p => p.id === o.site);
+    if (o.kind === 'expand' ? !isPlant : !isPlant && !(data.dcs || []).some(dc => dc.id === o.site)) {
+      err(`investments.${o.id}.site`, o.kind === 'expand' ? 'A line can only be added at a plant' : `Unknown site ${o.site}`);
+    }
+    if (o.kind === 'expand' && (!isNum(o.capacity) || o.capacity < 0)) err(`investments.${o.id}.capacity`, 'Added capacity must be a number ≥ 0');
+    if (!isNum(o.capex) || o.capex < 0) err(`investments.${o.id}.capex`, 'Capex must be a number ≥ 0');
+    if (!isNum(o.fixedCost)) err(`investments.${o.id}.fixedCost`, 'Fixed cost must be a number (negative for a saving)');
+    if (!Number.isInteger(o.leadMonths) || o.leadMonths < 0) err(`investments.${o.id}.leadMonths`, 'Lead time must be a whole number of months ≥ 0');
+  });
+  if (!Array.isArray(data.design)) err('design', 'Must be a list of option IDs');
+  else {
+    data.design.filter(id => !optionIds.has(id)).forEach(id => err('design', `Unknown option ${id}`));
+    const taken = (data.investments || []).filter(o => data.design.includes(o.id));
+    for (const o of taken.filter(x => x.kind === 'close')) {
+      const clash = taken.find(x => x.site === o.site && x.kind !== 'close');
+      if (clash) err(`investments.${clash.id}.kind`, `${o.site} cannot be both closed and ${clash.kind === 'open' ? 'opened' : 'expanded'}`);
+    }
+  }
+  const fin = data.finance || {};
+  if (!isNum(fin.discountRate) || fin.discountRate < 0 || fin.discountRate > 1) err('finance.discountRate', 'Discount rate must be between 0 and 1');
+  if (!Number.isInteger(fin.lifeYears) || fin.lifeYears < 1 || fin.lifeYears > 50) err('finance.lifeYears', 'Appraisal life must be 1–50 years');
+  return errors;
+}
+
+// Lever defaults; also used when a scenario file or link omits a lever.
+const DEFAULT_PARAMS = {
+  serviceTarget: 0.95,
+  riskWeight: 0.002,
+  carbonPrice: 0.02,
+  demandVol: 0.10,
+  demandMultiplier: 1.0,
+  allowOverflow: true,
+  fuelSurcharge: 0.02,
+  relShock: 0.02,
+  horizonMonths: 12,
+  startMonth: 0,
+  mcSeed: 1,
+  mcSamples: 200,
+  uncertainty: DEFAULT_UNCERTAINTY,
+  disruptions: DEFAULT_DISRUPTIONS,
+  sensitivity: DEFAULT_SENSITIVITY
+};
+
+// Horizon settings for products that predate them (schema < 5) or are added
+// in the editor: flat demand, a year of shelf life.
+const productHorizonDefaults = () => ({ seasonality: Array(12).fill(1), holdingCost: 0.05, shelfLifeMonths: 12 });
+
+// Recovery settings for sites and prices for products that predate them
+// (schema < 6) or are added in the editor.
+const PLANT_RECOVERY_DEFAULTS = { recoveryDays: 90 };
+const DC_RECOVERY_DEFAULTS = { bufferDays: 14, recoveryDays: 14 };
+// Currency and customs settings for regions that predate them (schema < 11)
+// or are added in the editor.
+const REGION_TRADE_DEFAULTS = { currency: 'USD', fxRate: 1, brokerageCost: 0 };
+// Throughput and warehousing costs for DCs added in the editor
+const DC_CAPACITY_DEFAULTS = { capacity: 100000, handlingCost: 0.1, fixedCost: 0 };
+// Surge providers added in the editor; scenarios that predate them
+// (schema < 12) get one per region on the old flat terms, without a cap.
+const SURGE_PROVIDER_DEFAULTS = { capacity: 20000, tiers: [{ upTo: null, unitCost: 6 }], co2: 0.5, servicePenalty: 0.15, activationMonths: 0, minVolume: 0 };
+const PRODUCT_PRICE_DEFAULT = 100;
+
+// Version of the scenario file written by Export JSON and share links.  Bump
+// it whenever the shape of `state`, `params` or `assignment` changes and add
+// the upgrade step to migrateScenario.
+//   1 – unversioned single-product export (plant convCost, numeric lanes)
+//   2 – multi-product network with regions and { km, modes } lanes
+//   3 – assignment entries are lists of legs with demand shares
+//   4 – regions carry deliveryWindowDays and safetyStockDays
+//   5 – products carry seasonality, holdingCost and shelfLifeMonths; plants
+//       carry shutdowns
+//   6 – plants carry recoveryDays, DCs bufferDays and recoveryDays, products
+//       a price
+//   7 – lanes carry cold-chain packaging and transitHours per mode
+//   8 – network-design investments, the design taken and finance settings
+//   9 – plants carry market licences, regions releaseLeadDays and releaseCost
+//  10 – DCs carry throughput capacity, handlingCost and fixedCost
+//  11 – regions carry currency, fxRate and brokerageCost; duties by route
+//  12 – surge (overflow) providers with capacity, price tiers and minimums
+//  13 – optional site lat/lon; the scenario carries the graph view (layout,
+//       edge colouring and moved node positions)
+const SCENARIO_SCHEMA_VERSION = 13;
+
+/**
+ * Upgrade a parsed scenario file to the current schema version.  Files
+ * written before versioning count as version 1.  Unknown input is returned
+ * untouched so validateScenario can report it.
+ */
+function migrateScenario(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return raw;
+  const s = JSON.parse(JSON.stringify(raw));
+  let version = s.schemaVersion ?? 1;
+  if (version === 1) {
+    // Share links of that era carried no network at all
+    const base = JSON.parse(JSON.stringify(initialData));
+    const file = s.state || s.data;
+    const st = file || base;
+    const plants = Array.isArray(st.plants) ? st.plants : base.plants;
+    const dcs = Array.isArray(st.dcs) ? st.dcs : base.dcs;
+    const products = Array.isArray(st.products) ? st.products : base.products;
+    const regionIds = [...new Set([...plants, ...dcs].map(n => n.region).concat(products.flatMap(p => Object.keys(p.monthlyDemand || {}))))];
+    const lanes = {};
+    for (const [key, lane] of Object.entries(st.lanes || base.lanes)) {
+      const [from, to] = key.split('->');
+      if (!plants.some(p => p.id === from) || !dcs.some(dc => dc.id === to)) continue;
+      lanes[key] = typeof lane === 'number' ? { km: lane, modes: Object.keys(MODES) } : lane;
+    }
+    // Regions of that era had a name and a risk premium only; later steps add
+    // the rest with their old defaults (USD, no release testing, ...)
+    const eraRegion = id => {
+      const r = base.regions.find(reg => reg.id === id);
+      return r ? { id, name: r.name, risk: r.risk } : { id, name: id, risk: 0.01 };
+    };
+    s.state = {
+      regions: file?.regions || regionIds.map(eraRegion),
+      // Conversion cost lived on the plant and applied to the single product
+      products: products.map(prod => ({
+        code: base.products.find(p => p.id === prod.id)?.code ?? String(prod.id).slice(0, 4),
+        convCost: Object.fromEntries(plants.filter(p => p.convCost != null).map(p => [p.id, p.convCost])),
+        ...prod
+      })),
+      plants: plants.map(({ convCost, ...p }) => p),
+      dcs,
+      lanes
+    };
+    delete s.data;
+    version = 2;
+  }
+  if (version === 2) {
+    s.assignment = Object.fromEntries(Object.entries(s.assignment || {}).map(([id, pick]) => [id, legsOf(pick)]));
+    version = 3;
+  }
+  if (version === 3) {
+    if (Array.isArray(s.state?.regions)) {
+      s.state.regions = s.state.regions.map(r => ({ ...REGION_LEAD_TIME_DEFAULTS, ...r }));
+    }
+    version = 4;
+  }
+  if (version === 4) {
+    if (Array.isArray(s.state?.products)) s.state.products = s.state.products.map(prod => ({ ...productHorizonDefaults(), ...prod }));
+    if (Array.isArray(s.state?.plants)) s.state.plants = s.state.plants.map(p => ({ shutdowns: [], ...p }));
+    version = 5;
+  }
+  if (version === 5) {
+    if (Array.isArray(s.state?.plants)) s.state.plants = s.state.plants.map(p => ({ ...PLANT_RECOVERY_DEFAULTS, ...p }));
+    if (Array.isArray(s.state?.dcs)) s.state.dcs = s.state.dcs.map(dc => ({ ...DC_RECOVERY_DEFAULTS, ...dc }));
+    if (Array.isArray(s.state?.products)) s.state.products = s.state.products.map(prod => ({ price: PRODUCT_PRICE_DEFAULT, ...prod }));
+    version = 6;
+  }
+  if (version === 6) {
+    // Older lanes ship in passive packaging; transit hours default to lead time
+    if (s.state?.lanes && typeof s.state.lanes === 'object') {
+      for (const lane of Object.values(s.state.lanes)) if (lane && typeof lane === 'object') Object.assign(lane, { packaging: 'passive', transitHours: {}, ...lane });
+    }
+    version = 7;
+  }
+  if (version === 7) {
+    // Older networks had no design options: every site is simply built
+    if (s.state && typeof s.state === 'object') s.state = { investments: [], design: [], finance: { ...DEFAULT_FINANCE }, ...s.state };
+    version = 8;
+  }
+  if (version === 8) {
+    // Older networks let every plant supply every market, without release testing
+    const regionIds = Array.isArray(s.state?.regions) ? s.state.regions.map(r => r?.id) : [];
+    if (Array.isArray(s.state?.plants)) {
+      s.state.plants = s.state.plants.map(p => ({ licences: Object.fromEntries(regionIds.map(id => [id, { status: 'approved' }])), ...p }));
+    }
+    if (Array.isArray(s.state?.regions)) s.state.regions = s.state.regions.map(r => ({ releaseLeadDays: 0, releaseCost: 0, ...r }));
+    version = 9;
+  }
+  if (version === 9) {
+    // Older DCs were free and could take everything the plants make
+    const plantCapacity = Array.isArray(s.state?.plants) ? sum(s.state.plants.map(p => (typeof p?.capacity === 'number' ? p.capacity : 0))) : 0;
+    if (Array.isArray(s.state?.dcs)) s.state.dcs = s.state.dcs.map(dc => ({ capacity: plantCapacity, handlingCost: 0, fixedCost: 0, ...dc }));
+    version = 10;
+  }
+  if (version === 10) {
+    // Older networks priced everything in USD and crossed borders duty-free
+    if (Array.isArray(s.state?.regions)) s.state.regions = s.state.regions.map(r => ({ ...REGION_TRADE_DEFAULTS, ...r }));
+    if (s.state && typeof s.state === 'object') s.state = { duties: {}, ...s.state };
+    version = 11;
+  }
+  if (version === 11) {
+    // Older networks filled any shortage at a flat, unlimited rate
+    if (s.state && typeof s.state === 'object' && !Array.isArray(s.state.overflowProviders)) {
+      const regionIds = Array.isArray(s.state.regions) ? s.state.regions.map(r => r?.id).filter(id => typeof id === 'string') : [];
+      s.state.overflowProviders = regionIds.map(id => ({
+        id: `${id}_SURGE`, name: `${id} surge fill`, region: id, ...SURGE_PROVIDER_DEFAULTS, capacity: null, tiers: [{ upTo: null, unitCost: 6 }]
+      }));
+    }
+    version = 12;
+  }
+  if (version === 12) {
+    // Coordinates and the graph view are optional; older files use the row layout
+    version = 13;
+  }
+  s.schemaVersion = version;
+  return s;
+}
+
+// A saved scenario in the export format, ready for migrateScenario.  Saves
+// carry their schema version; older ones hold a network of at least version 2
+// (the editor came before versioning) or, saved before the editor, none at
+// all: those are version 1 files, single-leg picks on the default network.
+function savedAsExport(snap) {
+  return {
+    schemaVersion: snap.schemaVersion ?? (snap.data ? 2 : 1),
+    state: snap.data,
+    assignment: snap.assignment,
+    params: snap.params,
+    graph: snap.graph
+  };
+}
+
+/**
+ * Validate a Monte Carlo uncertainty model (missing sections take their
+ * defaults).  Returns `{ path, message }` errors relative to the model.
+ */
+function validateUncertainty(u, plants) {
+  if (!u || typeof u !== 'object' || Array.isArray(u)) return [{ path: '', message: 'Must be an object' }];
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  const inRange = (path, v, min, max) => {
+    if (v != null && (typeof v !== 'number' || !Number.isFinite(v) || v < min || v > max)) err(path, `Must be a number between ${min} and ${max}`);
+  };
+  if (u.demand?.dist != null && !DEMAND_DISTRIBUTIONS.includes(u.demand.dist)) err('demand.dist', `Must be one of ${DEMAND_DISTRIBUTIONS.join(', ')}`);
+  inRange('demand.correlation', u.demand?.correlation, 0, 1);
+  inRange('capacity.correlation', u.capacity?.correlation, 0, 1);
+  inRange('outages.probability', u.outages?.probability, 0, 1);
+  inRange('outages.durationDays', u.outages?.durationDays, 0, 365);
+  inRange('lanes.costSd', u.lanes?.costSd, 0, 1);
+  inRange('lanes.leadTimeSdScale', u.lanes?.leadTimeSdScale, 0, 10);
+  inRange('fuelSd', u.fuelSd, 0, 10);
+  if (u.commonCause != null && !Array.isArray(u.commonCause)) err('commonCause', 'Must be a list');
+  (Array.isArray(u.commonCause) ? u.commonCause : []).forEach((event, i) => {
+    const path = `commonCause.${event?.id ?? i}`;
+    if (!event || typeof event !== 'object') { err(path, 'Must be an object'); return; }
+    if (!Array.isArray(event.plants)) err(`${path}.plants`, 'Must be a list of plant ids');
+    else event.plants.filter(id => !plants.some(p => p.id === id)).forEach(id => err(`${path}.plants`, `Unknown plant ${id}`));
+    inRange(`${path}.probability`, event.probability, 0, 1);
+    inRange(`${path}.durationDays`, event.durationDays, 0, 365);
+  });
+  return errors;
+}
+
+/**
+ * Validate a disruption library against the scenario's network.  Returns
+ * `{ path, message }` errors relative to the list, keyed by event id.
+ */
+function validateDisruptions(list, st) {
+  if (!Array.isArray(list)) return [{ path: '', message: 'Must be a list' }];
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  list.forEach((ev, i) => {
+    const path = `${ev?.id ?? i}`;
+    if (!ev || typeof ev !== 'object') { err(path, 'Must be an object'); return; }
+    if (typeof ev.id !== 'string' || !ev.id) err(`${path}.id`, 'Id is required');
+    if (!DISRUPTION_KINDS.some(k => k.value === ev.kind)) err(`${path}.kind`, `Must be one of ${DISRUPTION_KINDS.map(k => k.value).join(', ')}`);
+    if (!Number.isInteger(ev.start) || ev.start < 0) err(`${path}.start`, 'Must be a whole number of months ≥ 0');
+    if (typeof ev.durationDays !== 'number' || !(ev.durationDays > 0)) err(`${path}.durationDays`, 'Must be a positive number of days');
+    if (ev.kind === 'plantOutage') {
+      if (!st.plants.some(p => p.id === ev.plantId)) err(`${path}.plantId`, `Unknown plant ${ev.plantId}`);
+      if (typeof ev.capacityLoss !== 'number' || ev.capacityLoss < 0 || ev.capacityLoss > 1) err(`${path}.capacityLoss`, 'Must be between 0 and 1');
+    }
+    if (ev.kind === 'laneClosure') {
+      if (!Array.isArray(ev.lanes)) err(`${path}.lanes`, 'Must be a list of plant->dc lanes');
+      else ev.lanes.filter(l => !st.lanes[l]).forEach(l => err(`${path}.lanes`, `Unknown lane ${l}`));
+      if (ev.mode && !MODES[ev.mode]) err(`${path}.mode`, `Unknown mode ${ev.mode}`);
+    }
+    if (ev.kind === 'demandSpike') {
+      if (!st.regions.some(r => r.id === ev.region)) err(`${path}.region`, `Unknown region ${ev.region}`);
+      if (ev.productId && !st.products.some(p => p.id === ev.productId)) err(`${path}.productId`, `Unknown product ${ev.productId}`);
+      if (typeof ev.factor !== 'number' || !(ev.factor >= 0)) err(`${path}.factor`, 'Must be a number ≥ 0');
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validate a sensitivity setup against the scenario's network.  Returns
+ * `{ path, message }` errors relative to the setup.
+ */
+function validateSensitivity(spec, st) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) return [{ path: '', message: 'Must be an object' }];
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  if (!SENSITIVITY_METRICS.some(m => m.value === spec.metric)) err('metric', `Must be one of ${SENSITIVITY_METRICS.map(m => m.value).join(', ')}`);
+  if (!Number.isInteger(spec.points) || spec.points < 2 || spec.points > 50) err('points', 'Must be a whole number between 2 and 50');
+  if (!Array.isArray(spec.inputs)) return [...errors, { path: 'inputs', message: 'Must be a list' }];
+  const known = new Set(sensitivityInputs({ ...st, levers: {} }).map(x => `${x.kind}:${x.target}`));
+  spec.inputs.forEach((input, i) => {
+    const path = `inputs.${i}`;
+    if (!input || typeof input !== 'object') { err(path, 'Must be an object'); return; }
+    if (!known.has(`${input.kind}:${input.target}`)) err(path, `Unknown input ${input.kind}:${input.target}`);
+    if (typeof input.low !== 'number' || typeof input.high !== 'number' || !(input.low < input.high)) err(path, 'Needs numeric low < high');
+  });
+  return errors;
 }
-function Select({ value, onChange, options }) {
-  return (
-    <select value={value} onChange={onChange} className="w-full bg-slate-800 border border-slate-700 text-slate-200 text-sm rounded-md p-1">
-      {options.map((o) => (<option key={o.id || o.name} value={o.id || o.value}>{o.name || o.label}</option>))}
-    </select>
-  );
+
+/**
+ * Validate a saved graph view (missing fields take their defaults).
+ * Returns `{ path, message }` errors relative to the view.
+ */
+function validateGraphView(view) {
+  if (!view || typeof view !== 'object' || Array.isArray(view)) return [{ path: '', message: 'Must be an object' }];
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  if (view.layout != null && !GRAPH_LAYOUTS.some(l => l.value === view.layout)) err('layout', `Must be one of ${GRAPH_LAYOUTS.map(l => l.value).join(', ')}`);
+  if (view.edgeColor != null && !EDGE_COLORINGS.some(c => c.value === view.edgeColor)) err('edgeColor', `Must be one of ${EDGE_COLORINGS.map(c => c.value).join(', ')}`);
+  for (const [layout, positions] of Object.entries(view.positions || {})) {
+    if (!GRAPH_LAYOUTS.some(l => l.value === layout)) { err(`positions.${layout}`, 'Unknown layout'); continue; }
+    for (const [id, xy] of Object.entries(positions || {})) {
+      if (!Number.isFinite(xy?.x) || !Number.isFinite(xy?.y)) err(`positions.${layout}.${id}`, 'Position needs numeric x and y');
+    }
+  }
+  return errors;
 }
-function Range({ label, min, max, step, value, onChange }) {
-  return (
-    <div className="flex flex-col mb-2">
-      <div className="flex justify-between text-xs text-slate-400">
-        <span>{label}</span>
-        <span>{typeof value === 'number' ? value.toFixed(2) : value}</span>
-      </div>
-      <input type="range" min={min} max={max} step={step} value={value} onChange={(e) => onChange(parseFloat(e.target.value))} className="w-full accent-indigo-500" />
-    </div>
-  );
+
+/**
+ * Validate a migrated scenario.  Returns `{ path, message }` errors with
+ * paths into the file (e.g. `state.plants.CMO_EU.uptime`, `params.riskWeight`).
+ */
+function validateScenario(s) {
+  if (!s || typeof s !== 'object' || Array.isArray(s)) return [{ path: '', message: 'Scenario must be a JSON object' }];
+  const errors = [];
+  const err = (path, message) => errors.push({ path, message });
+  if (!Number.isInteger(s.schemaVersion) || s.schemaVersion > SCENARIO_SCHEMA_VERSION) {
+    err('schemaVersion', `Unsupported schema version ${s.schemaVersion}; this simulator reads up to ${SCENARIO_SCHEMA_VERSION}`);
+    return errors;
+  }
+  const st = s.state;
+  if (!st || typeof st !== 'object') return [{ path: 'state', message: 'Missing network state' }];
+  for (const key of ['regions', 'products', 'plants', 'dcs']) {
+    if (!Array.isArray(st[key])) err(`state.${key}`, 'Must be a list');
+    else if (st[key].some(x => !x || typeof x !== 'object')) err(`state.${key}`, 'Every entry must be an object');
+  }
+  if (!st.lanes || typeof st.lanes !== 'object' || Array.isArray(st.lanes)) err('state.lanes', 'Must be an object keyed plant->dc');
+  if (errors.length) return errors;
+  validateNetwork(st).forEach(e => err(`state.${e.path}`, e.message));
+  const limits = {
+    serviceTarget: [0, 1], riskWeight: [0, 1], carbonPrice: [0, 10], demandVol: [0, 1],
+    demandMultiplier: [0, 10], fuelSurcharge: [0, 10], relShock: [0, 1], horizonMonths: [1, 36], startMonth: [0, 11],
+    mcSeed: [0, 4294967295], mcSamples: [1, 10000]
+  };
+  const params = s.params || {};
+  for (const [key, [min, max]] of Object.entries(limits)) {
+    const v = params[key];
+    if (v == null) continue;
+    if (typeof v !== 'number' || !Number.isFinite(v) || v < min || v > max) err(`params.${key}`, `Must be a number between ${min} and ${max}`);
+  }
+  if (params.allowOverflow != null && typeof params.allowOverflow !== 'boolean') err('params.allowOverflow', 'Must be true or false');
+  for (const key of ['horizonMonths', 'startMonth', 'mcSeed', 'mcSamples']) {
+    if (params[key] != null && !Number.isInteger(params[key])) err(`params.${key}`, 'Must be a whole number');
+  }
+  if (params.uncertainty != null) validateUncertainty(params.uncertainty, st.plants).forEach(e => err(`params.uncertainty.${e.path}`, e.message));
+  if (params.disruptions != null) validateDisruptions(params.disruptions, st).forEach(e => err(`params.disruptions.${e.path}`, e.message));
+  if (params.sensitivity != null) validateSensitivity(params.sensitivity, st).forEach(e => err(`params.sensitivity${e.path && `.${e.path}`}`, e.message));
+  for (const [lruId, legs] of Object.entries(s.assignment || {})) {
+    if (!Array.isArray(legs)) { err(`assignment.${lruId}`, 'Must be a list of legs'); continue; }
+    legs.forEach((leg, i) => {
+      const path = `assignment.${lruId}.${i}`;
+      if (!leg || typeof leg !== 'object') { err(path, 'Must be an object'); return; }
+      if (!st.plants.some(p => p.id === leg.supplierId)) err(`${path}.supplierId`, `Unknown plant ${leg.supplierId}`);
+      if (!st.dcs.some(dc => dc.id === leg.assemblyId)) err(`${path}.assemblyId`, `Unknown DC ${leg.assemblyId}`);
+      if (!MODES[leg.mode]) err(`${path}.mode`, `Unknown mode ${leg.mode}`);
+      if (typeof leg.share !== 'number' || !(leg.share >= 0 && leg.share <= 1)) err(`${path}.share`, 'Share must be between 0 and 1');
+    });
+    if (sum(legs.map(l => l.share || 0)) > 1.01) err(`assignment.${lruId}`, 'Leg shares add up to more than 100%');
+  }
+  if (s.graph != null) validateGraphView(s.graph).forEach(e => err(`graph${e.path && `.${e.path}`}`, e.message));
+  return errors;
 }
 
 // Compute loads for capacity & bottlenecks
 function computeLoads(data, assignment, demandMultiplier) {
   const plantLoad = {};
+  const plantLoadByProduct = {};
   const dcLoad = {};
-  const lrus = [
-    { id: 'US', baseDemand: data.products[0].monthlyDemand.US },
-    { id: 'EU', baseDemand: data.products[0].monthlyDemand.EU }
-  ];
+  const lrus = demandRows(data.products);
   lrus.forEach((l) => {
-    const pick = assignment[l.id];
-    const units = l.baseDemand * demandMultiplier;
-    plantLoad[pick.supplierId] = (plantLoad[pick.supplierId] || 0) + units;
-    dcLoad[pick.assemblyId] = (dcLoad[pick.assemblyId] || 0) + units;
+    for (const leg of legsOf(assignment[l.id])) {
+      const units = l.baseDemand * demandMultiplier * leg.share;
+      plantLoad[leg.supplierId] = (plantLoad[leg.supplierId] || 0) + units;
+      plantLoadByProduct[leg.supplierId] = { ...plantLoadByProduct[leg.supplierId], [l.productId]: (plantLoadByProduct[leg.supplierId]?.[l.productId] || 0) + units };
+      dcLoad[leg.assemblyId] = (dcLoad[leg.assemblyId] || 0) + units;
+    }
   });
   const supplierUtil = data.plants.map((p) => {
     const load = plantLoad[p.id] || 0;
-    const util = load / p.capacity;
-    return { id: p.id, name: p.name, load, cap: p.capacity, util };
+    // A site closed by the network design has no capacity
+    const util = p.capacity > 0 ? load / p.capacity : load > 0 ? Infinity : 0;
+    return { id: p.id, name: p.name, load, cap: p.capacity, util, byProduct: plantLoadByProduct[p.id] || {} };
   });
   const assemblyUtil = data.dcs.map((dc) => {
     const load = dcLoad[dc.id] || 0;
-    const cap = 999999;
-    const util = load / cap;
+    const cap = dc.capacity;
+    const util = cap > 0 ? load / cap : load > 0 ? Infinity : 0;
     return { id: dc.id, name: dc.name, load, cap, util };
   });
   return { supplierUtil, assemblyUtil };
 }
 
 // Evaluate solution from assignment
-function evaluateSolutionWrapper({ assignment, params, network }) {
+function evaluateSolutionWrapper({ assignment, params, network, data: networkData }) {
   // Build a state for evaluateScenario based on assignment and params
-  const data = JSON.parse(JSON.stringify(initialData));
-  const alloc = {};
-  const mode = {};
-  network.lrus.forEach((lru) => {
-    const pick = assignment[lru.id];
-    if (!pick) return;
-    const units = Math.round(lru.baseDemand * params.demandMultiplier);
-    const key = `${pick.supplierId}->${pick.assemblyId}`;
-    alloc[key] = (alloc[key] || 0) + units;
-    mode[key] = pick.mode;
-  });
-  data.choices = { alloc, mode };
+  const data = JSON.parse(JSON.stringify(networkData));
+  data.choices = { alloc: allocFromAssignment(network.lrus, assignment, params.demandMultiplier) };
   data.levers = {
     serviceTarget: params.serviceTarget,
     riskWeight: params.riskWeight,
@@ -490,16 +2919,27 @@ function evaluateSolutionWrapper({ assignment, params, network }) {
     overflow: params.allowOverflow,
     fuelSurcharge: params.fuelSurcharge
   };
-  const res = evaluateScenario(data);
+  // Per-period KPIs show the network design once every option is in effect
+  const res = evaluateScenario(designState(data));
   // Map metrics into P&C-style totals
   const totals = {
     units: res.metrics.demand,
+    // Bought-in materials are not modelled; conversion cost covers the fill
     material: 0,
-    tariffs: 0,
+    tariffs: res.metrics.dutyCost + res.metrics.brokerageCost,
+    dutyCost: res.metrics.dutyCost,
+    brokerageCost: res.metrics.brokerageCost,
     transportCost: res.metrics.transportCost,
+    packagingCost: res.metrics.packagingCost,
+    releaseCost: res.metrics.releaseCost,
+    handlingCost: res.metrics.handlingCost,
+    excursionLoss: res.metrics.excursionLoss,
     assembly: res.metrics.convCost,
-    overhead: 0,
+    overhead: res.metrics.dcFixedCost,
     inventory: res.metrics.overflowCost,
+    surgeMinimumCost: res.metrics.surgeMinimumCost,
+    unserved: sum(Object.values(res.unserved)),
+    lateUnits: res.metrics.lateUnits,
     carbonKg: res.metrics.carbon,
     riskIndex: res.metrics.riskScore,
     serviceLevel: res.metrics.otif
@@ -509,110 +2949,208 @@ function evaluateSolutionWrapper({ assignment, params, network }) {
   const objective = cost + params.riskWeight * res.metrics.riskScore * 1000;
   const capacity = {
     supLoad: res.plantUtil,
-    asmLoad: res.supplyByDC,
+    asmLoad: res.dcUtil,
     matBySup: {},
     asmCostBySite: {}
   };
-  return { totals, cost, feasible, objective, capacity };
-}
-
-// Enumerate best solution for assignment (search over small combos)
-function enumerateBestSolutionMMD({ network, params }) {
-  const lrus = network.lrus;
-  const suppliers = network.suppliers;
-  const assemblySites = network.assemblySites;
-  const modes = ['air', 'ground', 'ocean'];
-  let best = null;
-  function dfs(idx, current) {
-    if (idx === lrus.length) {
-      const res = evaluateSolutionWrapper({ assignment: current, params, network });
-      if (res.feasible) {
-        if (!best || res.objective < best.objective) {
-          best = { ...res, assignment: { ...current } };
-        }
-      }
-      return;
-    }
-    const lru = lrus[idx];
-    for (const s of suppliers) {
-      for (const a of assemblySites) {
-        for (const m of modes) {
-          current[lru.id] = { supplierId: s.id, assemblyId: a.id, mode: m };
-          dfs(idx + 1, current);
-        }
-      }
+  const byProduct = data.products.map((prod) => {
+    const bp = res.byProduct[prod.id];
+    return {
+      id: prod.id,
+      code: prod.code,
+      name: prod.name,
+      demand: bp.demand,
+      served: bp.served,
+      lateUnits: bp.lateUnits,
+      serviceLevel: bp.otif,
+      cost: bp.cost,
+      costPerUnit: bp.demand > 0 ? bp.cost / bp.demand : 0,
+      riskIndex: bp.riskScore,
+      carbonKg: bp.carbon,
+      excursionLoss: bp.excursionLoss
+    };
+  });
+  const surgeUtil = data.overflowProviders.map((o) => {
+    const load = res.surgeUsed[o.id] || 0;
+    return { id: o.id, name: o.name, load, cap: o.capacity, util: o.capacity == null ? 0 : o.capacity > 0 ? load / o.capacity : load > 0 ? Infinity : 0 };
+  });
+  return { totals, cost, feasible, objective, capacity, byProduct, byLane: res.byLane, byFlow: res.byFlow, surgeUsed: res.surgeUsed, surgeUtil, ineligible: res.ineligible, invalidLanes: res.invalidLanes, unlicensed: res.unlicensed };
+}
+
+// Turn an optimizer allocation back into assignment legs (shares of each
+// row's demand); `state` is the one the allocation was optimised for.
+function assignmentFromAlloc(alloc, lrus, state) {
+  const flows = Object.entries(alloc).map(([key, units]) => ({ ...parseFlowKey(key), units }));
+  const assignment = {};
+  for (const lru of lrus) {
+    const product = state.products.find(p => p.id === lru.productId);
+    const demand = product.monthlyDemand[lru.region] || 0;
+    assignment[lru.id] = flows
+      .filter(f => f.productId === lru.productId && demand > 0 && state.dcs.find(dc => dc.id === f.dcId)?.region === lru.region)
+      .map(f => ({ supplierId: f.plantId, assemblyId: f.dcId, mode: f.mode, share: f.units / demand }));
+  }
+  return assignment;
+}
+
+// Starting assignment: each region's demand from the first eligible plant in
+// that region (falling back to any eligible plant) via a regional DC the plant
+// has a lane to.  Plants licensed for the market are preferred.
+function defaultAssignment(data, lrus = demandRows(data.products)) {
+  const assignment = {};
+  for (const lru of lrus) {
+    const product = data.products.find(p => p.id === lru.productId);
+    const eligible = data.plants.filter(p => isEligible(product, p.id));
+    const dcs = regionDCs(data.dcs, lru.region);
+    const candidates = eligible.flatMap(p => dcs.filter(dc => data.lanes[`${p.id}->${dc.id}`]).map(dc => ({ p, dc })));
+    const licensed = candidates.filter(c => isLicensed(c.p, lru.region));
+    const pick = licensed.find(c => c.p.region === lru.region) || licensed[0] || candidates.find(c => c.p.region === lru.region) || candidates[0];
+    if (!pick) {
+      // Nothing connects this demand yet; point it at the region so the
+      // evaluation reports it rather than failing.
+      assignment[lru.id] = eligible[0] && dcs[0] ? [{ supplierId: eligible[0].id, assemblyId: dcs[0].id, mode: 'ground', share: 1 }] : [];
+      continue;
     }
+    const modes = data.lanes[`${pick.p.id}->${pick.dc.id}`].modes;
+    const mode = ['ground', 'ocean', 'air'].find(m => modes.includes(m));
+    assignment[lru.id] = [{ supplierId: pick.p.id, assemblyId: pick.dc.id, mode, share: 1 }];
   }
-  dfs(0, {});
-  return best;
+  return assignment;
+}
+
+// Graph/optimizer view of the network data (P&C-style suppliers and sites).
+function buildNetwork(data) {
+  const regionMeta = Object.fromEntries(data.regions.map((r) => [r.id, { id: r.id, name: r.id, risk: 0.02, carbon: 0.5 }]));
+  const suppliers = data.plants.map((p) => ({
+    id: p.id,
+    name: p.name,
+    region: regionMeta[p.region],
+    unitCost: Math.min(...data.products.map(prod => prod.convCost[p.id] ?? Infinity)),
+    leadTimeDays: 5,
+    reliability: p.uptime,
+    capacity: p.capacity,
+    // Duty rate into every other region
+    tariffRates: Object.fromEntries(data.regions.filter(r => r.id !== p.region).map(r => [r.id, data.duties?.[`${p.region}->${r.id}`] || 0])),
+    licences: p.licences,
+    lat: p.lat,
+    lon: p.lon
+  }));
+  const assemblySites = data.dcs.map((dc) => ({
+    id: dc.id,
+    name: dc.name,
+    region: regionMeta[dc.region],
+    laborCostMultiplier: 1.0,
+    fixedOverhead: dc.fixedCost,
+    capacity: dc.capacity,
+    lat: dc.lat,
+    lon: dc.lon
+  }));
+  const dcs = [];
+  // Transport modes each lane allows, keyed `${plantId}->${dcId}`
+  const laneModes = Object.fromEntries(Object.entries(data.lanes).map(([key, lane]) => [key, lane.modes]));
+  const overflowProviders = data.overflowProviders.map(o => ({ id: o.id, name: o.name, region: o.region, capacity: o.capacity, activationMonths: o.activationMonths }));
+  const lrus = demandRows(data.products);
+  const transport = {
+    air: { costPerTonMi: 0.02, leadPenaltyDays: MODES.air.leadTime - MODES.ground.leadTime, carbonPerTonMi: 1.0 },
+    ocean: { costPerTonMi: 0.005, leadPenaltyDays: MODES.ocean.leadTime - MODES.ground.leadTime, carbonPerTonMi: 0.2 },
+    ground: { costPerTonMi: 0.002, leadPenaltyDays: 0, carbonPerTonMi: 0.4 }
+  };
+  const distances = { 'US-US': 0.4, 'US-EU': 3.9, 'EU-US': 3.9, 'EU-EU': 0.2 };
+  const products = data.products.map((prod, i) => ({
+    id: prod.id,
+    code: prod.code,
+    name: prod.name,
+    color: PRODUCT_COLORS[i % PRODUCT_COLORS.length],
+    eligiblePlants: data.plants.filter(p => isEligible(prod, p.id)).map(p => p.id)
+  }));
+  return { suppliers, assemblySites, dcs, laneModes, overflowProviders, lrus, products, transport, distances };
+}
+
+// Saves from before the network editor must still load and compare
+if (import.meta.env?.DEV) {
+  const baselineSave = {
+    id: 'baseline',
+    params: { serviceTarget: 0.95 },
+    assignment: {
+      US: { supplierId: 'WEST_POINT_PA', assemblyId: 'US_DC_WP', mode: 'ground' },
+      EU: { supplierId: 'CMO_EU', assemblyId: 'EU_DC_HEI', mode: 'ground' }
+    },
+    metrics: {},
+    ts: '2024-01-01T00:00:00.000Z'
+  };
+  const errors = validateScenario(migrateScenario(savedAsExport(baselineSave)));
+  console.assert(errors.length === 0, 'A baseline-era save no longer loads', errors);
 }
 
 export default function App() {
+  // Network model (plants, DCs, lanes, products); edited in the Network model panel
+  const [data, setData] = useState(() => JSON.parse(JSON.stringify(initialData)));
   // Create network representation
-  const network = useMemo(() => {
-    const regionMeta = {
-      US: { id: 'US', name: 'US', risk: 0.02, carbon: 0.5 },
-      EU: { id: 'EU', name: 'EU', risk: 0.02, carbon: 0.5 }
-    };
-    const suppliers = initialData.plants.map((p) => ({
-      id: p.id,
-      name: p.name,
-      region: regionMeta[p.region],
-      unitCost: p.convCost,
-      leadTimeDays: 5,
-      reliability: p.uptime,
-      capacity: p.capacity,
-      tariffRate: 0
-    }));
-    const assemblySites = initialData.dcs.map((dc) => ({
-      id: dc.id,
-      name: dc.name,
-      region: regionMeta[dc.region],
-      laborCostMultiplier: 1.0,
-      fixedOverhead: 0,
-      capacity: 999999
-    }));
-    const dcs = [];
-    const lrus = [
-      { id: 'US', name: 'US Demand', baseDemand: initialData.products[0].monthlyDemand.US, bomLaborHours: 1.0, bomScrapRate: 0 },
-      { id: 'EU', name: 'EU Demand', baseDemand: initialData.products[0].monthlyDemand.EU, bomLaborHours: 1.0, bomScrapRate: 0 }
-    ];
-    const transport = {
-      air: { costPerTonMi: 0.02, leadPenaltyDays: -1, carbonPerTonMi: 1.0 },
-      ocean: { costPerTonMi: 0.005, leadPenaltyDays: +10, carbonPerTonMi: 0.2 },
-      ground: { costPerTonMi: 0.002, leadPenaltyDays: 0, carbonPerTonMi: 0.4 }
-    };
-    const distances = { 'US-US': 0.4, 'US-EU': 3.9, 'EU-US': 3.9, 'EU-EU': 0.2 };
-    return { suppliers, assemblySites, dcs, lrus, transport, distances };
-  }, []);
+  const network = useMemo(() => buildNetwork(data), [data]);
   // Parameter levers
-  const [serviceTarget, setServiceTarget] = useState(0.95);
-  const [riskWeight, setRiskWeight] = useState(0.002);
-  const [carbonPrice, setCarbonPrice] = useState(0.02);
-  const [demandVol, setDemandVol] = useState(0.10);
-  const [fuelSurcharge, setFuelSurcharge] = useState(0.02);
-  const [allowOverflow, setAllowOverflow] = useState(true);
-  const [demandMultiplier, setDemandMultiplier] = useState(1.0);
+  const [serviceTarget, setServiceTarget] = useState(DEFAULT_PARAMS.serviceTarget);
+  const [riskWeight, setRiskWeight] = useState(DEFAULT_PARAMS.riskWeight);
+  const [carbonPrice, setCarbonPrice] = useState(DEFAULT_PARAMS.carbonPrice);
+  const [demandVol, setDemandVol] = useState(DEFAULT_PARAMS.demandVol);
+  const [fuelSurcharge, setFuelSurcharge] = useState(DEFAULT_PARAMS.fuelSurcharge);
+  const [allowOverflow, setAllowOverflow] = useState(DEFAULT_PARAMS.allowOverflow);
+  const [demandMultiplier, setDemandMultiplier] = useState(DEFAULT_PARAMS.demandMultiplier);
   // Reliability shock (σ) used in Monte Carlo; default ±2%
-  const [relShock, setRelShock] = useState(0.02);
-  // Assignment per LRU
-  const [assignment, setAssignment] = useState(() => ({
-    US: { supplierId: 'WEST_POINT_PA', assemblyId: 'US_DC_WP', mode: 'ground' },
-    EU: { supplierId: 'CMO_EU', assemblyId: 'EU_DC_HEI', mode: 'ground' }
-  }));
+  const [relShock, setRelShock] = useState(DEFAULT_PARAMS.relShock);
+  // Planning horizon: number of months and the calendar month it starts in
+  const [horizonMonths, setHorizonMonths] = useState(DEFAULT_PARAMS.horizonMonths);
+  const [startMonth, setStartMonth] = useState(DEFAULT_PARAMS.startMonth);
+  // Monte Carlo seed and sample count; saved with the scenario so runs reproduce
+  const [mcSeed, setMcSeed] = useState(DEFAULT_PARAMS.mcSeed);
+  const [mcSamples, setMcSamples] = useState(DEFAULT_PARAMS.mcSamples);
+  const [uncertainty, setUncertainty] = useState(() => withUncertaintyDefaults());
+  // Assignment per LRU (product × region)
+  const [assignment, setAssignment] = useState(() => defaultAssignment(data, network.lrus));
   // Active LRU for graph interactions
-  const [activeLruId, setActiveLruId] = useState('US');
+  const [activeLruId, setActiveLruId] = useState(() => network.lrus[0].id);
   const [pendingSupplier, setPendingSupplier] = useState(null);
+  // Why the last Graph connection was refused or only partly takes effect
+  const [graphNotice, setGraphNotice] = useState(null);
+  // Product shown in the graph ('' = whole portfolio)
+  const [graphProduct, setGraphProduct] = useState('');
+  // Graph layout, edge colouring and hand-placed nodes; saved with scenarios
+  const [graphView, setGraphView] = useState(DEFAULT_GRAPH_VIEW);
   // Monte Carlo / Sensitivity
   const [mcStats, setMcStats] = useState(null);
+  const [mcMetric, setMcMetric] = useState('cost');
+  const [showUncertainty, setShowUncertainty] = useState(false);
+  // Disruption library and the latest stress-test result
+  const [disruptions, setDisruptions] = useState(() => JSON.parse(JSON.stringify(DEFAULT_DISRUPTIONS)));
+  const [disruptionId, setDisruptionId] = useState(DEFAULT_DISRUPTIONS[0].id);
+  const [disruptionResult, setDisruptionResult] = useState(null);
   const [sens, setSens] = useState(null);
+  const [sensSpec, setSensSpec] = useState(() => JSON.parse(JSON.stringify(DEFAULT_SENSITIVITY)));
+  const [showSensSetup, setShowSensSetup] = useState(false);
+  const [sensSelected, setSensSelected] = useState(null);
+  // Lane shown in the landed-cost waterfall
+  const [landedLaneChoice, setLandedLane] = useState('');
+  // Pareto explorer
+  const [pareto, setPareto] = useState(null);
+  const [appraisal, setAppraisal] = useState(null);
+  const [paretoView, setParetoView] = useState({ x: 'cost', y: 'otif', color: 'carbon', showDominated: false });
+  const [paretoSelected, setParetoSelected] = useState(null);
   // Saved scenarios
   const [saved, setSaved] = useState(() => {
     try { return JSON.parse(localStorage.getItem('mmd_scenarios') || '[]'); } catch { return []; }
   });
+  // Scenario import (file picker or drag-and-drop)
+  const [importErrors, setImportErrors] = useState(null);
+  const [dragging, setDragging] = useState(false);
+  const fileInputRef = useRef(null);
   // Compare modal
   const [showCompare, setShowCompare] = useState(false);
   const [baselineId, setBaselineId] = useState(null);
+  // Undo/redo: settled snapshots of levers, assignment and network
+  const [history, setHistory] = useState({ entries: [], index: -1 });
+  // What-if branch tree, kept across reloads, and the two branches diffed
+  const [branches, setBranches] = useState(() => {
+    try { return JSON.parse(localStorage.getItem('mmd_branches')) || { nodes: [], currentId: null }; } catch { return { nodes: [], currentId: null }; }
+  });
+  const [branchDiff, setBranchDiff] = useState({ a: '', b: '' });
 
   // Derived params object
   const params = useMemo(() => ({
@@ -623,64 +3161,257 @@ export default function App() {
     demandMultiplier,
     allowOverflow,
     fuelSurcharge,
-    relShock
-  }), [serviceTarget, riskWeight, carbonPrice, demandVol, demandMultiplier, allowOverflow, fuelSurcharge, relShock]);
+    relShock,
+    horizonMonths,
+    startMonth,
+    mcSeed,
+    mcSamples,
+    uncertainty,
+    disruptions,
+    sensitivity: sensSpec
+  }), [serviceTarget, riskWeight, carbonPrice, demandVol, demandMultiplier, allowOverflow, fuelSurcharge, relShock, horizonMonths, startMonth, mcSeed, mcSamples, uncertainty, disruptions, sensSpec]);
 
   // Evaluate current assignment
-  const result = useMemo(() => evaluateSolutionWrapper({ assignment, params, network }), [assignment, params, network]);
-  const loads = useMemo(() => computeLoads(initialData, assignment, demandMultiplier), [assignment, demandMultiplier]);
+  const result = useMemo(() => evaluateSolutionWrapper({ assignment, params, network, data }), [assignment, params, network, data]);
+  const loads = useMemo(() => computeLoads(designState(data), assignment, demandMultiplier), [data, assignment, demandMultiplier]);
+  // Utilisation per plant and DC for the graph's edge colouring
+  const nodeUtil = useMemo(() => Object.fromEntries([...loads.supplierUtil, ...loads.assemblyUtil].map(x => [x.id, x.util])), [loads]);
+
+  // History records the state once it has been still for HISTORY_SETTLE_MS,
+  // so a slider drag or a burst of edits is one undo step.  Undo with
+  // unrecorded changes first records them, so redo can bring them back.
+  const snapshotKey = useMemo(() => JSON.stringify({ params, assignment, data }), [params, assignment, data]);
+  useEffect(() => {
+    const timer = setTimeout(() => setHistory(h => {
+      if (h.entries[h.index]?.key === snapshotKey) return h;
+      const entries = [...h.entries.slice(0, h.index + 1), { key: snapshotKey, params, assignment, data }].slice(-HISTORY_LIMIT);
+      return { entries, index: entries.length - 1 };
+    }), HISTORY_SETTLE_MS);
+    return () => clearTimeout(timer);
+  }, [snapshotKey]);
+  const pendingChange = history.index >= 0 && history.entries[history.index].key !== snapshotKey;
+  const canUndo = history.index > 0 || pendingChange;
+  const canRedo = !pendingChange && history.index < history.entries.length - 1;
+  // What undo and redo would change, for their tooltips
+  const undoLabel = useMemo(() => {
+    const { entries, index } = history;
+    if (pendingChange) return describeChange(entries[index], { params, assignment, data });
+    return index > 0 ? describeChange(entries[index - 1], entries[index]) : null;
+  }, [history, snapshotKey]);
+  const redoLabel = useMemo(() => (canRedo ? describeChange(history.entries[history.index], history.entries[history.index + 1]) : null), [history, canRedo]);
+
+  // Put back a snapshot's levers, assignment and network
+  function restoreSnapshot(snap) {
+    if (snap.data !== data) applyNetwork(snap.data, snap.assignment);
+    else setAssignment(snap.assignment);
+    applyParams(snap.params);
+    // Keep the chosen disruption when the restored library still has it
+    if (snap.params.disruptions?.some(ev => ev.id === disruptionId)) setDisruptionId(disruptionId);
+  }
+  function undo() {
+    if (!canUndo) return;
+    const { entries, index } = history;
+    if (pendingChange) {
+      const kept = [...entries.slice(0, index + 1), { key: snapshotKey, params, assignment, data }];
+      setHistory({ entries: kept, index });
+      restoreSnapshot(entries[index]);
+    } else {
+      setHistory({ entries, index: index - 1 });
+      restoreSnapshot(entries[index - 1]);
+    }
+  }
+  function redo() {
+    if (!canRedo) return;
+    setHistory(h => ({ ...h, index: h.index + 1 }));
+    restoreSnapshot(history.entries[history.index + 1]);
+  }
+  // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes, except while typing in a field
+  useEffect(() => {
+    const onKey = (ev) => {
+      if (!(ev.ctrlKey || ev.metaKey) || ev.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = ev.key.toLowerCase();
+      if (key === 'z' && !ev.shiftKey) { ev.preventDefault(); undo(); }
+      else if (key === 'y' || (key === 'z' && ev.shiftKey)) { ev.preventDefault(); redo(); }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  });
+
+  function deleteLaneFromGraph(lane) {
+    const next = JSON.parse(JSON.stringify(data));
+    delete next.lanes[lane];
+    if (validateNetwork(next).length > 0) return;
+    // Demand rows shipping on the lane lose those legs
+    const kept = Object.fromEntries(Object.entries(assignment).map(([id, pick]) => [id, legsOf(pick).filter(leg => `${leg.supplierId}->${leg.assemblyId}` !== lane)]));
+    applyNetwork(next, kept);
+  }
+
+  // Replace the network model, keeping assignments that still fit it
+  function applyNetwork(next, rawAssignment = assignment) {
+    const lrus = demandRows(next.products);
+    setData(next);
+    setAssignment(normalizeAssignment(rawAssignment, lrus, defaultAssignment(next, lrus), next));
+    if (!lrus.some(l => l.id === activeLruId)) setActiveLruId(lrus[0]?.id);
+    // Common-cause outage events may only name plants that still exist
+    setUncertainty(u => ({
+      ...u,
+      commonCause: u.commonCause.map(event => ({ ...event, plants: event.plants.filter(id => next.plants.some(p => p.id === id)) }))
+    }));
+    // Disruption events lose lanes that no longer exist and are dropped when
+    // their plant or region is gone
+    setDisruptions(list => list
+      .filter(ev => (ev.kind !== 'plantOutage' || next.plants.some(p => p.id === ev.plantId))
+        && (ev.kind !== 'demandSpike' || next.regions.some(r => r.id === ev.region)))
+      .map(ev => (ev.kind === 'laneClosure' ? { ...ev, lanes: ev.lanes.filter(l => next.lanes[l]) } : ev)));
+    // Sensitivity inputs whose plant, lane, product or region is gone
+    const inputKeys = new Set(sensitivityInputs(next).map(x => `${x.kind}:${x.target}`));
+    setSensSpec(spec => ({ ...spec, inputs: spec.inputs.filter(i => inputKeys.has(`${i.kind}:${i.target}`)) }));
+    setPendingSupplier(null);
+  }
+
+  // Restore levers, falling back to defaults for any that are missing
+  function applyParams(p) {
+    setServiceTarget(p.serviceTarget ?? DEFAULT_PARAMS.serviceTarget);
+    setRiskWeight(p.riskWeight ?? DEFAULT_PARAMS.riskWeight);
+    setCarbonPrice(p.carbonPrice ?? DEFAULT_PARAMS.carbonPrice);
+    setDemandVol(p.demandVol ?? DEFAULT_PARAMS.demandVol);
+    setDemandMultiplier(p.demandMultiplier ?? DEFAULT_PARAMS.demandMultiplier);
+    setAllowOverflow(p.allowOverflow ?? DEFAULT_PARAMS.allowOverflow);
+    setFuelSurcharge(p.fuelSurcharge ?? DEFAULT_PARAMS.fuelSurcharge);
+    setRelShock(p.relShock ?? DEFAULT_PARAMS.relShock);
+    setHorizonMonths(p.horizonMonths ?? DEFAULT_PARAMS.horizonMonths);
+    setStartMonth(p.startMonth ?? DEFAULT_PARAMS.startMonth);
+    setMcSeed(p.mcSeed ?? DEFAULT_PARAMS.mcSeed);
+    setMcSamples(p.mcSamples ?? DEFAULT_PARAMS.mcSamples);
+    setUncertainty(withUncertaintyDefaults(p.uncertainty));
+    const events = p.disruptions ?? JSON.parse(JSON.stringify(DEFAULT_DISRUPTIONS));
+    setDisruptions(events);
+    setDisruptionId(events[0]?.id ?? null);
+    setDisruptionResult(null);
+    setSensSpec(p.sensitivity ?? JSON.parse(JSON.stringify(DEFAULT_SENSITIVITY)));
+  }
+
+  // Restore the graph view, falling back to the row layout
+  function applyGraphView(view) {
+    setGraphView({ ...DEFAULT_GRAPH_VIEW, ...view, positions: { ...DEFAULT_GRAPH_VIEW.positions, ...view?.positions } });
+  }
+
+  // Load an exported scenario (file import or share link).  Returns false and
+  // reports field-level errors if the payload does not validate.
+  function loadScenario(raw) {
+    const scenario = migrateScenario(raw);
+    const errors = validateScenario(scenario);
+    if (errors.length) {
+      setImportErrors(errors);
+      return false;
+    }
+    applyNetwork(scenario.state, scenario.assignment ?? {});
+    applyParams(scenario.params ?? {});
+    applyGraphView(scenario.graph);
+    setImportErrors(null);
+    return true;
+  }
+
+  async function importFile(file) {
+    if (!file) return;
+    let raw;
+    try {
+      raw = JSON.parse(await file.text());
+    } catch (e) {
+      setImportErrors([{ path: file.name, message: `Not valid JSON: ${e.message}` }]);
+      return;
+    }
+    loadScenario(raw);
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragging(false);
+    importFile(e.dataTransfer.files?.[0]);
+  }
+
+  // Monte Carlo, sensitivity and the optimizer run in the engine worker
+  const engine = useEngine();
 
   // Run optimize
-  const [optBusy, setOptBusy] = useState(false);
+  const [optResult, setOptResult] = useState(null);
+  // Month-by-month build plan from the optimizer.  It is only used while the
+  // assignment and network it was solved for are current; otherwise the
+  // horizon follows the assignment as a chase plan.
+  const [plan, setPlan] = useState(null);
+  const planKey = `${horizonMonths}:${startMonth}:${demandMultiplier}`;
+  const planCurrent = !!plan && plan.assignment === assignment && plan.data === data && plan.key === planKey;
   async function runOptimize() {
-    setOptBusy(true);
-    try {
-      const best = enumerateBestSolutionMMD({ network, params });
-      if (best) {
-        setAssignment(best.assignment);
-      }
-    } finally { setOptBusy(false); }
+    const state = buildScenarioState();
+    const res = await engine.run('optimize', [state]);
+    if (!res) return;
+    setOptResult(res);
+    if (res.status === 'optimal') {
+      // Legs carry each row's share of its demand over the whole horizon
+      const next = assignmentFromAlloc(res.alloc, network.lrus, horizonDemandTotals(state));
+      setAssignment(next);
+      setPlan({ assignment: next, data, key: planKey, allocByPeriod: res.allocByPeriod });
+    }
   }
 
-  // Monte Carlo simulation
-  function handleRunMC(samples = 200) {
-    setMcStats(null);
-    setTimeout(() => {
-      const state = {
-        products: JSON.parse(JSON.stringify(initialData.products)),
-        plants: JSON.parse(JSON.stringify(initialData.plants)),
-        dcs: JSON.parse(JSON.stringify(initialData.dcs)),
-        lanes: JSON.parse(JSON.stringify(initialData.lanes)),
-        choices: { alloc: {}, mode: {} },
-        levers: {
-          serviceTarget,
-          riskWeight,
-          carbonPrice,
-          demandVol,
-          overflow: allowOverflow,
-          fuelSurcharge
-        }
-      };
-      // build choices from assignment
-      Object.entries(assignment).forEach(([lruId, pick]) => {
-        const units = initialData.products[0].monthlyDemand[lruId] * demandMultiplier;
-        const key = `${pick.supplierId}->${pick.assemblyId}`;
-        state.choices.alloc[key] = (state.choices.alloc[key] || 0) + units;
-        state.choices.mode[key] = pick.mode;
-      });
-      const res = runMonteCarlo(state, samples, relShock);
-      setMcStats(res);
-    }, 50);
+  // Efficient frontier of optimized plans for the current network and horizon
+  async function handlePareto() {
+    const res = await engine.run('pareto', [buildScenarioState()]);
+    if (!res) return;
+    setPareto({ ...res, data, key: planKey });
+    setParetoSelected(null);
+  }
+  // Load a frontier plan into the assignment, Graph and KPIs
+  function loadParetoPoint(point) {
+    if (pareto.data !== data || pareto.key !== planKey) return;
+    const next = assignmentFromAlloc(point.alloc, network.lrus, horizonDemandTotals(buildScenarioState()));
+    setAssignment(next);
+    setPlan({ assignment: next, data, key: planKey, allocByPeriod: point.allocByPeriod });
+    setParetoSelected(point.id);
   }
 
-  // Sensitivity
-  function handleSensitivity() {
+  // NPV and payback of the network-design options against the status quo
+  async function handleAppraisal() {
+    const res = await engine.run('design', [buildScenarioState()]);
+    if (!res) return;
+    setAppraisal({ ...res, data, key: planKey });
+  }
+  // Take an appraised design into the network and load its plan
+  function adoptDesign(c) {
+    if (appraisal.data !== data || appraisal.key !== planKey) return;
+    const nextData = { ...data, design: c.design };
+    const next = assignmentFromAlloc(c.alloc, network.lrus, horizonDemandTotals(buildScenarioState()));
+    setData(nextData);
+    setAssignment(next);
+    setPlan({ assignment: next, data: nextData, key: planKey, allocByPeriod: c.allocByPeriod });
+  }
+
+  // Build an evaluateScenario state from the current assignment.  Demand is
+  // scaled by the demand multiplier like the allocation; `horizon` and
+  // `choices.allocByPeriod` drive evaluateHorizon.
+  function buildScenarioState() {
+    const horizon = { months: horizonMonths, startMonth };
+    const products = JSON.parse(JSON.stringify(data.products));
+    products.forEach((prod) => {
+      for (const region of Object.keys(prod.monthlyDemand)) prod.monthlyDemand[region] *= demandMultiplier;
+    });
     const state = {
-      products: JSON.parse(JSON.stringify(initialData.products)),
-      plants: JSON.parse(JSON.stringify(initialData.plants)),
-      dcs: JSON.parse(JSON.stringify(initialData.dcs)),
-      lanes: JSON.parse(JSON.stringify(initialData.lanes)),
-      choices: { alloc: {}, mode: {} },
+      regions: JSON.parse(JSON.stringify(data.regions)),
+      duties: JSON.parse(JSON.stringify(data.duties)),
+      products,
+      plants: JSON.parse(JSON.stringify(data.plants)),
+      dcs: JSON.parse(JSON.stringify(data.dcs)),
+      lanes: JSON.parse(JSON.stringify(data.lanes)),
+      overflowProviders: JSON.parse(JSON.stringify(data.overflowProviders)),
+      investments: data.investments,
+      design: data.design,
+      finance: data.finance,
+      horizon,
+      uncertainty,
+      choices: {
+        alloc: allocFromAssignment(network.lrus, assignment, demandMultiplier),
+        allocByPeriod: planCurrent ? plan.allocByPeriod : chasePlan(network.lrus, assignment, demandMultiplier, data.products, horizon)
+      },
       levers: {
         serviceTarget,
         riskWeight,
@@ -690,22 +3421,75 @@ export default function App() {
         fuelSurcharge
       }
     };
-    Object.entries(assignment).forEach(([lruId, pick]) => {
-      const units = initialData.products[0].monthlyDemand[lruId] * demandMultiplier;
-      const key = `${pick.supplierId}->${pick.assemblyId}`;
-      state.choices.alloc[key] = (state.choices.alloc[key] || 0) + units;
-      state.choices.mode[key] = pick.mode;
+    return state;
+  }
+
+  // Inputs the sensitivity setup can pick from
+  const sensInputs = useMemo(() => sensitivityInputs({ ...data, levers: {} }), [data]);
+
+  // Time-phased KPIs for the plan (or chase plan) over the horizon
+  const horizonResult = useMemo(() => evaluateHorizon(buildScenarioState()), [data, assignment, params, plan]);
+  // Plant-to-market flows in months the plant is not yet licensed for; the
+  // steady-state violations already show in `result.unlicensed`
+  const horizonLicences = useMemo(
+    () => licenceViolations(buildScenarioState()).filter(v => !result.unlicensed.some(u => u.message === v.message)),
+    [data, assignment, params, plan, result]
+  );
+
+  // Time to survive vs time to recover for every site under the current plan
+  const survival = useMemo(() => survivalReport(buildScenarioState()), [data, assignment, params]);
+
+  // Monte Carlo simulation; partial statistics stream in as samples finish
+  // and are kept (marked cancelled) if the run is stopped early
+  async function handleRunMC() {
+    setMcStats(null);
+    const res = await engine.run('montecarlo', [buildScenarioState(), mcSamples, relShock, mcSeed], (p) => {
+      setMcStats({ ...p.partial, running: true });
     });
-    const res = tornado(state);
-    setSens(res);
+    setMcStats(prev => res ?? (prev && { ...prev, running: false, cancelled: true }));
+  }
+
+  // Stress-test the current plan with the selected disruption event
+  async function handleDisruption() {
+    const event = disruptions.find(ev => ev.id === disruptionId);
+    if (!event) return;
+    const res = await engine.run('disruption', [buildScenarioState(), event]);
+    if (res) setDisruptionResult(res);
+  }
+  function updateDisruption(next) {
+    setDisruptions(list => list.map(ev => (ev.id === next.id ? next : ev)));
+  }
+  function addDisruption() {
+    const event = { id: `EVENT_${Date.now()}`, name: 'New disruption', kind: 'plantOutage', start: 0, durationDays: 30, plantId: data.plants[0]?.id, capacityLoss: 1 };
+    setDisruptions(list => [...list, event]);
+    setDisruptionId(event.id);
+  }
+  function removeDisruption(id) {
+    const rest = disruptions.filter(ev => ev.id !== id);
+    setDisruptions(rest);
+    setDisruptionId(rest[0]?.id ?? null);
+  }
+
+  // Sensitivity
+  async function handleSensitivity() {
+    const res = await engine.run('sensitivity', [buildScenarioState(), sensSpec]);
+    if (res) {
+      setSens(res);
+      setSensSelected(res.rows[0]?.key ?? null);
+    }
   }
 
   // Save scenario
   function saveScenario() {
     const snap = {
       id: `${Date.now()}`,
+      name: `Scenario ${saved.length + 1}`,
+      tags: [],
+      schemaVersion: SCENARIO_SCHEMA_VERSION,
       params,
       assignment,
+      data,
+      graph: graphView,
       metrics: result,
       ts: new Date().toISOString()
     };
@@ -714,21 +3498,59 @@ export default function App() {
     localStorage.setItem('mmd_scenarios', JSON.stringify(next));
   }
 
+  function updateSaved(id, patch) {
+    const next = saved.map(s => (s.id === id ? { ...s, ...patch } : s));
+    setSaved(next);
+    localStorage.setItem('mmd_scenarios', JSON.stringify(next));
+  }
+
   function clearSaved() {
     setSaved([]);
     localStorage.removeItem('mmd_scenarios');
   }
 
+  // What-if branches
+  function storeBranches(next) {
+    setBranches(next);
+    localStorage.setItem('mmd_branches', JSON.stringify(next));
+  }
+  const branchSnapshot = () => ({ params, assignment, data, graph: graphView, metrics: { cost: result.cost, serviceLevel: result.totals.serviceLevel }, ts: new Date().toISOString() });
+  const currentBranch = branches.nodes.find(n => n.id === branches.currentId);
+  const branchModified = useMemo(() => !currentBranch || JSON.stringify({ params: currentBranch.params, assignment: currentBranch.assignment, data: currentBranch.data }) !== snapshotKey, [currentBranch, snapshotKey]);
+  function branchHere() {
+    const node = { id: `${Date.now()}`, parentId: currentBranch?.id ?? null, name: `What-if ${branches.nodes.length + 1}`, note: '', ...branchSnapshot() };
+    storeBranches({ nodes: [...branches.nodes, node], currentId: node.id });
+    // Diff the new branch against the one it came from
+    if (currentBranch) setBranchDiff({ a: currentBranch.id, b: node.id });
+  }
+  // Diff pair, defaulting to the current branch against its parent
+  const diffFrom = branches.nodes.find(n => n.id === branchDiff.a) ?? branches.nodes.find(n => n.id === currentBranch?.parentId);
+  const diffTo = branches.nodes.find(n => n.id === branchDiff.b) ?? currentBranch;
+  function loadBranch(node) {
+    restoreSnapshot(node);
+    applyGraphView(node.graph);
+    storeBranches({ ...branches, currentId: node.id });
+  }
+  function updateBranch(id, patch) {
+    storeBranches({ ...branches, nodes: branches.nodes.map(n => (n.id === id ? { ...n, ...patch } : n)) });
+  }
+  function deleteBranch(id) {
+    const doomed = new Set([id]);
+    // Parents come before their children, so one pass collects the subtree
+    for (const n of branches.nodes) if (doomed.has(n.parentId)) doomed.add(n.id);
+    const parentId = branches.nodes.find(n => n.id === id)?.parentId ?? null;
+    storeBranches({ nodes: branches.nodes.filter(n => !doomed.has(n.id)), currentId: doomed.has(branches.currentId) ? parentId : branches.currentId });
+  }
+
   // Export JSON
   function downloadJSON() {
     const payload = {
+      schemaVersion: SCENARIO_SCHEMA_VERSION,
+      exportedAt: new Date().toISOString(),
       assignment,
       params,
-      state: {
-        products: initialData.products,
-        plants: initialData.plants,
-        dcs: initialData.dcs
-      }
+      state: data,
+      graph: graphView
     };
     const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -741,7 +3563,7 @@ export default function App() {
 
   // Share link
   async function copyShareLink() {
-    const payload = { assignment, params };
+    const payload = { schemaVersion: SCENARIO_SCHEMA_VERSION, assignment, params, state: data, graph: graphView };
     const url = `${location.origin}${location.pathname}#${btoa(encodeURIComponent(JSON.stringify(payload)))}`;
     try {
       await navigator.clipboard.writeText(url);
@@ -756,26 +3578,32 @@ export default function App() {
     try {
       if (location.hash && location.hash.length > 1) {
         const decoded = JSON.parse(decodeURIComponent(atob(location.hash.slice(1))));
-        if (decoded.assignment) setAssignment(decoded.assignment);
-        if (decoded.params) {
-          const p = decoded.params;
-          setServiceTarget(p.serviceTarget ?? 0.95);
-          setRiskWeight(p.riskWeight ?? 0.002);
-          setCarbonPrice(p.carbonPrice ?? 0.02);
-          setDemandVol(p.demandVol ?? 0.10);
-          setDemandMultiplier(p.demandMultiplier ?? 1.0);
-          setAllowOverflow(p.allowOverflow ?? true);
-          setFuelSurcharge(p.fuelSurcharge ?? 0.02);
-          setRelShock(p.relShock ?? 0.02);
-        }
+        loadScenario(decoded);
       }
     } catch {}
   }, []);
 
   const infeasible = !result.feasible;
+  // Lanes carrying volume, cross-border ones first; the waterfall falls back
+  // to the first when the chosen lane no longer ships
+  const landedLanes = Object.entries(result.byLane)
+    .filter(([, row]) => row.units > 0)
+    .sort(([, a], [, b]) => (b.duty + b.brokerage > 0) - (a.duty + a.brokerage > 0) || b.units - a.units);
+  const landedLane = landedLanes.some(([lane]) => lane === landedLaneChoice) ? landedLaneChoice : landedLanes[0]?.[0];
+  // Plants and DCs the assignment loads beyond their capacity
+  const overCapacity = [
+    ...loads.supplierUtil.map(s => ({ type: 'Plant', ...s })),
+    ...loads.assemblyUtil.map(a => ({ type: 'DC', ...a }))
+  ].filter(x => x.util > 1);
 
   return (
-    <div className="text-slate-100">
+    <div className="text-slate-100"
+      onDragOver={(e) => { e.preventDefault(); setDragging(true); }}
+      onDragLeave={(e) => { if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false); }}
+      onDrop={handleDrop}>
+      {dragging && (
+        <div className="drop-overlay no-print">Drop a scenario JSON file to import</div>
+      )}
       {/* Header bar */}
       <div className="flex items-center justify-between mb-4 no-print">
         <div>
@@ -783,18 +3611,41 @@ export default function App() {
           <div className="text-xs text-slate-400">Interactive • Optimize • Capacity • Monte Carlo • Sensitivity</div>
         </div>
         <div className="flex gap-2">
-          <button className="btn primary" onClick={runOptimize} disabled={optBusy}>{optBusy ? 'Optimizing…' : 'Optimize'}</button>
+          <button className="btn primary" onClick={runOptimize} disabled={engine.job?.task === 'optimize'}>{engine.job?.task === 'optimize' ? 'Optimizing…' : 'Optimize'}</button>
+          <button className="btn" onClick={undo} disabled={!canUndo} title={canUndo ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}>Undo</button>
+          <button className="btn" onClick={redo} disabled={!canRedo} title={canRedo ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}>Redo</button>
           <button className="btn" onClick={saveScenario}>Save</button>
           <button className="btn" onClick={downloadJSON}>Export JSON</button>
+          <button className="btn" onClick={() => fileInputRef.current?.click()}>Import JSON</button>
+          <input ref={fileInputRef} type="file" accept="application/json,.json" style={{ display: 'none' }}
+            onChange={(e) => { importFile(e.target.files?.[0]); e.target.value = ''; }} />
           <button className="btn" onClick={copyShareLink}>Share Link</button>
           <button className="btn" onClick={() => setShowCompare(true)}>Compare</button>
           <button className="btn" onClick={() => window.print()}>Export PDF</button>
         </div>
       </div>
+      <JobProgress engine={engine} task="optimize" className="mb-3 no-print" />
+      {/* Import errors */}
+      {importErrors && (
+        <div className="bg-rose-600 text-slate-100 text-sm px-3 py-2 rounded-lg mb-3 no-print">
+          <div className="flex justify-between items-center">
+            <strong>Scenario not imported – {importErrors.length} problem{importErrors.length > 1 ? 's' : ''} found</strong>
+            <button className="btn ghost" onClick={() => setImportErrors(null)}>Dismiss</button>
+          </div>
+          <ul className="text-xs mt-1">
+            {importErrors.map((e, idx) => (<li key={idx}><code>{e.path || '(file)'}</code>: {e.message}</li>))}
+          </ul>
+        </div>
+      )}
       {/* Infeasible banner */}
       {infeasible && (
         <div className="bg-rose-600 text-slate-100 text-sm px-3 py-2 rounded-lg mb-3 no-print">
           Infeasible under current constraints (service target, capacity, overflow policy). Adjust targets, allow overflow, or reassign.
+          {overCapacity.length > 0 && (
+            <div className="text-xs mt-1">
+              Over capacity: {overCapacity.map(x => `${x.type} ${x.name} ${Number.isFinite(x.util) ? `${Math.round(x.util * 100)}%` : '(closed)'}`).join(' • ')}
+            </div>
+          )}
         </div>
       )}
       {/* Main layout */}
@@ -807,22 +3658,97 @@ export default function App() {
             <Range label="Carbon Price ($/kg)" min={0} max={0.10} step={0.005} value={carbonPrice} onChange={setCarbonPrice} />
             <Range label="Demand Volatility (σ)" min={0} max={0.5} step={0.01} value={demandVol} onChange={setDemandVol} />
             <Range label="Fuel Surcharge ($/u)" min={0} max={0.10} step={0.005} value={fuelSurcharge} onChange={setFuelSurcharge} />
+            <div className="flex gap-2 mb-2">
+              <div className="flex-1">
+                <Label>Horizon</Label>
+                <Select value={horizonMonths} onChange={(e) => setHorizonMonths(parseInt(e.target.value, 10))}
+                  options={Array.from({ length: 13 }, (_, k) => ({ value: 12 + k, label: `${12 + k} months` }))} />
+              </div>
+              <div className="flex-1">
+                <Label>Starting</Label>
+                <Select value={startMonth} onChange={(e) => setStartMonth(parseInt(e.target.value, 10))}
+                  options={MONTH_NAMES.map((m, mi) => ({ value: mi, label: m }))} />
+              </div>
+            </div>
             <div className="checkbox">
               <input type="checkbox" checked={allowOverflow} onChange={(e) => setAllowOverflow(e.target.checked)} id="overflowToggle" />
               <label htmlFor="overflowToggle">Allow surge/overflow (3PL/CMO)</label>
             </div>
           </Panel>
+          <Panel title="Network model" subtitle="Edit plants, qualifications, demand, DCs and lanes; valid edits apply immediately">
+            <NetworkEditor data={data} onApply={(next) => applyNetwork(next)} onReset={() => applyNetwork(JSON.parse(JSON.stringify(initialData)))} />
+          </Panel>
           <Panel title="Monte Carlo & Sensitivity">
             <div className="flex flex-col gap-2">
               {/* Reliability shock slider for Monte Carlo */}
               <Range label="Reliability Shock (σ)" min={0} max={0.10} step={0.005} value={relShock} onChange={setRelShock} />
-              <button className="btn" onClick={() => handleRunMC(200)} disabled={mcStats && false}>{mcStats ? 'Run again' : 'Run 200 sims'}</button>
+              <button className="btn ghost text-left" onClick={() => setShowUncertainty(v => !v)}>
+                {showUncertainty ? '▾' : '▸'} Uncertainty model
+              </button>
+              {showUncertainty && <UncertaintyEditor value={uncertainty} onChange={setUncertainty} plants={data.plants} />}
+              <div className="flex gap-2 items-end">
+                <div className="flex-1">
+                  <Label>Seed</Label>
+                  <input type="number" min={0} step={1} className="input" value={mcSeed} onChange={(e) => setMcSeed(clamp(parseInt(e.target.value, 10) || 0, 0, 4294967295))} />
+                </div>
+                <div className="flex-1">
+                  <Label>Samples</Label>
+                  <input type="number" min={1} max={10000} step={50} className="input" value={mcSamples} onChange={(e) => setMcSamples(clamp(parseInt(e.target.value, 10) || 1, 1, 10000))} />
+                </div>
+                <button className="btn ghost" title="New random seed" onClick={() => setMcSeed(Math.floor(Math.random() * 4294967296))}>🎲</button>
+              </div>
+              <button className="btn" onClick={handleRunMC}>{`Run ${mcSamples} sims`}</button>
+              <JobProgress engine={engine} task="montecarlo" />
               {mcStats && (
                 <div className="text-xs text-slate-300">
-                  P(Service ≥ T): {(mcStats.probHit*100).toFixed(1)}% • Avg {fmt(mcStats.meanCost,0)} • 90th {fmt(mcStats.p90Cost,0)}
+                  <div className="text-slate-500">
+                    Seed {mcStats.seed} • {mcStats.samples} samples
+                    {mcStats.running && ' so far'}
+                    {mcStats.cancelled && <span className="text-amber-400"> (cancelled – partial result)</span>}
+                  </div>
+                  P(Service ≥ T): {(mcStats.probHit*100).toFixed(1)}% [{(mcStats.probHitCI[0]*100).toFixed(1)}–{(mcStats.probHitCI[1]*100).toFixed(1)}%] • Avg {fmt(mcStats.meanCost,0)} • 90th {fmt(mcStats.p90Cost,0)}
+                  <div className="text-slate-500">Service and cost over the {mcStats.months}-month horizon</div>
+                  <div className="text-slate-400">
+                    {network.products.map((prod) => `${prod.code} ${(mcStats.probHitByProduct[prod.id]*100).toFixed(1)}%`).join(' • ')}
+                  </div>
                 </div>
               )}
-              <button className="btn" onClick={handleSensitivity}>Run Sensitivity</button>
+              <button className="btn ghost text-left" onClick={() => setShowSensSetup(v => !v)}>
+                {showSensSetup ? '▾' : '▸'} Sensitivity setup ({sensSpec.inputs.length} inputs, {SENSITIVITY_METRICS.find(m => m.value === sensSpec.metric)?.label})
+              </button>
+              {showSensSetup && <SensitivityEditor spec={sensSpec} onChange={setSensSpec} available={sensInputs} />}
+              <button className="btn" disabled={sensSpec.inputs.length === 0} onClick={handleSensitivity}>Run Sensitivity</button>
+              <JobProgress engine={engine} task="sensitivity" />
+            </div>
+          </Panel>
+          <Panel title="Disruption scenarios" subtitle="Named stress events applied on top of the current plan">
+            <div className="flex flex-col gap-2">
+              <div className="flex gap-1">
+                <div className="flex-1">
+                  <Select value={disruptionId ?? ''} onChange={(e) => setDisruptionId(e.target.value)} options={disruptions} />
+                </div>
+                <button className="btn ghost" title="New event" onClick={addDisruption}>+</button>
+                {disruptionId && <button className="btn ghost" title="Delete event" onClick={() => removeDisruption(disruptionId)}>✕</button>}
+              </div>
+              {disruptions.filter(ev => ev.id === disruptionId).map(ev => (
+                <DisruptionEditor key={ev.id} event={ev} onChange={updateDisruption} data={data} months={horizonMonths} />
+              ))}
+              <button className="btn" disabled={!disruptionId} onClick={handleDisruption}>Stress-test plan</button>
+              <JobProgress engine={engine} task="disruption" />
+            </div>
+          </Panel>
+          <Panel title="Network design" subtitle="Open, close and add-line options (edit them under Network model → Design)">
+            <div className="flex flex-col gap-2 text-xs">
+              {data.investments.length === 0 ? (
+                <div className="text-slate-400">No design options defined.</div>
+              ) : data.investments.map((o) => (
+                <div key={o.id} className="flex justify-between">
+                  <span className={data.design.includes(o.id) ? '' : 'text-slate-500'}>{data.design.includes(o.id) ? '✓' : '○'} {o.name}</span>
+                  <span className="text-slate-400">${fmt(o.capex / 1e6,1)}M • {o.leadMonths} mo</span>
+                </div>
+              ))}
+              <button className="btn" disabled={data.investments.length === 0} onClick={handleAppraisal}>Appraise design options</button>
+              <JobProgress engine={engine} task="design" />
             </div>
           </Panel>
           <Panel title="Saved scenarios">
@@ -833,43 +3759,102 @@ export default function App() {
                 {saved.map((s) => (
                   <div key={s.id} className="flex items-center justify-between text-xs">
                     <div className="flex flex-col">
-                      <span>{new Date(s.ts).toLocaleString()}</span>
+                      <input value={scenarioName(s)} onChange={(e) => updateSaved(s.id, { name: e.target.value })} aria-label="Scenario name"
+                        className="bg-transparent text-slate-200 text-xs border-b border-slate-700" />
+                      <input defaultValue={(s.tags || []).join(', ')} placeholder="tags, comma separated" aria-label="Scenario tags"
+                        onBlur={(e) => updateSaved(s.id, { tags: [...new Set(e.target.value.split(',').map(t => t.trim()).filter(Boolean))] })}
+                        className="bg-transparent text-slate-400 text-xs" />
                       <span className="text-slate-500">OTIF {(s.metrics.totals.serviceLevel*100).toFixed(1)}% • Obj {fmt(s.objective ?? (s.metrics.cost + s.params?.riskWeight * s.metrics.totals.riskIndex * 1000),0)}</span>
                     </div>
-                    <button className="btn" onClick={() => {
-                      setAssignment(s.assignment);
-                      setServiceTarget(s.params.serviceTarget);
-                      setRiskWeight(s.params.riskWeight);
-                      setCarbonPrice(s.params.carbonPrice);
-                      setDemandVol(s.params.demandVol);
-                      setDemandMultiplier(s.params.demandMultiplier ?? 1);
-                      setAllowOverflow(s.params.allowOverflow);
-                      setFuelSurcharge(s.params.fuelSurcharge);
-                    }}>Load</button>
+                    <button className="btn" onClick={() => loadScenario(savedAsExport(s))}>Load</button>
                   </div>
                 ))}
                 <button className="btn ghost mt-1 text-xs" onClick={clearSaved}>Clear all</button>
               </div>
             )}
           </Panel>
+          <Panel title="What-if branches" subtitle="Named snapshots branched from one another; pick two to diff">
+            <BranchTree nodes={branches.nodes} currentId={branches.currentId} modified={branchModified} onBranch={branchHere} onLoad={loadBranch}
+              onUpdate={updateBranch} onSave={() => updateBranch(currentBranch.id, branchSnapshot())} onDelete={deleteBranch} />
+            {branches.nodes.length >= 2 && (
+              <div className="mt-3 flex flex-col gap-2">
+                <div className="flex items-center gap-1 text-xs">
+                  <label className="text-slate-400">Diff</label>
+                  <select value={diffFrom?.id ?? ''} onChange={(e) => setBranchDiff(d => ({ ...d, a: e.target.value }))} className="bg-slate-800 border border-slate-700 text-slate-200 text-xs rounded-md p-1 flex-1">
+                    <option value="">–</option>
+                    {branches.nodes.map((n) => (<option key={n.id} value={n.id}>{n.name}</option>))}
+                  </select>
+                  <label className="text-slate-400">→</label>
+                  <select value={diffTo?.id ?? ''} onChange={(e) => setBranchDiff(d => ({ ...d, b: e.target.value }))} className="bg-slate-800 border border-slate-700 text-slate-200 text-xs rounded-md p-1 flex-1">
+                    <option value="">–</option>
+                    {branches.nodes.map((n) => (<option key={n.id} value={n.id}>{n.name}</option>))}
+                  </select>
+                </div>
+                {diffFrom && diffTo && diffFrom !== diffTo && <BranchDiff a={diffFrom} b={diffTo} />}
+              </div>
+            )}
+          </Panel>
         </div>
         {/* Center: Graph & LRU edits */}
         <div className="col-span-2 flex flex-col gap-3">
-          <Panel title="Network & Flows" subtitle="Click supplier then DC to connect; click edge tag to change mode">
+          <Panel title="Network & Flows" subtitle="Select a plant then a DC to connect; select an edge to disconnect it. Keyboard: Tab/arrows to move, Enter to select, Esc to cancel">
             <div className="mb-2">
               <label className="text-xs text-slate-400 mr-1">Active Demand:</label>
               <select value={activeLruId} onChange={(e) => setActiveLruId(e.target.value)} className="bg-slate-800 border border-slate-700 text-slate-200 text-xs rounded-md p-1">
                 {network.lrus.map((l) => (<option key={l.id} value={l.id}>{l.name}</option>))}
               </select>
+              <label className="text-xs text-slate-400 ml-2 mr-1">Show:</label>
+              <select value={graphProduct} onChange={(e) => setGraphProduct(e.target.value)} className="bg-slate-800 border border-slate-700 text-slate-200 text-xs rounded-md p-1">
+                <option value="">All products</option>
+                {network.products.map((p) => (<option key={p.id} value={p.id}>{p.code}</option>))}
+              </select>
+              <label className="text-xs text-slate-400 ml-2 mr-1">Layout:</label>
+              <select value={graphView.layout} onChange={(e) => setGraphView(v => ({ ...v, layout: e.target.value }))} className="bg-slate-800 border border-slate-700 text-slate-200 text-xs rounded-md p-1">
+                {GRAPH_LAYOUTS.map((l) => (<option key={l.value} value={l.value}>{l.label}</option>))}
+              </select>
+              <label className="text-xs text-slate-400 ml-2 mr-1">Edge colour:</label>
+              <select value={graphView.edgeColor} onChange={(e) => setGraphView(v => ({ ...v, edgeColor: e.target.value }))} className="bg-slate-800 border border-slate-700 text-slate-200 text-xs rounded-md p-1">
+                {EDGE_COLORINGS.map((c) => (<option key={c.value} value={c.value}>{c.label}</option>))}
+              </select>
+              <button className="btn ghost ml-2" disabled={Object.keys(graphView.positions[graphView.layout] || {}).length === 0}
+                onClick={() => setGraphView(v => ({ ...v, positions: { ...v.positions, [v.layout]: {} } }))}>Reset positions</button>
               {pendingSupplier && <span className="ml-2 text-amber-400 text-xs">Supplier selected… pick a DC or press ESC</span>}
+              <span className="ml-2 text-slate-300 text-xs" role="status" aria-live="polite">{graphNotice}</span>
             </div>
-            <Graph network={network} assignment={assignment} setAssignment={setAssignment} activeLruId={activeLruId} pendingSupplier={pendingSupplier} setPendingSupplier={setPendingSupplier} />
+            <Graph network={network} assignment={assignment} onEdit={setAssignment} onDeleteLane={deleteLaneFromGraph} activeLruId={activeLruId} pendingSupplier={pendingSupplier} setPendingSupplier={setPendingSupplier} productFilter={graphProduct} onNotice={setGraphNotice} surgeUsed={result.surgeUsed}
+              flows={result.byFlow} utilisation={nodeUtil} view={graphView} onViewChange={setGraphView} />
           </Panel>
           <Panel title="Demands & assignments">
-            {network.lrus.map((l) => (
-              <div key={l.id} className="flex items-center gap-2 mb-1">
-                <strong className="text-slate-200 text-xs" style={{width:'80px'}}>{l.name}</strong>
-                <span className="text-slate-400 text-xs">{assignment[l.id].supplierId}→{assignment[l.id].assemblyId} • {assignment[l.id].mode}</span>
+            {network.products.map((prod) => (
+              <div key={prod.id} className="mb-2">
+                <div className="text-xs font-semibold mb-1" style={{ color: prod.color }}>{prod.name}</div>
+                {network.lrus.filter(l => l.productId === prod.id).map((l) => (
+                  <div key={l.id} className="flex items-center gap-2 mb-1">
+                    <strong className="text-slate-200 text-xs" style={{width:'80px'}}>{l.region} Demand</strong>
+                    <span className="text-slate-400 text-xs">
+                      {fmt(l.baseDemand * demandMultiplier)} • {legsOf(assignment[l.id]).map((leg) => {
+                        const region = data.regions.find(r => r.id === l.region);
+                        const release = releaseTerms(data.plants.find(p => p.id === leg.supplierId), region);
+                        const onTime = MODES[leg.mode] ? onTimeProb(data, `${leg.supplierId}->${leg.assemblyId}`, leg.mode, region, release.leadDays) : 1;
+                        return `${leg.supplierId}→${leg.assemblyId} • ${leg.mode}${leg.share < 1 ? ` (${Math.round(leg.share * 100)}%)` : ''}${onTime < 0.995 ? ` ⏱${pct(onTime)} on time` : ''}`;
+                      }).join(' + ') || 'overflow only'}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            ))}
+            {result.ineligible.length > 0 && (
+              <div className="text-xs text-rose-400">Not qualified: {result.ineligible.join(', ')}</div>
+            )}
+            {result.invalidLanes.length > 0 && (
+              <div className="text-xs text-rose-400">No lane for mode: {result.invalidLanes.join(', ')}</div>
+            )}
+            {result.unlicensed.map((u) => (
+              <div key={u.key} className="text-xs text-rose-400">Not licensed: {u.message} ({u.key})</div>
+            ))}
+            {horizonLicences.map((v) => (
+              <div key={`${v.plantId}:${v.region}`} className="text-xs text-amber-400">
+                {v.message}: {fmt(v.units)} doses not shipped in {v.months.map(t => horizonResult.periods[t]?.label ?? `M${t + 1}`).join(', ')}
               </div>
             ))}
           </Panel>
@@ -879,45 +3864,288 @@ export default function App() {
               {loads.supplierUtil.map((s) => (
                 <div key={s.id} className="flex items-center gap-2 mb-1">
                   <span className="w-36">{s.name}</span>
-                  <div className="flex-1 bar"><span style={{ width: `${Math.min(100, s.util*100)}%` }} /></div>
+                  <div className="flex-1 bar stacked">
+                    {network.products.map((prod) => (
+                      <span key={prod.id} title={`${prod.code}: ${fmt(s.byProduct[prod.id] || 0)}`} style={{ width: `${s.cap > 0 ? Math.min(100, (s.byProduct[prod.id] || 0) / s.cap * 100) : 0}%`, background: prod.color }} />
+                    ))}
+                  </div>
                   <span>{Math.round(s.load)}/{s.cap}</span>
                 </div>
               ))}
+              <div className="flex gap-2 mb-1 text-slate-400">
+                {network.products.map((prod) => (
+                  <span key={prod.id}><span style={{ color: prod.color }}>■</span> {prod.code}</span>
+                ))}
+              </div>
               <div className="mb-1 font-semibold mt-2">Distribution</div>
               {loads.assemblyUtil.map((a) => (
                 <div key={a.id} className="flex items-center gap-2 mb-1">
                   <span className="w-36">{a.name}</span>
-                  <div className="flex-1 bar"><span style={{ width: `${Math.min(100, a.util*100)}%` }} /></div>
+                  <div className="flex-1 bar"><span style={{ width: `${Math.min(100, a.util*100)}%`, background: a.util > 1 ? '#f43f5e' : undefined }} /></div>
                   <span>{Math.round(a.load)}/{a.cap}</span>
                 </div>
               ))}
+              {result.surgeUtil.length > 0 && (
+                <>
+                  <div className="mb-1 font-semibold mt-2">Surge providers{!allowOverflow && <span className="text-slate-400 font-normal"> (off)</span>}</div>
+                  {result.surgeUtil.map((o) => (
+                    <div key={o.id} className="flex items-center gap-2 mb-1">
+                      <span className="w-36">{o.name}</span>
+                      <div className="flex-1 bar"><span style={{ width: `${o.cap == null ? 0 : Math.min(100, o.util * 100)}%`, background: o.util >= 1 ? '#f43f5e' : '#f59e0b' }} /></div>
+                      <span>{Math.round(o.load)}/{o.cap ?? '∞'}</span>
+                    </div>
+                  ))}
+                </>
+              )}
               <div className="mt-2">
                 <span className="font-semibold">Bottlenecks (≥85%): </span>
                 {[
                   ...loads.supplierUtil.map(s=>({ type:'Plant', ...s })),
-                  ...loads.assemblyUtil.map(a=>({ type:'DC', ...a }))
+                  ...loads.assemblyUtil.map(a=>({ type:'DC', ...a })),
+                  ...result.surgeUtil.map(o=>({ type:'Surge', ...o }))
                 ].filter(x=>x.util>=0.85).sort((a,b)=>b.util-a.util).map((x) => (
-                  <span key={x.id} className="mr-3">{x.type}: {x.name} {Math.round(x.util*100)}%</span>
+                  <span key={x.id} className="mr-3">{x.type}: {x.name} {Number.isFinite(x.util) ? `${Math.round(x.util*100)}%` : '(closed)'}</span>
                 ))}
                 {[
                   ...loads.supplierUtil.map(s=>s.util),
-                  ...loads.assemblyUtil.map(a=>a.util)
+                  ...loads.assemblyUtil.map(a=>a.util),
+                  ...result.surgeUtil.map(o=>o.util)
                 ].every(u=>u<0.85) && <span>None</span>}
               </div>
             </div>
           </Panel>
+          <Panel title={`Horizon plan (${horizonMonths} months from ${MONTH_NAMES[startMonth]})`}
+            subtitle={planCurrent ? 'Optimizer build plan: stock is built ahead of peaks and shutdowns' : 'Chase plan: assignment shares applied to each month\'s seasonal demand'}>
+            <div className="flex gap-2 flex-wrap mb-2">
+              <KPI label="Horizon cost" value={`$${fmt(horizonResult.metrics.cost,0)}`} />
+              <KPI label="Horizon service" value={pct(horizonResult.metrics.otif)} />
+              <KPI label="Holding cost" value={`$${fmt(horizonResult.metrics.holdingCost,0)}`} />
+              <KPI label="Expired doses" value={fmt(horizonResult.metrics.expired,0)} />
+              <KPI label="Unserved doses" value={fmt(sum(Object.values(horizonResult.metrics.unserved)),0)} />
+              <KPI label="Excursion losses" value={fmt(horizonResult.metrics.excursionLoss,0)} />
+            </div>
+            <div className="text-xs text-slate-400 mb-1">DC inventory at month end</div>
+            <InventoryChart periods={horizonResult.periods} products={network.products} />
+            <div className="max-h-64 overflow-auto mt-2">
+              <table className="w-full text-xs border-collapse">
+                <thead>
+                  <tr className="text-slate-400">
+                    <th className="text-left p-1">Month</th>
+                    <th className="p-1">Demand</th>
+                    <th className="p-1">Produced</th>
+                    <th className="p-1">Service</th>
+                    <th className="p-1">Cost</th>
+                    <th className="p-1">Holding</th>
+                    <th className="p-1">Expired</th>
+                    <th className="p-1" title="Doses lost to temperature excursions in transit">Excursions</th>
+                    <th className="p-1">Stock</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {horizonResult.periods.map((p) => (
+                    <tr key={p.t} className="text-slate-200 text-center">
+                      <td className="p-1 text-left">{p.label}</td>
+                      <td className="p-1">{fmt(p.demand,0)}</td>
+                      <td className="p-1">{fmt(p.production,0)}</td>
+                      <td className={`p-1 ${p.otif < params.serviceTarget ? 'text-rose-400' : ''}`}>{pct(p.otif)}</td>
+                      <td className="p-1">${fmt(p.cost,0)}</td>
+                      <td className="p-1">${fmt(p.holdingCost,0)}</td>
+                      <td className={`p-1 ${p.expired > 0 ? 'text-amber-400' : ''}`}>{fmt(p.expired,0)}</td>
+                      <td className="p-1">{fmt(p.excursionLoss,0)}</td>
+                      <td className="p-1">{fmt(sum(Object.values(p.inventory).flatMap(Object.values)),0)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Panel>
+          <Panel title="Pareto explorer" subtitle="Plans optimized for a range of carbon weights, risk weights and service targets; click a point to load its plan">
+            <div className="flex gap-2 items-end mb-2 text-xs">
+              {[['x', 'X axis'], ['y', 'Y axis'], ['color', 'Colour']].map(([key, label]) => (
+                <div key={key} className="flex-1">
+                  <Label>{label}</Label>
+                  <Select value={paretoView[key]} options={PARETO_AXES} onChange={(e) => setParetoView(v => ({ ...v, [key]: e.target.value }))} />
+                </div>
+              ))}
+              <label className="flex items-center gap-1 text-slate-300 mb-1">
+                <input type="checkbox" checked={paretoView.showDominated} onChange={(e) => setParetoView(v => ({ ...v, showDominated: e.target.checked }))} />
+                Dominated
+              </label>
+              <button className="btn" onClick={handlePareto}>Generate frontier</button>
+            </div>
+            <JobProgress engine={engine} task="pareto" className="mb-2" />
+            {pareto && (
+              <>
+                <ParetoChart points={pareto.points} current={pareto.current} x={paretoView.x} y={paretoView.y} color={paretoView.color}
+                  showDominated={paretoView.showDominated} selectedId={paretoSelected} onSelect={loadParetoPoint} />
+                <div className="text-xs text-slate-500">
+                  {pareto.points.filter(p => !p.dominated).length} efficient of {pareto.points.length} distinct plans from {pareto.runs} solves • dashed ring: plan when generated
+                </div>
+                {(pareto.data !== data || pareto.key !== planKey) && (
+                  <div className="text-xs text-amber-400">The network or horizon changed since the frontier was generated; generate it again to load plans.</div>
+                )}
+                {pareto.points.filter(p => p.id === paretoSelected).map(p => (
+                  <div key={p.id} className="text-xs text-slate-300 mt-1">
+                    Loaded: {PARETO_AXES.map(a => `${a.label} ${(MC_METRIC_INFO[a.value]?.format ?? (v => fmt(v, 0)))(p.metrics[a.value])}`).join(' • ')}
+                    <div className="text-slate-500">
+                      Optimized with {p.weights.map(w => `carbon $${fmt(w.carbonPrice, 3)}/kg, risk weight ${fmt(w.riskWeight, 4)}, target ${pct(w.serviceTarget)}`).slice(0, 2).join('; ')}
+                      {p.weights.length > 2 && ` and ${p.weights.length - 2} more`}
+                    </div>
+                  </div>
+                ))}
+              </>
+            )}
+          </Panel>
+          {mcStats && (
+            <Panel title="Monte Carlo results"
+              subtitle={`${mcStats.samples} samples • seed ${mcStats.seed} • ${mcStats.months}-month horizon${mcStats.running ? ' • running' : ''}${mcStats.cancelled ? ' • cancelled (partial)' : ''}`}>
+              <div className="flex gap-2 flex-wrap mb-2">
+                <KPI label="P(Service ≥ T)" value={`${pct(mcStats.probHit)} (95% CI ${pct(mcStats.probHitCI[0])}–${pct(mcStats.probHitCI[1])})`} />
+                <KPI label="VaR95 cost" value={`$${fmt(mcStats.var95Cost,0)}`} />
+                <KPI label="CVaR95 cost" value={`$${fmt(mcStats.cvar95Cost,0)}`} />
+                <KPI label="Worst-5% service" value={pct(mcStats.worstOtif)} />
+              </div>
+              <div className="flex gap-1 mb-2">
+                {MC_METRICS.map((key) => (
+                  <button key={key} className={`btn ${mcMetric === key ? '' : 'ghost'}`} onClick={() => setMcMetric(key)}>{MC_METRIC_INFO[key].label}</button>
+                ))}
+              </div>
+              {mcStats.sample ? (
+                <>
+                  <div className="grid grid-cols-2 gap-2">
+                    <div>
+                      <div className="text-xs text-slate-400">Histogram</div>
+                      <Histogram values={mcStats.sample.map(x => x[mcMetric])} format={MC_METRIC_INFO[mcMetric].format}
+                        marker={mcMetric === 'otif' ? mcStats.target : mcStats.stats[mcMetric].mean} />
+                    </div>
+                    <div>
+                      <div className="text-xs text-slate-400">Cumulative distribution</div>
+                      <CdfChart values={mcStats.sample.map(x => x[mcMetric])} format={MC_METRIC_INFO[mcMetric].format}
+                        marker={mcMetric === 'otif' ? mcStats.target : null} />
+                    </div>
+                  </div>
+                  <div className="text-xs text-slate-500 mb-2">
+                    {mcMetric === 'otif' ? 'Red line: service target' : 'Red line: mean'}
+                  </div>
+                </>
+              ) : (
+                <div className="text-xs text-slate-500 mb-2">{mcStats.running ? 'Distributions are drawn once the run completes.' : 'Distributions are drawn for complete runs only.'}</div>
+              )}
+              <table className="w-full text-xs border-collapse mb-2">
+                <thead>
+                  <tr className="text-slate-400">
+                    <th className="text-left p-1">Metric</th>
+                    <th className="p-1">Mean</th>
+                    <th className="p-1">SD</th>
+                    <th className="p-1">P5</th>
+                    <th className="p-1">P50</th>
+                    <th className="p-1">P95</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {MC_METRICS.map((key) => {
+                    const st = mcStats.stats[key], f = MC_METRIC_INFO[key].format;
+                    return (
+                      <tr key={key} className="text-slate-200 text-center">
+                        <td className="p-1 text-left">{MC_METRIC_INFO[key].label}</td>
+                        <td className="p-1">{f(st.mean)}</td>
+                        <td className="p-1">{f(st.sd)}</td>
+                        <td className="p-1">{f(st.p5)}</td>
+                        <td className="p-1">{f(st.p50)}</td>
+                        <td className="p-1">{f(st.p95)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <div className="text-xs text-slate-400 mb-1">Probability of a network shortage by region (filled by surge providers)</div>
+              {Object.entries(mcStats.probShortageByRegion).map(([region, p]) => (
+                <div key={region} className="flex items-center gap-2 mb-1 text-xs">
+                  <span className="w-36">{data.regions.find(r => r.id === region)?.name || region}</span>
+                  <div className="flex-1 bar"><span style={{ width: `${p * 100}%`, background: p > 0.2 ? '#fb7185' : undefined }} /></div>
+                  <span className="w-40 text-right">{pct(p)} • avg {fmt(mcStats.meanShortageByRegion[region],0)} doses</span>
+                </div>
+              ))}
+              {mcStats.probUnservedByRegion && (
+                <>
+                  <div className="text-xs text-slate-400 mb-1 mt-2">Probability of demand left unserved by region (surge providers exhausted)</div>
+                  {Object.entries(mcStats.probUnservedByRegion).map(([region, p]) => (
+                    <div key={region} className="flex items-center gap-2 mb-1 text-xs">
+                      <span className="w-36">{data.regions.find(r => r.id === region)?.name || region}</span>
+                      <div className="flex-1 bar"><span style={{ width: `${p * 100}%`, background: p > 0.2 ? '#fb7185' : undefined }} /></div>
+                      <span className="w-40 text-right">{pct(p)} • avg {fmt(mcStats.meanUnservedByRegion[region],0)} doses</span>
+                    </div>
+                  ))}
+                </>
+              )}
+              {mcStats.sample && (
+                <>
+                  <div className="text-xs text-slate-400 mt-2">Cost vs service per sample</div>
+                  <CostServiceScatter sample={mcStats.sample} target={mcStats.target} />
+                </>
+              )}
+            </Panel>
+          )}
+          {disruptionResult && <DisruptionReport result={disruptionResult} target={params.serviceTarget} />}
+          <SurvivalReport rows={survival} products={data.products} />
+          {appraisal && (
+            <DesignAppraisal result={appraisal} stale={appraisal.data !== data || appraisal.key !== planKey} onAdopt={adoptDesign} />
+          )}
         </div>
         {/* Right: KPIs & charts */}
         <div className="col-span-1 flex flex-col gap-3">
           <Panel title="KPIs (per period)">
             <KPI label="Total Cost" value={`$${fmt(result.cost,0)}`} />
             <KPI label="Service Level" value={`${(result.totals.serviceLevel*100).toFixed(1)}%`} />
+            <KPI label="Late (lead time)" value={`${fmt(result.totals.lateUnits,0)} doses`} />
             <KPI label="Transport" value={`$${fmt(result.totals.transportCost,0)}`} />
+            <KPI label="Cold-chain packaging" value={`$${fmt(result.totals.packagingCost,0)}`} />
+            <KPI label="Cross-region release" value={`$${fmt(result.totals.releaseCost,0)}`} />
+            <KPI label="DC handling" value={`$${fmt(result.totals.handlingCost,0)}`} />
+            <KPI label="DC fixed cost" value={`$${fmt(result.totals.overhead,0)}`} />
+            <KPI label="Duties & brokerage" value={`$${fmt(result.totals.tariffs,0)}`} />
+            <KPI label="Excursion losses" value={`${fmt(result.totals.excursionLoss,0)} doses`} />
             <KPI label="Conversion" value={`$${fmt(result.totals.assembly,0)}`} />
-            <KPI label="Overflow" value={`$${fmt(result.totals.inventory,0)}`} />
+            <KPI label="Surge fill" value={`$${fmt(result.totals.inventory,0)}`} />
+            {result.totals.surgeMinimumCost > 0 && <KPI label="Surge minimums" value={`$${fmt(result.totals.surgeMinimumCost,0)}`} />}
+            <KPI label="Unserved" value={`${fmt(result.totals.unserved,0)} doses`} />
             <KPI label="Carbon (kg)" value={`${fmt(result.totals.carbonKg,0)}`} />
             <KPI label="Risk Index" value={`${result.totals.riskIndex.toFixed(0)}`} />
           </Panel>
+          {landedLanes.length > 0 && (
+            <Panel title="Landed cost by lane" subtitle="$ per dose shipped on the lane, all products and modes">
+              <select className="input mb-1" value={landedLane} onChange={(e) => setLandedLane(e.target.value)}>
+                {landedLanes.map(([lane, row]) => (<option key={lane} value={lane}>{`${lane.replace('->', ' → ')} (${fmt(row.units,0)} doses)`}</option>))}
+              </select>
+              <LandedCostWaterfall row={result.byLane[landedLane]} />
+            </Panel>
+          )}
+          <Panel title="KPIs by product">
+            <table className="w-full text-xs border-collapse">
+              <thead>
+                <tr className="text-slate-400">
+                  <th className="text-left p-1">Product</th>
+                  <th className="p-1">Service</th>
+                  <th className="p-1" title="Doses expected to arrive after the delivery window and safety stock">Late</th>
+                  <th className="p-1" title="Doses lost to temperature excursions in transit">Excursions</th>
+                  <th className="p-1">Cost</th>
+                  <th className="p-1">$/dose</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.byProduct.map((bp) => (
+                  <tr key={bp.id} className="text-slate-200 text-center">
+                    <td className="p-1 text-left" title={bp.name}>{bp.code}</td>
+                    <td className={`p-1 ${bp.serviceLevel < params.serviceTarget ? 'text-rose-400' : ''}`}>{(bp.serviceLevel*100).toFixed(1)}%</td>
+                    <td className="p-1">{fmt(bp.lateUnits,0)}</td>
+                    <td className="p-1">{fmt(bp.excursionLoss,0)}</td>
+                    <td className="p-1">${fmt(bp.cost,0)}</td>
+                    <td className="p-1">{fmt(bp.costPerUnit,2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Panel>
           <Panel title="Objective Breakdown">
             <div className="text-xs text-slate-300">
               <div>Cost: ${fmt(result.cost,0)}</div>
@@ -934,76 +4162,50 @@ export default function App() {
               <div className="bar"><span style={{ width: `${Math.min(params.serviceTarget*100,100)}%` }} /></div>
             </div>
           </Panel>
-          {sens && (
-            <Panel title="Sensitivity (tornado)">
-              {sens.rows.map((r, idx) => (
-                <div key={idx} className="flex items-center justify-between text-xs mb-1">
-                  <span>{r.name}</span>
-                  <span className={r.delta > 0 ? 'text-rose-400' : 'text-emerald-400'}>{r.delta>0?'+':''}${fmt(r.delta,0)}</span>
+          {optResult && (
+            <Panel title="Optimizer (LP)">
+              {optResult.status === 'optimal' && (
+                <div className="text-xs">
+                  <div className="text-slate-300 mb-1">{optResult.nodeLimit || optResult.unsolvedNodes > 0 ? 'Best horizon objective found' : 'Optimal horizon objective'}: ${fmt(optResult.objective,0)}</div>
+                  {optResult.nodeLimit && <div className="text-amber-400 mb-1">The search hit its node limit; this plan is feasible but not proven optimal.</div>}
+                  {!optResult.nodeLimit && optResult.unsolvedNodes > 0 && (
+                    <div className="text-amber-400 mb-1">The search could not solve {optResult.unsolvedNodes} of its nodes; this plan is feasible but not proven optimal.</div>
+                  )}
+                  <div className="text-slate-400 mb-1">Capacity shadow prices ($ saved per extra dose of monthly capacity)</div>
+                  {optResult.shadowPrices.map((sp) => (
+                    <div key={sp.plantId} className="flex justify-between">
+                      <span title={sp.bindingPeriods.length ? `Binding in ${sp.bindingPeriods.join(', ')}` : undefined}>{data.plants.find(p => p.id === sp.plantId)?.name ?? sp.plantId}</span>
+                      <span className={sp.binding ? 'text-amber-400' : 'text-slate-500'}>{sp.binding ? `$${fmt(sp.price,2)}` : 'slack'}</span>
+                    </div>
+                  ))}
                 </div>
-              ))}
-              <div className="text-xs text-slate-500 mt-1">Base objective: ${fmt(sens.base,0)}</div>
+              )}
+              {optResult.status === 'infeasible' && (
+                <div className="text-xs">
+                  <div className="text-rose-400 mb-1">
+                    No plan meets the service target.
+                    {optResult.proof.bestService != null && ` Best achievable service is ${pct(optResult.proof.bestService)}.`}
+                  </div>
+                  <div className="text-slate-400 mb-1">Proof – these constraints, weighted as shown, contradict each other:</div>
+                  {optResult.proof.lines.map((l, idx) => (
+                    <div key={idx} className="flex justify-between gap-2">
+                      <span>{l.label}</span>
+                      <span className="text-slate-500">× {fmt(l.multiplier,3)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {optResult.status !== 'optimal' && optResult.status !== 'infeasible' && (
+                <div className="text-xs text-rose-400">Solver stopped: {optResult.status}</div>
+              )}
             </Panel>
           )}
+          {sens && <SensitivityReport sens={sens} selected={sensSelected} onSelect={setSensSelected} />}
         </div>
       </div>
       {/* Compare modal */}
       {showCompare && (
-        <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-center items-center z-50">
-          <div className="bg-slate-800 border border-slate-700 rounded-lg p-4 max-h-[80vh] overflow-auto w-[800px]">
-            <div className="flex justify-between items-center mb-3">
-              <h3 className="text-lg font-bold">Compare Saved Scenarios</h3>
-              <button className="btn" onClick={() => setShowCompare(false)}>Close</button>
-            </div>
-            {saved.length < 2 ? (
-              <div className="text-slate-400 text-sm">Save at least two scenarios to compare.</div>
-            ) : (
-              <>
-                <div className="flex items-center gap-2 mb-2">
-                  <label className="text-slate-400 text-xs">Baseline</label>
-                  <select value={baselineId || saved[0].id} onChange={(e) => setBaselineId(e.target.value)} className="bg-slate-700 text-slate-200 text-xs p-1 rounded">
-                    {saved.map((s) => (<option key={s.id} value={s.id}>{new Date(s.ts).toLocaleString()}</option>))}
-                  </select>
-                </div>
-                <table className="w-full text-xs border-collapse">
-                  <thead>
-                    <tr className="text-slate-300">
-                      <th className="border-b border-slate-700 p-1 text-left">Scenario</th>
-                      <th className="border-b border-slate-700 p-1">Objective</th>
-                      <th className="border-b border-slate-700 p-1">Cost</th>
-                      <th className="border-b border-slate-700 p-1">Service</th>
-                      <th className="border-b border-slate-700 p-1">Risk</th>
-                      <th className="border-b border-slate-700 p-1">Δ vs Base</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {saved.map((s) => {
-                      const obj = s.metrics.cost + params.riskWeight * s.metrics.totals.riskIndex * 1000;
-                      const baseSnap = saved.find(x => x.id === (baselineId || saved[0].id));
-                      const baseObj = baseSnap.metrics.cost + params.riskWeight * baseSnap.metrics.totals.riskIndex * 1000;
-                      const delta = obj - baseObj;
-                      const pctDelta = baseObj ? (delta/baseObj*100) : 0;
-                      return (
-                        <tr key={s.id} className="text-slate-200 text-center">
-                          <td className="border-b border-slate-700 p-1 text-left">{new Date(s.ts).toLocaleTimeString()}</td>
-                          <td className="border-b border-slate-700 p-1">${fmt(obj,0)}</td>
-                          <td className="border-b border-slate-700 p-1">${fmt(s.metrics.cost,0)}</td>
-                          <td className="border-b border-slate-700 p-1">{(s.metrics.totals.serviceLevel*100).toFixed(1)}%</td>
-                          <td className="border-b border-slate-700 p-1">{s.metrics.totals.riskIndex.toFixed(0)}</td>
-                          <td className="border-b border-slate-700 p-1">
-                            <span className={delta>0?'text-rose-400':'text-emerald-400'}>
-                              {delta>0?'+':''}${fmt(delta,0)} ({pctDelta.toFixed(1)}%)
-                            </span>
-                          </td>
-                        </tr>
-                      );
-                    })}
-                  </tbody>
-                </table>
-              </>
-            )}
-          </div>
-        </div>
+        <CompareScenarios saved={saved} baselineId={baselineId} onBaseline={setBaselineId} onClose={() => setShowCompare(false)} />
       )}
     </div>
   );
@@ -0,0 +1,2031 @@
+/*
+ * Simulation engine for the MMD simulator: network data, scenario and
+ * horizon evaluation, Monte Carlo, sensitivity and the LP optimizer.
+ *
+ * Nothing here touches React or the DOM, so the same functions run on the
+ * main thread and in the engine worker (engine.worker.js).
+ */
+import { solveLP, solveMIP } from './lp.js';
+
+// ------------ Core simulation logic (copied/adapted from previous MMD version) ------------
+export const MODES = {
+  ground: { name: 'Ground', unitCostPerKm: 0.002, co2PerKm: 0.0005, baseRisk: 0.01, leadTime: 3,  leadTimeSd: 1 },
+  air:    { name: 'Air',    unitCostPerKm: 0.020, co2PerKm: 0.0100, baseRisk: 0.03, leadTime: 2,  leadTimeSd: 0.5 },
+  ocean:  { name: 'Ocean',  unitCostPerKm: 0.005, co2PerKm: 0.0020, baseRisk: 0.02, leadTime: 16, leadTimeSd: 4 }
+};
+
+export const initialData = {
+  // Demand regions.  Every key of a product's `monthlyDemand` is a region id
+  // and is served by the DCs located in that region; `risk` is the regional
+  // disruption premium added to every lane delivering into it.
+  // `deliveryWindowDays` is the lead time customers accept and
+  // `safetyStockDays` the DC cover held on top of it; a shipment arriving
+  // later than both together is late against OTIF.
+  // Supply from a plant in another region must be release-tested for the
+  // market (e.g. EU QP release): `releaseLeadDays` are added to the lead time
+  // and `releaseCost` (per dose) to the cost of every such dose.
+  // Costs incurred at a site – conversion at a plant, release testing,
+  // handling and fixed cost at a DC – are quoted in the `currency` of the
+  // site's region and converted at its `fxRate` (USD per unit); everything
+  // else is in USD.  Doses entering a region from another pay its customs
+  // `brokerageCost` ($/dose) and the duty in `duties`.
+  regions: [
+    { id: 'US', name: 'United States', risk: 0.010, deliveryWindowDays: 5, safetyStockDays: 7, releaseLeadDays: 10, releaseCost: 0.4,
+      currency: 'USD', fxRate: 1, brokerageCost: 0.05 },
+    { id: 'EU', name: 'Europe', risk: 0.012, deliveryWindowDays: 7, safetyStockDays: 14, releaseLeadDays: 5, releaseCost: 0.28,
+      currency: 'EUR', fxRate: 1.08, brokerageCost: 0.06 }
+  ],
+  // Import duty as a share of customs value (the dose's landed cost before
+  // duty), keyed `origin->destination` region.
+  duties: { 'US->EU': 0.02, 'EU->US': 0.025 },
+  // Each product lists the plants qualified to fill it together with the
+  // per-dose conversion cost at that plant; a plant missing from `convCost`
+  // is not eligible for the product.  Plant capacity is shared by all
+  // products filled on its lines.
+  // For multi-period planning `monthlyDemand` is the average month and
+  // `seasonality` holds one factor per calendar month (Jan–Dec); stock held
+  // at a DC costs `holdingCost` $/dose per month and expires after
+  // `shelfLifeMonths`.  `price` ($/dose) values doses lost to a disruption.
+  products: [
+    { id: 'HPV_Gardasil9', code: 'G9', name: 'HPV Vaccine (Gardasil® 9)', unit: 'doses', monthlyDemand: { US: 120000, EU: 80000 },
+      convCost: { WEST_POINT_PA: 3.6, DURHAM_NC: 3.9, CMO_EU: 4.17 },
+      // Back-to-school peak
+      seasonality: [0.85, 0.85, 0.9, 0.9, 0.95, 1.0, 1.25, 1.35, 1.2, 0.95, 0.9, 0.9], holdingCost: 0.05, shelfLifeMonths: 9, price: 230 },
+    { id: 'PCV_Vaxneuvance', code: 'PCV', name: 'Pneumococcal Vaccine (Vaxneuvance®)', unit: 'doses', monthlyDemand: { US: 50000, EU: 25000 },
+      convCost: { WEST_POINT_PA: 4.1, CMO_EU: 4.81 },
+      seasonality: [1.1, 1.0, 0.95, 0.9, 0.9, 0.9, 0.95, 1.0, 1.1, 1.1, 1.05, 1.05], holdingCost: 0.06, shelfLifeMonths: 6, price: 180 }
+  ],
+  // `shutdowns` are planned maintenance windows repeating every year:
+  // calendar month (0 = Jan) and days of lost capacity in that month.
+  // `recoveryDays` (plants and DCs) is the time to restore a site after a
+  // major disruption; a DC's `bufferDays` is the strategic stock it holds, in
+  // days of its region's demand.
+  // `licences` holds the plant's approval per market (region id): `approved`,
+  // `pending` (effective from horizon month `effectiveMonth`) or `none`; a
+  // market missing from it is not licensed.
+  // Sites carry `lat`/`lon` (degrees) for the Graph's map layout.
+  plants: [
+    { id: 'WEST_POINT_PA', name: 'West Point, PA – FF & Packaging', region: 'US', capacity: 180000, uptime: 0.97, baseRisk: 0.015, shutdowns: [{ month: 6, days: 14 }], recoveryDays: 60,
+      licences: { US: { status: 'approved' }, EU: { status: 'approved' } }, lat: 40.21, lon: -75.30 },
+    { id: 'DURHAM_NC',     name: 'Durham, NC – Vaccine FF (new)',   region: 'US', capacity: 150000, uptime: 0.95, baseRisk: 0.018, shutdowns: [], recoveryDays: 90,
+      licences: { US: { status: 'approved' }, EU: { status: 'pending', effectiveMonth: 6 } }, lat: 35.99, lon: -78.90 },
+    { id: 'CMO_EU',        name: 'EU CMO – Vaccine FF (contract)',  region: 'EU', capacity: 70000,  uptime: 0.92, baseRisk: 0.024, shutdowns: [{ month: 7, days: 21 }], recoveryDays: 120,
+      licences: { EU: { status: 'approved' } }, lat: 49.85, lon: 6.75 }
+  ],
+  // A DC's `capacity` is its throughput (doses received per month); every
+  // dose received costs `handlingCost` and an open DC costs `fixedCost` per
+  // month.
+  dcs: [
+    { id: 'US_DC_WP',  name: 'US DC – West Point, PA', region: 'US', bufferDays: 21, recoveryDays: 14, capacity: 240000, handlingCost: 0.08, fixedCost: 120000, lat: 40.25, lon: -75.25 },
+    { id: 'EU_DC_HEI', name: 'EU DC – Heist‑op‑den‑Berg, BE', region: 'EU', bufferDays: 30, recoveryDays: 21, capacity: 130000, handlingCost: 0.09, fixedCost: 83000, lat: 51.08, lon: 4.73 }
+  ],
+  // Lanes keyed `plant->dc` with distance and the transport modes allowed on
+  // them.  Cold chain: `packaging` is a PACKAGING type and `transitHours` the
+  // hours per mode a dose spends outside controlled storage (a mode missing
+  // from it takes its lead time).
+  lanes: {
+    'WEST_POINT_PA->US_DC_WP':  { km: 50,   modes: ['ground', 'air'], packaging: 'passive', transitHours: { ground: 6, air: 12 } },
+    'DURHAM_NC->US_DC_WP':      { km: 700,  modes: ['ground', 'air'], packaging: 'passive', transitHours: { ground: 16, air: 20 } },
+    'CMO_EU->EU_DC_HEI':        { km: 300,  modes: ['ground', 'air'], packaging: 'passive', transitHours: { ground: 8, air: 14 } },
+    'WEST_POINT_PA->EU_DC_HEI': { km: 6200, modes: ['air', 'ocean'], packaging: 'active', transitHours: { air: 40, ocean: 400 } },
+    'DURHAM_NC->EU_DC_HEI':     { km: 6600, modes: ['air', 'ocean'], packaging: 'active', transitHours: { air: 44, ocean: 420 } }
+  },
+  // Surge (3PL/CMO) providers filling what the network cannot, per region:
+  // at most `capacity` doses a month (null = unlimited) priced by volume
+  // `tiers`, emitting `co2` kg and counting `servicePenalty` of each dose as
+  // late.  They can be called on `activationMonths` into the horizon; once
+  // used, a provider bills at least `minVolume` doses every month after.
+  overflowProviders: [
+    { id: 'US_3PL_SURGE', name: 'US 3PL surge fill', region: 'US', capacity: 40000, tiers: [{ upTo: 15000, unitCost: 6 }, { upTo: null, unitCost: 8.5 }],
+      co2: 0.5, servicePenalty: 0.15, activationMonths: 2, minVolume: 5000 },
+    { id: 'EU_CMO_SURGE', name: 'EU surge CMO', region: 'EU', capacity: 25000, tiers: [{ upTo: 10000, unitCost: 6.5 }, { upTo: null, unitCost: 9 }],
+      co2: 0.6, servicePenalty: 0.2, activationMonths: 3, minVolume: 3000 }
+  ],
+  // Network-design options (see INVESTMENT_KINDS): `capex` is paid up front,
+  // `fixedCost` is the change in annual fixed cost once taken (negative for a
+  // saving) and the option takes effect `leadMonths` into the horizon, once
+  // the site or line is qualified.  `design` lists the options taken in the
+  // current network; the status quo takes none, so a site with an `open`
+  // option is only part of the network when that option is in the design.
+  investments: [
+    { id: 'DURHAM_OPEN', name: 'Build Durham FF plant', kind: 'open', site: 'DURHAM_NC', capex: 30000000, fixedCost: 2500000, leadMonths: 0 },
+    { id: 'WP_LINE2', name: 'Second FF line at West Point', kind: 'expand', site: 'WEST_POINT_PA', capacity: 60000, capex: 12000000, fixedCost: 1200000, leadMonths: 9 },
+    { id: 'CMO_EU_LINE', name: 'Dedicated line at EU CMO', kind: 'expand', site: 'CMO_EU', capacity: 40000, capex: 8000000, fixedCost: 900000, leadMonths: 12 },
+    { id: 'CMO_EU_EXIT', name: 'Exit EU CMO contract', kind: 'close', site: 'CMO_EU', capex: 2000000, fixedCost: -3000000, leadMonths: 6 }
+  ],
+  design: ['DURHAM_OPEN'],
+  // Investment appraisal: annual discount rate and years of cash flows.
+  finance: { discountRate: 0.08, lifeYears: 10 }
+};
+
+// Helper maths
+export const clamp = (x, a, b) => Math.max(a, Math.min(b, x));
+export const fmt = (n, d = 0) => n?.toLocaleString(undefined, { maximumFractionDigits: d, minimumFractionDigits: d });
+export const pct = x => `${(100 * x).toFixed(1)}%`;
+export const sum = arr => arr.reduce((a, b) => a + b, 0);
+const rnd = (mean, sd, rand = Math.random) => mean + (gauss(rand) * sd);
+// Seedable uniform PRNG (mulberry32) so Monte Carlo runs can be reproduced:
+// the same seed always yields the same sequence in [0, 1).
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+// Standard normal CDF (Abramowitz–Stegun 7.1.26 erf approximation)
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-z * z / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+function gauss(rand = Math.random) {
+  let u = 0, v = 0;
+  while (u === 0) u = rand();
+  while (v === 0) v = rand();
+  return Math.sqrt(-2.0 * Math.log(u)) * Math.cos(2.0 * Math.PI * v);
+}
+
+// Allocation keys carry the product and mode as well as the lane:
+// `product:plant->dc@mode`, so one lane can carry several products and a
+// product can be split across modes on the same lane.
+export const flowKey = (productId, plantId, dcId, mode) => `${productId}:${plantId}->${dcId}@${mode}`;
+export function parseFlowKey(key) {
+  const [productId, rest] = key.split(':');
+  const [lane, mode] = rest.split('@');
+  const [plantId, dcId] = lane.split('->');
+  return { productId, plantId, dcId, lane, mode };
+}
+export const isEligible = (product, plantId) => product?.convCost?.[plantId] != null;
+const laneAllows = (lane, modeKey) => !!lane && lane.modes.includes(modeKey);
+
+// DCs that receive supply for a demand region.
+export const regionDCs = (dcs, regionId) => dcs.filter(dc => dc.region === regionId);
+// Demand regions served by a product (the keys of its monthlyDemand).
+const demandRegions = product => Object.keys(product.monthlyDemand);
+
+// ------------ Surge providers ------------
+// Doses a provider must fill in a month to count as used (and so commit to
+// its minimum volume); smaller fills are rounding left by the solver.
+export const SURGE_USE_THRESHOLD = 0.5;
+
+// Price of `units` doses in a month at a provider's tiered rates: each tier
+// prices the doses up to its `upTo` (null = no limit) at `unitCost`.
+export function tieredCost(provider, units) {
+  let cost = 0;
+  let from = 0;
+  for (const tier of provider.tiers || []) {
+    const to = tier.upTo ?? Infinity;
+    if (units > from) cost += (Math.min(units, to) - from) * tier.unitCost;
+    from = to;
+  }
+  // Beyond the last tier the last rate applies
+  const last = provider.tiers?.[provider.tiers.length - 1];
+  if (units > from && last) cost += (units - from) * last.unitCost;
+  return cost;
+}
+
+// Surge providers able to fill in horizon month t (t = Infinity once every
+// activation lead time has passed).
+export function surgeProvidersAt(state, t = Infinity) {
+  return (state.overflowProviders || []).filter(prov => t >= (prov.activationMonths || 0));
+}
+
+// Lead-time settings for regions that predate them (schema < 4) or are added
+// in the editor.
+export const REGION_LEAD_TIME_DEFAULTS = { deliveryWindowDays: 7, safetyStockDays: 10 };
+// Release testing for cross-region supply, for regions that predate it
+// (schema < 9) or are added in the editor.
+export const REGION_RELEASE_DEFAULTS = { releaseLeadDays: 5, releaseCost: 0.3 };
+
+// Landed-cost components per dose, in waterfall order (flowUnitTerms fields).
+export const LANDED_COST_STEPS = [
+  { value: 'conv', label: 'Conversion' },
+  { value: 'transport', label: 'Freight' },
+  { value: 'packaging', label: 'Packaging' },
+  { value: 'duty', label: 'Duty' },
+  { value: 'brokerage', label: 'Brokerage' },
+  { value: 'release', label: 'Release' },
+  { value: 'handling', label: 'DC handling' }
+];
+
+// ------------ Regulatory licences ------------
+export const LICENCE_STATUSES = [
+  { value: 'approved', label: 'Approved' },
+  { value: 'pending', label: 'Pending' },
+  { value: 'none', label: 'Not licensed' }
+];
+
+// Whether a plant may supply a market in horizon month t; t = Infinity once
+// every pending approval has come through.
+export function isLicensed(plant, regionId, t = Infinity) {
+  const licence = plant?.licences?.[regionId];
+  return licence?.status === 'approved' || (licence?.status === 'pending' && t >= (licence.effectiveMonth ?? 0));
+}
+
+// USD per unit of a region's currency.
+export const fxRate = (state, regionId) => (state.regions || []).find(r => r.id === regionId)?.fxRate ?? 1;
+
+// Release testing a dose from `plant` needs before it can go to market
+// `region` (a region object): none for the plant's own region.  The cost is
+// in the market's currency.
+export function releaseTerms(plant, region) {
+  if (!region || plant?.region === region.id) return { leadDays: 0, cost: 0 };
+  return {
+    leadDays: region.releaseLeadDays ?? REGION_RELEASE_DEFAULTS.releaseLeadDays,
+    cost: region.releaseCost ?? REGION_RELEASE_DEFAULTS.releaseCost
+  };
+}
+
+// Why a plant may not supply a market, for violation messages.
+export function licenceMessage(plant, regionId) {
+  const licence = plant?.licences?.[regionId];
+  if (licence?.status === 'pending') return `${plant.name} is not licensed for ${regionId} until month ${(licence.effectiveMonth ?? 0) + 1} (approval pending)`;
+  return `${plant?.name ?? 'Plant'} is not licensed for ${regionId}`;
+}
+
+/**
+ * Licence violations of the allocation in `state.choices` (`allocByPeriod`
+ * over `state.horizon`, else the static `alloc`): one entry per plant and
+ * market supplied while not licensed, with the months it happens in
+ * (horizon month indices) and the doses that cannot be shipped.
+ */
+export function licenceViolations(state) {
+  const byPair = {};
+  const periods = state.horizon && state.choices?.allocByPeriod
+    ? state.choices.allocByPeriod.map((alloc, t) => [alloc, t])
+    : [[state.choices?.alloc || {}, Infinity]];
+  for (const [alloc, t] of periods) {
+    for (const [key, vol] of Object.entries(alloc)) {
+      if (!(vol > 0)) continue;
+      const { plantId, dcId } = parseFlowKey(key);
+      const plant = state.plants.find(p => p.id === plantId);
+      const region = state.dcs.find(dc => dc.id === dcId)?.region;
+      if (!plant || region == null || isLicensed(plant, region, t)) continue;
+      const v = byPair[`${plantId}:${region}`] ??= { plantId, region, message: licenceMessage(plant, region), months: [], units: 0 };
+      if (!v.months.includes(t)) v.months.push(t);
+      v.units += vol;
+    }
+  }
+  return Object.values(byPair);
+}
+// Days a region can absorb between dispatch and the customer's due date.
+const leadTimeCover = region => (region?.deliveryWindowDays ?? REGION_LEAD_TIME_DEFAULTS.deliveryWindowDays)
+  + (region?.safetyStockDays ?? REGION_LEAD_TIME_DEFAULTS.safetyStockDays);
+
+/**
+ * Probability that a shipment by `modeKey` arrives within the region's cover.
+ * Lead time is normal around MODES.leadTime with sd leadTimeSd, plus any
+ * fixed `extraDays` (release testing for cross-region supply).  Monte Carlo
+ * samples set `state.leadTimeDraws[lane@mode]` to a realised lead time, in
+ * which case the shipment is simply on time or late.
+ */
+export function onTimeProb(state, lane, modeKey, region, extraDays = 0) {
+  const mode = MODES[modeKey];
+  const cover = leadTimeCover(region) - extraDays;
+  const drawn = state.leadTimeDraws?.[`${lane}@${modeKey}`];
+  if (drawn != null) return drawn <= cover ? 1 : 0;
+  if (!(mode.leadTimeSd > 0)) return mode.leadTime <= cover ? 1 : 0;
+  return normalCdf((cover - mode.leadTime) / mode.leadTimeSd);
+}
+
+// Cold-chain packaging for 2–8 °C shipments: $/dose, the hours the shipper
+// holds temperature and the excursion hazard per day while it does.  Past its
+// hold time a shipment is exposed at EXCURSION_OVERRUN_PER_DAY.
+export const PACKAGING = {
+  passive: { name: 'Passive shipper', unitCost: 0.12, holdHours: 96, hazardPerDay: 0.002 },
+  active:  { name: 'Active container', unitCost: 0.45, holdHours: 480, hazardPerDay: 0.0005 }
+};
+const EXCURSION_OVERRUN_PER_DAY = 0.15;
+
+/**
+ * Hours a dose spends in transit on a lane by a mode: the lane's
+ * `transitHours` for the mode, or the mode's lead time.  When Monte Carlo has
+ * drawn the lead time (`state.leadTimeDraws`) the hours scale with it.
+ */
+export function transitHours(state, lane, modeKey) {
+  const mode = MODES[modeKey];
+  const hours = state.lanes[lane]?.transitHours?.[modeKey] ?? mode.leadTime * 24;
+  const drawn = state.leadTimeDraws?.[`${lane}@${modeKey}`];
+  return drawn != null && mode.leadTime > 0 ? hours * drawn / mode.leadTime : hours;
+}
+
+/**
+ * Probability that a shipment has a temperature excursion and is written off:
+ * a constant hazard while the packaging holds, a steep one after, so the
+ * probability grows with time in transit.
+ */
+export function excursionProb(hours, packagingKey) {
+  const pkg = PACKAGING[packagingKey] ?? PACKAGING.passive;
+  const exposure = pkg.hazardPerDay * Math.min(hours, pkg.holdHours) + EXCURSION_OVERRUN_PER_DAY * Math.max(0, hours - pkg.holdHours);
+  return 1 - Math.exp(-exposure / 24);
+}
+
+/**
+ * Per-unit cost, carbon and risk of moving one unit of a product from a plant
+ * to a DC by a mode, plus the probability it arrives on time.  Shared by
+ * evaluateScenario and the LP optimizer so both price a flow identically.
+ * Cold chain adds the packaging cost, the excursion probability (the share
+ * of shipped doses lost in transit, which also adds to the risk index) and
+ * the transit hours that consume shelf life.  Supply from a plant in another
+ * region pays the market's `releaseCost` and waits its `releaseLeadDays`.
+ * The receiving DC charges its `handlingCost`.  Site costs are converted
+ * to USD at their region's `fxRate`.  A dose crossing into another region
+ * pays `duty` on its customs value (conversion, freight and packaging) and
+ * the market's `brokerage`.
+ */
+function flowUnitTerms(state, productId, plantId, dcId, modeKey) {
+  const { products, plants, dcs, lanes, levers } = state;
+  const product = products.find(x => x.id === productId);
+  const p = plants.find(x => x.id === plantId);
+  const dc = dcs.find(x => x.id === dcId);
+  const lane = `${plantId}->${dcId}`;
+  const km = lanes[lane].km;
+  const mode = MODES[modeKey];
+  const region = (state.regions || []).find(r => r.id === dc.region);
+  const regionalRisk = region?.risk ?? 0;
+  const hours = transitHours(state, lane, modeKey);
+  const excursion = excursionProb(hours, lanes[lane].packaging);
+  const release = releaseTerms(p, region);
+  const marketFx = fxRate(state, dc.region);
+  const conv = product.convCost[plantId] * fxRate(state, p.region);
+  // Monte Carlo samples may scale a lane's freight rate (laneCostFactors)
+  // and sensitivity runs a mode's rate (modeCostFactors)
+  const transport = mode.unitCostPerKm * (state.modeCostFactors?.[modeKey] ?? 1) * km * (state.laneCostFactors?.[lane] ?? 1) + levers.fuelSurcharge;
+  const packaging = (PACKAGING[lanes[lane].packaging] ?? PACKAGING.passive).unitCost;
+  const crossBorder = p.region !== dc.region;
+  const dutyRate = crossBorder ? state.duties?.[`${p.region}->${dc.region}`] || 0 : 0;
+  return {
+    conv,
+    transport,
+    packaging,
+    release: release.cost * marketFx,
+    duty: dutyRate * (conv + transport + packaging),
+    brokerage: crossBorder ? region?.brokerageCost || 0 : 0,
+    handling: (dc.handlingCost || 0) * marketFx,
+    carbon: mode.co2PerKm * km,
+    risk: (p.baseRisk + mode.baseRisk + regionalRisk) * (1 - p.uptime) * 100 + excursion * 100,
+    onTime: onTimeProb(state, lane, modeKey, region, release.leadDays),
+    excursion,
+    transitHours: hours,
+    leadDays: mode.leadTime + release.leadDays
+  };
+}
+
+/**
+ * Evaluate a scenario (copied from earlier MMD logic).  Returns cost, service etc.
+ * `choices.alloc` is keyed by flowKey so several products and modes can share
+ * a lane; plant capacity is consumed by all products together.
+ * Portfolio metrics are the roll-up of the per-product results in `byProduct`.
+ * A region's demand is met by whatever arrives at the DCs in that region, so
+ * DCs and regions are taken from the data rather than fixed in code.
+ * Network deliveries count as late with the flow's lead-time miss probability
+ * (see onTimeProb), so OTIF falls for slow or erratic modes.
+ * `state.openingStock[product][region]`, when given, is DC stock on hand at
+ * the start of the period (see evaluateHorizon): it serves demand ahead of
+ * new arrivals, so late arrivals only hurt the demand stock cannot cover.
+ * Doses lost to a temperature excursion are paid for but never arrive
+ * (`excursionLoss`); `transitHours[region]` is the volume-weighted transit
+ * time of the doses that did.
+ * Volume from a plant not licensed for the DC's market in `state.period` (a
+ * horizon month; steady state when absent) is not shipped and is listed in
+ * `unlicensed` with the reason.
+ * DCs receive at most their `capacity` a month (`dcUtil` is what they do
+ * receive); handling is costed per product, the fixed cost of every open DC
+ * only in the portfolio `metrics` (`dcFixedCost`).
+ * `byLane[plant->dc]` breaks down the landed cost of the doses shipped on
+ * each lane (all products and modes), for the landed-cost waterfall, and
+ * `byFlow[flowKey]` the doses shipped on each flow with its km, landed cost
+ * per dose, CO₂, per-dose risk and lead time (mode plus release days).
+ * With `levers.overflow` a region's network `shortage` is filled by its
+ * surge providers (`state.overflowProviders`) up to their capacity;
+ * `surgeUsed` is each provider's volume and `unserved` what is left short.
+ */
+export function evaluateScenario(state) {
+  const { products, plants, dcs, lanes, choices, levers } = state;
+  const emptyByDC = () => Object.fromEntries(dcs.map(dc => [dc.id, 0]));
+  const alloc = { ...choices.alloc };
+  const capUsed = {};
+  const dcUsed = {};
+  const ineligible = [];
+  const invalidLanes = [];
+  const unlicensed = [];
+  for (const key of Object.keys(alloc)) {
+    const { productId, plantId: pId, dcId, lane, mode } = parseFlowKey(key);
+    const product = products.find(x => x.id === productId);
+    const p = plants.find(x => x.id === pId);
+    if (!p || !isEligible(product, pId)) {
+      if (alloc[key] > 0) ineligible.push(key);
+      alloc[key] = 0;
+      continue;
+    }
+    // Volume on a lane that does not exist, or by a mode it does not allow, never arrives
+    if (!laneAllows(lanes[lane], mode)) {
+      if (alloc[key] > 0) invalidLanes.push(key);
+      alloc[key] = 0;
+      continue;
+    }
+    const market = dcs.find(dc => dc.id === dcId)?.region;
+    if (!isLicensed(p, market, state.period ?? Infinity)) {
+      if (alloc[key] > 0) unlicensed.push({ key, message: licenceMessage(p, market) });
+      alloc[key] = 0;
+      continue;
+    }
+    // A lane closed for part of the month only moves the open share of its volume
+    alloc[key] *= state.laneAvailability?.[`${lane}@${mode}`] ?? 1;
+    capUsed[pId] = (capUsed[pId] || 0) + alloc[key];
+    if (capUsed[pId] > p.capacity) {
+      const over = capUsed[pId] - p.capacity;
+      alloc[key] = Math.max(0, alloc[key] - over);
+      capUsed[pId] = p.capacity;
+    }
+    // Then the DC's throughput; a DC without one set is unconstrained
+    const dcCap = dcs.find(dc => dc.id === dcId)?.capacity ?? Infinity;
+    dcUsed[dcId] = (dcUsed[dcId] || 0) + alloc[key];
+    if (dcUsed[dcId] > dcCap) {
+      const over = dcUsed[dcId] - dcCap;
+      capUsed[pId] -= Math.min(over, alloc[key]);
+      alloc[key] = Math.max(0, alloc[key] - over);
+      dcUsed[dcId] = dcCap;
+    }
+  }
+  const byProduct = {};
+  for (const product of products) {
+    byProduct[product.id] = {
+      demand: 0, served: 0, lateUnits: 0, otif: 1, cost: 0, convCost: 0, transportCost: 0, packagingCost: 0, releaseCost: 0, dutyCost: 0, brokerageCost: 0, handlingCost: 0, overflowCost: 0, carbon: 0, riskScore: 0,
+      excursionLoss: 0,
+      supplyByDC: emptyByDC(),
+      lateByDC: emptyByDC(),
+      arrivals: {},
+      transitHours: {},
+      shortage: {},
+      surge: {},
+      unserved: {}
+    };
+  }
+  const supplyByDC = emptyByDC();
+  const dcUtil = emptyByDC();
+  const byLane = {};
+  const byFlow = {};
+  const plantUtil = {};
+  const plantUtilByProduct = {};
+  for (const key of Object.keys(alloc)) {
+    const vol = alloc[key];
+    if (vol <= 0) continue;
+    const { productId, plantId: pId, dcId, lane, mode } = parseFlowKey(key);
+    const unit = flowUnitTerms(state, productId, pId, dcId, mode);
+    const bp = byProduct[productId];
+    plantUtil[pId] = (plantUtil[pId] || 0) + vol;
+    dcUtil[dcId] += vol;
+    plantUtilByProduct[pId] = { ...plantUtilByProduct[pId], [productId]: (plantUtilByProduct[pId]?.[productId] || 0) + vol };
+    const arrived = vol * (1 - unit.excursion);
+    const region = dcs.find(dc => dc.id === dcId).region;
+    supplyByDC[dcId] += arrived;
+    bp.supplyByDC[dcId] += arrived;
+    bp.excursionLoss += vol - arrived;
+    bp.transitHours[region] = (bp.transitHours[region] || 0) + arrived * unit.transitHours;
+    bp.convCost += vol * unit.conv;
+    bp.transportCost += vol * unit.transport;
+    bp.packagingCost += vol * unit.packaging;
+    bp.releaseCost += vol * unit.release;
+    bp.dutyCost += vol * unit.duty;
+    bp.brokerageCost += vol * unit.brokerage;
+    bp.handlingCost += vol * unit.handling;
+    const bl = byLane[lane] ??= { units: 0, ...Object.fromEntries(LANDED_COST_STEPS.map(step => [step.value, 0])) };
+    bl.units += vol;
+    for (const step of LANDED_COST_STEPS) bl[step.value] += vol * unit[step.value];
+    byFlow[key] = {
+      units: vol,
+      km: lanes[lane].km,
+      unitCost: sum(LANDED_COST_STEPS.map(step => unit[step.value])),
+      carbon: vol * unit.carbon,
+      risk: unit.risk,
+      leadDays: unit.leadDays
+    };
+    bp.carbon += vol * unit.carbon;
+    bp.riskScore += vol * unit.risk;
+    bp.lateByDC[dcId] += arrived * (1 - unit.onTime);
+  }
+  // Surge providers able to fill this month, cheapest first, and the doses
+  // each has left
+  const providers = levers.overflow
+    ? surgeProvidersAt(state, state.period ?? Infinity).slice().sort((a, b) => (a.tiers?.[0]?.unitCost ?? 0) - (b.tiers?.[0]?.unitCost ?? 0))
+    : [];
+  const surgeLeft = Object.fromEntries(providers.map(prov => [prov.id, prov.capacity ?? Infinity]));
+  const surgeUsed = Object.fromEntries(providers.map(prov => [prov.id, 0]));
+  let latePenalty = 0;
+  for (const product of products) {
+    const bp = byProduct[product.id];
+    let penalty = 0;
+    for (const region of demandRegions(product)) {
+      const demand = product.monthlyDemand[region] || 0;
+      const stock = state.openingStock?.[product.id]?.[region] || 0;
+      const arrivals = sum(regionDCs(dcs, region).map(dc => bp.supplyByDC[dc.id]));
+      const supplied = stock + arrivals;
+      const shortage = Math.max(0, demand - supplied);
+      bp.arrivals[region] = arrivals;
+      bp.transitHours[region] = arrivals > 0 ? (bp.transitHours[region] || 0) / arrivals : 0;
+      // Late network deliveries count against on-time like overflow does
+      const late = Math.min(sum(regionDCs(dcs, region).map(dc => bp.lateByDC[dc.id])), Math.max(0, demand - stock));
+      bp.lateUnits += late;
+      penalty += late;
+      let served = supplied;
+      let unfilled = shortage;
+      bp.shortage[region] = shortage;
+      for (const prov of providers.filter(x => x.region === region)) {
+        const take = Math.min(unfilled, surgeLeft[prov.id]);
+        if (!(take > 0)) continue;
+        surgeLeft[prov.id] -= take;
+        surgeUsed[prov.id] += take;
+        bp.surge[prov.id] = (bp.surge[prov.id] || 0) + take;
+        bp.carbon += take * (prov.co2 || 0);
+        penalty += take * (prov.servicePenalty || 0);
+        served += take;
+        unfilled -= take;
+      }
+      bp.unserved[region] = unfilled;
+      bp.demand += demand;
+      bp.served += Math.min(served, demand);
+    }
+    bp.otif = bp.demand > 0 ? clamp((bp.served - penalty) / bp.demand, 0, 1) : 1;
+    latePenalty += penalty;
+  }
+  // Each provider bills its month's volume at its tiered rates, shared by the
+  // products in proportion to their doses; a provider used this month or
+  // earlier in the horizon (`state.committedProviders`) bills at least its
+  // minimum volume, the top-up charged to the portfolio only
+  let surgeMinimumCost = 0;
+  for (const prov of providers) {
+    const used = surgeUsed[prov.id];
+    const billed = tieredCost(prov, used);
+    for (const bp of Object.values(byProduct)) if (bp.surge[prov.id]) bp.overflowCost += billed * bp.surge[prov.id] / used;
+    if (used > SURGE_USE_THRESHOLD || state.committedProviders?.includes(prov.id)) surgeMinimumCost += tieredCost(prov, Math.max(used, prov.minVolume || 0)) - billed;
+  }
+  for (const bp of Object.values(byProduct)) {
+    bp.cost = bp.convCost + bp.transportCost + bp.packagingCost + bp.releaseCost + bp.dutyCost + bp.brokerageCost + bp.handlingCost + bp.overflowCost + (levers.carbonPrice * bp.carbon);
+  }
+  const roll = field => sum(Object.values(byProduct).map(bp => bp[field]));
+  const shortage = {};
+  const unserved = {};
+  for (const bp of Object.values(byProduct)) {
+    for (const [region, units] of Object.entries(bp.shortage)) shortage[region] = (shortage[region] || 0) + units;
+    for (const [region, units] of Object.entries(bp.unserved)) unserved[region] = (unserved[region] || 0) + units;
+  }
+  const totalDemand = roll('demand');
+  const served = roll('served');
+  const otif = totalDemand > 0 ? clamp((served - latePenalty) / totalDemand, 0, 1) : 1;
+  const riskScore = roll('riskScore');
+  // A DC closed by the network design costs nothing to keep
+  const dcFixedCost = sum(dcs.filter(dc => !dc.closed).map(dc => (dc.fixedCost || 0) * fxRate(state, dc.region)));
+  const cost = roll('cost') + dcFixedCost + surgeMinimumCost;
+  const riskWeighted = levers.riskWeight * riskScore * 1_000;
+  const objective = cost + riskWeighted;
+  return {
+    metrics: {
+      demand: totalDemand,
+      served,
+      otif,
+      cost,
+      convCost: roll('convCost'),
+      transportCost: roll('transportCost'),
+      packagingCost: roll('packagingCost'),
+      releaseCost: roll('releaseCost'),
+      dutyCost: roll('dutyCost'),
+      brokerageCost: roll('brokerageCost'),
+      handlingCost: roll('handlingCost'),
+      dcFixedCost,
+      overflowCost: roll('overflowCost') + surgeMinimumCost,
+      surgeMinimumCost,
+      excursionLoss: roll('excursionLoss'),
+      lateUnits: roll('lateUnits'),
+      carbon: roll('carbon'),
+      riskScore,
+      objective
+    },
+    plantUtil,
+    plantUtilByProduct,
+    supplyByDC,
+    dcUtil,
+    byLane,
+    byFlow,
+    surgeUsed,
+    shortage,
+    unserved,
+    byProduct,
+    ineligible,
+    invalidLanes,
+    unlicensed
+  };
+}
+
+// ------------ Multi-period horizon ------------
+export const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+// Calendar month (0–11) of horizon period t.
+export const calendarMonth = (horizon, t) => (horizon.startMonth + t) % 12;
+const periodLabel = (horizon, t) => `${MONTH_NAMES[calendarMonth(horizon, t)]} Y${Math.floor((horizon.startMonth + t) / 12) + 1}`;
+export const seasonFactor = (product, month) => product.seasonality?.[month] ?? 1;
+// Fraction of a plant's monthly capacity left after its shutdowns in a calendar month.
+function plantAvailability(plant, month) {
+  const down = sum((plant.shutdowns || []).filter(sd => sd.month === month).map(sd => sd.days));
+  return clamp(1 - down / 30, 0, 1);
+}
+
+// ------------ Network design ------------
+// Investment option kinds.  `open` and `close` apply to plants and DCs,
+// `expand` adds `capacity` doses/month to a plant.
+export const INVESTMENT_KINDS = [
+  { value: 'open', label: 'Open site' },
+  { value: 'close', label: 'Close site' },
+  { value: 'expand', label: 'Add a line' }
+];
+export const DEFAULT_FINANCE = { discountRate: 0.08, lifeYears: 10 };
+
+// Annual payment that repays `capex` = 1 over the appraisal life.
+export function capitalRecovery(finance) {
+  const { discountRate: r, lifeYears: n } = { ...DEFAULT_FINANCE, ...finance };
+  return r > 0 ? r / (1 - (1 + r) ** -n) : 1 / n;
+}
+
+// Sites closed and plant capacity added by the design in force in horizon
+// month t (t = Infinity once every lead time has passed).
+function designAt(state, t) {
+  const chosen = new Set(state.design || []);
+  const closed = new Set();
+  const extra = {};
+  for (const o of state.investments || []) {
+    const active = chosen.has(o.id) && t >= (o.leadMonths || 0);
+    if (o.kind === 'open' && !active) closed.add(o.site);
+    if (o.kind === 'close' && active) closed.add(o.site);
+    if (o.kind === 'expand' && active) extra[o.site] = (extra[o.site] || 0) + (o.capacity || 0);
+  }
+  return { closed, extra };
+}
+
+// A closed DC receives nothing: every lane into it is unavailable, and it has
+// no throughput or fixed cost.
+function closeDCs(ps, closed) {
+  if (ps.dcs.some(dc => closed.has(dc.id))) ps.dcs = ps.dcs.map(dc => (closed.has(dc.id) ? { ...dc, capacity: 0, closed: true } : dc));
+  const into = Object.keys(ps.lanes).filter(lane => closed.has(lane.split('->')[1]));
+  if (into.length === 0) return;
+  ps.laneAvailability = { ...ps.laneAvailability };
+  for (const lane of into) for (const mode of ps.lanes[lane].modes) ps.laneAvailability[`${lane}@${mode}`] = 0;
+}
+
+/**
+ * The state with its network design in full effect (all lead times passed):
+ * closed plants have no capacity, closed DCs receive nothing and added lines
+ * raise capacity.  For single-period evaluation; evaluateHorizon phases the
+ * design in month by month.
+ */
+export function designState(state) {
+  const { closed, extra } = designAt(state, Infinity);
+  const ds = { ...state, plants: state.plants.map(p => ({ ...p, capacity: closed.has(p.id) ? 0 : p.capacity + (extra[p.id] || 0) })) };
+  closeDCs(ds, closed);
+  return ds;
+}
+
+// ------------ Disruption events ------------
+// Deterministic stress events applied on top of a plan (`state.disruptions`).
+// Every event starts at the beginning of horizon month `start` and lasts
+// `durationDays`:
+//   plantOutage  { plantId, capacityLoss }      share of capacity lost
+//   laneClosure  { lanes: [plant->dc], mode }   mode '' closes every mode
+//   demandSpike  { region, productId, factor }  productId '' = all products
+export const DISRUPTION_KINDS = [
+  { value: 'plantOutage', label: 'Plant outage' },
+  { value: 'laneClosure', label: 'Lane closure' },
+  { value: 'demandSpike', label: 'Demand spike' }
+];
+export const DEFAULT_DISRUPTIONS = [
+  { id: 'DURHAM_OFFLINE', name: 'Durham offline 6 weeks', kind: 'plantOutage', start: 1, durationDays: 42, plantId: 'DURHAM_NC', capacityLoss: 1 },
+  { id: 'ATLANTIC_OCEAN', name: 'Transatlantic ocean lane closed', kind: 'laneClosure', start: 1, durationDays: 60, lanes: ['WEST_POINT_PA->EU_DC_HEI', 'DURHAM_NC->EU_DC_HEI'], mode: 'ocean' },
+  { id: 'EU_TENDER', name: 'EU demand +40% tender win', kind: 'demandSpike', start: 1, durationDays: 180, region: 'EU', productId: '', factor: 1.4 }
+];
+
+// Share of horizon month t covered by an event.
+function disruptionOverlap(event, t) {
+  const from = event.start * 30;
+  const to = from + event.durationDays;
+  return clamp((Math.min(to, (t + 1) * 30) - Math.max(from, t * 30)) / 30, 0, 1);
+}
+
+// Apply the disruption events active in month t to a period state in place.
+function applyDisruptions(ps, events, t) {
+  for (const event of events || []) {
+    const f = disruptionOverlap(event, t);
+    if (f <= 0) continue;
+    if (event.kind === 'plantOutage') {
+      const p = ps.plants.find(x => x.id === event.plantId);
+      if (p) p.capacity *= 1 - clamp(event.capacityLoss ?? 1, 0, 1) * f;
+    } else if (event.kind === 'laneClosure') {
+      ps.laneAvailability = { ...ps.laneAvailability };
+      for (const lane of event.lanes || []) {
+        for (const mode of ps.lanes[lane]?.modes || []) {
+          if (event.mode && event.mode !== mode) continue;
+          const key = `${lane}@${mode}`;
+          ps.laneAvailability[key] = Math.min(ps.laneAvailability[key] ?? 1, 1 - f);
+        }
+      }
+    } else if (event.kind === 'demandSpike') {
+      for (const prod of ps.products) {
+        if (event.productId && event.productId !== prod.id) continue;
+        const d = prod.monthlyDemand[event.region];
+        if (d != null) prod.monthlyDemand[event.region] = Math.round(d * (1 + (event.factor - 1) * f));
+      }
+    }
+  }
+}
+
+/**
+ * Single-month evaluateScenario state for horizon period t: seasonal demand,
+ * plant capacity net of shutdowns and that period's allocation
+ * (`choices.allocByPeriod[t]`, falling back to the static `choices.alloc`),
+ * with the network design in force that month and any `state.disruptions`
+ * active that month applied.
+ * Products and plants are copied so callers may perturb them.
+ */
+function periodState(state, t) {
+  const month = calendarMonth(state.horizon, t);
+  const { closed, extra } = designAt(state, t);
+  const ps = {
+    ...state,
+    products: state.products.map(prod => ({
+      ...prod,
+      monthlyDemand: Object.fromEntries(Object.entries(prod.monthlyDemand).map(([region, d]) => [region, Math.round(d * seasonFactor(prod, month))]))
+    })),
+    plants: state.plants.map(p => ({ ...p, capacity: closed.has(p.id) ? 0 : (p.capacity + (extra[p.id] || 0)) * plantAvailability(p, month) })),
+    choices: { alloc: state.choices?.allocByPeriod?.[t] ?? state.choices?.alloc ?? {} },
+    period: t
+  };
+  closeDCs(ps, closed);
+  applyDisruptions(ps, state.disruptions, t);
+  return ps;
+}
+
+// The state with every product's demand summed over the horizon.
+export function horizonDemandTotals(state) {
+  const periods = Array.from({ length: state.horizon.months }, (_, t) => periodState(state, t));
+  return {
+    ...state,
+    products: state.products.map((prod, i) => ({
+      ...prod,
+      monthlyDemand: Object.fromEntries(Object.keys(prod.monthlyDemand).map(region => [region, sum(periods.map(ps => ps.products[i].monthlyDemand[region]))]))
+    }))
+  };
+}
+
+/**
+ * Time-phased evaluation over `state.horizon = { months, startMonth }`.
+ * Each month is priced by evaluateScenario; doses arriving beyond demand
+ * are stocked at the region's DCs and served first-in first-out in later
+ * months.  Stock costs `holdingCost` per dose-month and is written off at its
+ * landed cost once older than the product's `shelfLifeMonths`.  Transit time
+ * uses up shelf life before stock reaches the DC: arrivals are spread over
+ * the month, so a share of them equal to the fractional months in transit
+ * counts as one month older (and whole months in transit in full).
+ * `perturbPeriod(periodState, t)` lets Monte Carlo shock each month.
+ * Returns horizon `metrics`, per-product roll-ups and one row per period.
+ */
+export function evaluateHorizon(state, perturbPeriod) {
+  const { products, horizon, levers } = state;
+  // FIFO cohorts per product and region: { age, units, unitValue }
+  const cohorts = Object.fromEntries(products.map(prod => [prod.id, Object.fromEntries(demandRegions(prod).map(r => [r, []]))]));
+  const byProduct = Object.fromEntries(products.map(prod => [prod.id, { demand: 0, served: 0, onTime: 0, lateUnits: 0, cost: 0, holdingCost: 0, expired: 0, expiryCost: 0, excursionLoss: 0 }]));
+  const periods = [];
+  // Surge providers stay committed to their minimum volume once first used
+  const committed = new Set();
+  for (let t = 0; t < horizon.months; t++) {
+    const ps = periodState(state, t);
+    if (perturbPeriod) perturbPeriod(ps, t);
+    ps.committedProviders = [...committed];
+    ps.openingStock = Object.fromEntries(products.map(prod => [prod.id, Object.fromEntries(
+      Object.entries(cohorts[prod.id]).map(([r, list]) => [r, sum(list.map(c => c.units))])
+    )]));
+    const ev = evaluateScenario(ps);
+    for (const [id, units] of Object.entries(ev.surgeUsed)) if (units > SURGE_USE_THRESHOLD) committed.add(id);
+    const inventory = {};
+    let holdingCost = 0;
+    let expired = 0;
+    let expiryCost = 0;
+    for (const prod of ps.products) {
+      const bp = ev.byProduct[prod.id];
+      const hp = byProduct[prod.id];
+      const arrived = sum(Object.values(bp.arrivals));
+      const unitValue = arrived > 0 ? (bp.convCost + bp.transportCost + bp.packagingCost + bp.releaseCost + bp.dutyCost + bp.brokerageCost + bp.handlingCost) / arrived : 0;
+      inventory[prod.id] = {};
+      for (const region of demandRegions(prod)) {
+        const arrivals = bp.arrivals[region] || 0;
+        let use = Math.min(prod.monthlyDemand[region] || 0, ps.openingStock[prod.id][region] + arrivals);
+        // Oldest stock first, then this month's arrivals
+        for (const c of cohorts[prod.id][region]) {
+          const take = Math.min(c.units, use);
+          c.units -= take;
+          use -= take;
+        }
+        const list = cohorts[prod.id][region].filter(c => c.units > 1e-9);
+        if (arrivals - use > 1e-9) {
+          const transitMonths = (bp.transitHours[region] || 0) / 24 / 30;
+          const whole = Math.floor(transitMonths);
+          const older = transitMonths - whole;
+          if (older > 1e-9) list.push({ age: whole + 1, units: (arrivals - use) * older, unitValue });
+          list.push({ age: whole, units: (arrivals - use) * (1 - older), unitValue });
+        }
+        list.forEach((c) => { c.age += 1; });
+        for (const c of list.filter(c => c.age >= prod.shelfLifeMonths)) {
+          expired += c.units;
+          expiryCost += c.units * c.unitValue;
+          hp.expired += c.units;
+          hp.expiryCost += c.units * c.unitValue;
+        }
+        cohorts[prod.id][region] = list.filter(c => c.age < prod.shelfLifeMonths);
+        const end = sum(cohorts[prod.id][region].map(c => c.units));
+        inventory[prod.id][region] = end;
+        holdingCost += end * (prod.holdingCost || 0);
+        hp.holdingCost += end * (prod.holdingCost || 0);
+      }
+      hp.demand += bp.demand;
+      hp.served += bp.served;
+      hp.onTime += bp.otif * bp.demand;
+      hp.lateUnits += bp.lateUnits;
+      hp.excursionLoss += bp.excursionLoss;
+      hp.cost += bp.cost;
+    }
+    periods.push({
+      t,
+      label: periodLabel(horizon, t),
+      demand: ev.metrics.demand,
+      served: ev.metrics.served,
+      otif: ev.metrics.otif,
+      lateUnits: ev.metrics.lateUnits,
+      excursionLoss: ev.metrics.excursionLoss,
+      packagingCost: ev.metrics.packagingCost,
+      releaseCost: ev.metrics.releaseCost,
+      dutyCost: ev.metrics.dutyCost,
+      brokerageCost: ev.metrics.brokerageCost,
+      handlingCost: ev.metrics.handlingCost,
+      dcFixedCost: ev.metrics.dcFixedCost,
+      overflowCost: ev.metrics.overflowCost,
+      surgeMinimumCost: ev.metrics.surgeMinimumCost,
+      surgeUsed: ev.surgeUsed,
+      production: sum(Object.values(ev.plantUtil)),
+      cost: ev.metrics.cost + holdingCost + expiryCost,
+      carbon: ev.metrics.carbon,
+      riskScore: ev.metrics.riskScore,
+      holdingCost,
+      expired,
+      expiryCost,
+      inventory,
+      shortage: ev.shortage,
+      unserved: ev.unserved
+    });
+  }
+  for (const hp of Object.values(byProduct)) {
+    hp.otif = hp.demand > 0 ? hp.onTime / hp.demand : 1;
+    hp.cost += hp.holdingCost + hp.expiryCost;
+  }
+  const roll = field => sum(periods.map(p => p[field]));
+  const demand = roll('demand');
+  const cost = roll('cost');
+  const riskScore = roll('riskScore');
+  const shortage = {};
+  const unserved = {};
+  for (const p of periods) {
+    for (const [region, units] of Object.entries(p.shortage)) shortage[region] = (shortage[region] || 0) + units;
+    for (const [region, units] of Object.entries(p.unserved)) unserved[region] = (unserved[region] || 0) + units;
+  }
+  return {
+    metrics: {
+      demand,
+      served: roll('served'),
+      otif: demand > 0 ? sum(periods.map(p => p.otif * p.demand)) / demand : 1,
+      lateUnits: roll('lateUnits'),
+      cost,
+      holdingCost: roll('holdingCost'),
+      packagingCost: roll('packagingCost'),
+      releaseCost: roll('releaseCost'),
+      dutyCost: roll('dutyCost'),
+      brokerageCost: roll('brokerageCost'),
+      handlingCost: roll('handlingCost'),
+      dcFixedCost: roll('dcFixedCost'),
+      overflowCost: roll('overflowCost'),
+      surgeMinimumCost: roll('surgeMinimumCost'),
+      excursionLoss: roll('excursionLoss'),
+      expired: roll('expired'),
+      expiryCost: roll('expiryCost'),
+      carbon: roll('carbon'),
+      riskScore,
+      objective: cost + levers.riskWeight * riskScore * 1_000,
+      // Network shortfall per region before any surge fill, and what the
+      // surge providers could not cover
+      shortage,
+      unserved
+    },
+    byProduct,
+    periods
+  };
+}
+
+// Demand distributions selectable for Monte Carlo.
+export const DEMAND_DISTRIBUTIONS = ['normal', 'lognormal', 'triangular'];
+
+/**
+ * Monte Carlo uncertainty model (`state.uncertainty`).  These defaults draw
+ * exactly the same numbers as before the model was configurable, so earlier
+ * seeds still reproduce.
+ *   demand.dist            one of DEMAND_DISTRIBUTIONS, mean = plan demand,
+ *                          sd = demandVol × mean
+ *   demand.correlation     correlation between the demand shocks of every
+ *                          product and region
+ *   capacity.correlation   correlation between plant capacity shocks
+ *   outages                independent plant outages: monthly probability
+ *                          and duration in days (may run into later months)
+ *   commonCause            shared events taking all listed plants offline at
+ *                          once: { id, name, plants, probability, durationDays }
+ *   lanes.costSd           relative sd of each lane's monthly freight rate
+ *   lanes.leadTimeSdScale  multiplier on every mode's leadTimeSd
+ *   fuelSd                 sd of the monthly fuel surcharge ($/unit)
+ */
+export const DEFAULT_UNCERTAINTY = {
+  demand: { dist: 'normal', correlation: 0 },
+  capacity: { correlation: 0 },
+  outages: { probability: 0, durationDays: 30 },
+  commonCause: [
+    { id: 'US_RELEASE', name: 'US batch-release failure', plants: ['WEST_POINT_PA', 'DURHAM_NC'], probability: 0, durationDays: 21 }
+  ],
+  lanes: { costSd: 0, leadTimeSdScale: 1 },
+  fuelSd: 0
+};
+
+// Fill missing sections of an uncertainty model from DEFAULT_UNCERTAINTY.
+export function withUncertaintyDefaults(u = {}) {
+  const d = DEFAULT_UNCERTAINTY;
+  return {
+    demand: { ...d.demand, ...u.demand },
+    capacity: { ...d.capacity, ...u.capacity },
+    outages: { ...d.outages, ...u.outages },
+    commonCause: Array.isArray(u.commonCause) ? u.commonCause : JSON.parse(JSON.stringify(d.commonCause)),
+    lanes: { ...d.lanes, ...u.lanes },
+    fuelSd: u.fuelSd ?? d.fuelSd
+  };
+}
+
+/**
+ * Draw standard normals sharing one common factor: each is
+ * √ρ·Z + √(1−ρ)·ε, so any two are correlated ρ.  The common factor is only
+ * drawn when ρ > 0.
+ */
+function correlatedNormals(n, rho, rand) {
+  const common = rho > 0 ? gauss(rand) : 0;
+  const a = Math.sqrt(clamp(rho, 0, 1));
+  const b = Math.sqrt(1 - clamp(rho, 0, 1));
+  return Array.from({ length: n }, () => a * common + b * gauss(rand));
+}
+
+// A demand draw with the given mean and sd from a standard normal z
+// (Gaussian copula, so correlation carries over to every distribution).
+function demandDraw(dist, mean, sd, z) {
+  if (mean <= 0 || sd <= 0) return mean;
+  if (dist === 'lognormal') {
+    const s2 = Math.log(1 + (sd / mean) ** 2);
+    return Math.exp(Math.log(mean) - s2 / 2 + Math.sqrt(s2) * z);
+  }
+  if (dist === 'triangular') {
+    // Symmetric triangle on mean ± √6·sd
+    const h = Math.sqrt(6) * sd;
+    const u = normalCdf(z);
+    return u < 0.5 ? mean - h + h * Math.sqrt(2 * u) : mean + h - h * Math.sqrt(2 * (1 - u));
+  }
+  return mean + sd * z;
+}
+
+/**
+ * Monte Carlo simulation over the planning horizon.  Runs N random scenarios
+ * and returns summary statistics of the horizon metrics.  Every month of a
+ * sample draws its own demand (demandVol, from the chosen distribution),
+ * plant capacity (shocked by relShock, standard deviation), plant outages,
+ * lane freight rates, the fuel surcharge and lane lead times as configured
+ * by `state.uncertainty` (see DEFAULT_UNCERTAINTY); the plan itself is held
+ * fixed.  Outages last `durationDays` from a random day of the month they
+ * start in and carry over into the following months.
+ * All draws come from a PRNG seeded with `seed`, so the same inputs always
+ * give the same statistics.  Defaults: relShock=0.03, seed=1.
+ * `onProgress(done, partial)` is called every few samples with the summary
+ * of the samples drawn so far, so a cancelled run still has a result; only
+ * the final result carries the per-sample `sample` list.
+ */
+export function runMonteCarlo(state, N = 200, relShock = 0.03, seed = 1, onProgress) {
+  const res = [];
+  const dv = state.levers.demandVol;
+  const u = withUncertaintyDefaults(state.uncertainty);
+  const rand = mulberry32(seed);
+  const step = Math.max(1, Math.floor(N / 20));
+  // Outage days still to run per plant, carried between months of a sample
+  let down = {};
+  function startOutage(plantIds, durationDays) {
+    const day = Math.floor(rand() * 30);
+    for (const id of plantIds) down[id] = Math.max(down[id] || 0, day + durationDays);
+  }
+  function perturb(s, t) {
+    if (t === 0) down = {};
+    // Demand per product and region from the chosen distribution
+    const lines = s.products.flatMap(product => Object.keys(product.monthlyDemand).map(region => [product, region]));
+    const zd = correlatedNormals(lines.length, u.demand.correlation, rand);
+    lines.forEach(([product, region], k) => {
+      const mu = product.monthlyDemand[region];
+      product.monthlyDemand[region] = Math.max(0, Math.round(demandDraw(u.demand.dist, mu, mu * dv, zd[k])));
+    });
+    // Shock plant capacities based on reliability shock parameter
+    const zc = correlatedNormals(s.plants.length, u.capacity.correlation, rand);
+    s.plants.forEach((p, k) => {
+      const shock = clamp(p.uptime + relShock * zc[k], 0.80, 0.995);
+      p.capacity = Math.floor(p.capacity * shock);
+    });
+    // New outages this month, independent and common-cause, then the days
+    // lost to every outage still running
+    if (u.outages.probability > 0) {
+      for (const p of s.plants) if (rand() < u.outages.probability) startOutage([p.id], u.outages.durationDays);
+    }
+    for (const event of u.commonCause) {
+      if (event.probability > 0 && rand() < event.probability) startOutage(event.plants, event.durationDays);
+    }
+    for (const p of s.plants) {
+      const lost = Math.min(30, down[p.id] || 0);
+      if (lost > 0) p.capacity = Math.floor(p.capacity * (1 - lost / 30));
+    }
+    for (const id of Object.keys(down)) down[id] = Math.max(0, down[id] - 30);
+    // Freight rate per lane and the month's fuel surcharge
+    if (u.lanes.costSd > 0) {
+      s.laneCostFactors = {};
+      for (const lane of Object.keys(s.lanes)) s.laneCostFactors[lane] = Math.max(0, rnd(1, u.lanes.costSd, rand));
+    }
+    if (u.fuelSd > 0) s.levers = { ...s.levers, fuelSurcharge: Math.max(0, rnd(s.levers.fuelSurcharge, u.fuelSd, rand)) };
+    // Realise one lead time per lane and mode; a shipment slower than the
+    // region's window plus safety stock arrives late
+    s.leadTimeDraws = {};
+    for (const [lane, { modes }] of Object.entries(s.lanes)) {
+      for (const m of modes) s.leadTimeDraws[`${lane}@${m}`] = Math.max(0, rnd(MODES[m].leadTime, MODES[m].leadTimeSd * u.lanes.leadTimeSdScale, rand));
+    }
+  }
+  for (let i = 0; i < N; i++) {
+    // Evaluate the horizon and store metrics, keeping per-product service
+    const ev = evaluateHorizon(state, perturb);
+    const otifByProduct = {};
+    for (const [pid, bp] of Object.entries(ev.byProduct)) otifByProduct[pid] = bp.otif;
+    res.push({ ...ev.metrics, otifByProduct });
+    if (onProgress && ((i + 1) % step === 0 || i + 1 === N)) onProgress(i + 1, summarizeMonteCarlo(state, res, seed, false));
+  }
+  return summarizeMonteCarlo(state, res, seed);
+}
+
+// Quantile of an ascending array by linear interpolation.
+export function quantile(sorted, q) {
+  if (sorted.length === 0) return NaN;
+  const pos = (sorted.length - 1) * q;
+  const lo = Math.floor(pos);
+  const hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+// Wilson score interval for a binomial proportion (z = 1.96 → 95%).
+function wilsonInterval(hits, n, z = 1.96) {
+  if (n === 0) return [0, 1];
+  const p = hits / n;
+  const denom = 1 + z * z / n;
+  const centre = (p + z * z / (2 * n)) / denom;
+  const half = (z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n))) / denom;
+  return [Math.max(0, centre - half), Math.min(1, centre + half)];
+}
+
+// Metrics summarised for every Monte Carlo run.
+export const MC_METRICS = ['cost', 'otif', 'carbon', 'riskScore'];
+
+/**
+ * Summary statistics of Monte Carlo samples (complete or partial):
+ * P(service ≥ target) with a 95% Wilson interval, mean/sd/percentiles per
+ * metric, cost VaR and CVaR (expected shortfall) at 95%, the mean service
+ * of the worst 5% of samples, and per-region probability and mean size of a
+ * network shortage (demand the plants cannot cover, left to overflow) and of
+ * demand left unserved once the surge providers are exhausted.  With
+ * `withSample` the samples themselves are returned as `sample`.
+ */
+function summarizeMonteCarlo(state, res, seed, withSample = true) {
+  const N = res.length;
+  const otifs = res.map(x => x.otif);
+  const costs = res.map(x => x.cost);
+  const hits = otifs.filter(x => x >= state.levers.serviceTarget).length;
+  const probHit = hits / N;
+  const probHitCI = wilsonInterval(hits, N);
+  const probHitByProduct = {};
+  for (const product of state.products) {
+    probHitByProduct[product.id] = res.filter(x => x.otifByProduct[product.id] >= state.levers.serviceTarget).length / N;
+  }
+  const meanCost = sum(costs) / N;
+  const sorted = costs.slice().sort((a, b) => a - b);
+  const p90Cost = sorted[Math.floor(0.90 * N)];
+  const stats = {};
+  for (const key of MC_METRICS) {
+    const values = res.map(x => x[key]).sort((a, b) => a - b);
+    const mean = sum(values) / N;
+    stats[key] = {
+      mean,
+      sd: Math.sqrt(sum(values.map(v => (v - mean) ** 2)) / Math.max(1, N - 1)),
+      min: values[0],
+      p5: quantile(values, 0.05),
+      p50: quantile(values, 0.5),
+      p95: quantile(values, 0.95),
+      max: values[N - 1]
+    };
+  }
+  // Tail of the worst 5% of samples (at least one)
+  const tail = Math.max(1, Math.ceil(0.05 * N));
+  const var95Cost = quantile(sorted, 0.95);
+  const cvar95Cost = sum(sorted.slice(N - tail)) / tail;
+  const worstOtif = sum(otifs.slice().sort((a, b) => a - b).slice(0, tail)) / tail;
+  const probShortageByRegion = {};
+  const meanShortageByRegion = {};
+  const probUnservedByRegion = {};
+  const meanUnservedByRegion = {};
+  for (const region of (state.regions || []).map(r => r.id)) {
+    probShortageByRegion[region] = res.filter(x => (x.shortage?.[region] || 0) > 0.5).length / N;
+    meanShortageByRegion[region] = sum(res.map(x => x.shortage?.[region] || 0)) / N;
+    probUnservedByRegion[region] = res.filter(x => (x.unserved?.[region] || 0) > 0.5).length / N;
+    meanUnservedByRegion[region] = sum(res.map(x => x.unserved?.[region] || 0)) / N;
+  }
+  return {
+    probHit, probHitCI, probHitByProduct, meanCost, p90Cost, var95Cost, cvar95Cost, worstOtif, stats,
+    probShortageByRegion, meanShortageByRegion, probUnservedByRegion, meanUnservedByRegion,
+    target: state.levers.serviceTarget, months: state.horizon.months, seed, samples: N,
+    ...(withSample && { sample: res })
+  };
+}
+
+// ------------ Sensitivity ------------
+// Output metrics a sensitivity run can report.
+export const SENSITIVITY_METRICS = [
+  { value: 'objective', label: 'Objective' },
+  { value: 'cost', label: 'Cost' },
+  { value: 'otif', label: 'Service (OTIF)' },
+  { value: 'carbon', label: 'Carbon (kg)' },
+  { value: 'riskScore', label: 'Risk index' }
+];
+
+/**
+ * Inputs a sensitivity run can vary.  `get`/`set` read and write the input on
+ * a state; `absolute` inputs move by the range itself (e.g. uptime ±0.05),
+ * the rest by a fraction of their base value (±20%).  `range` is the default
+ * [low, high] change and `bounds` clamps the varied value.
+ */
+const SENSITIVITY_KINDS = {
+  plantCapacity: {
+    label: 'Capacity', range: [-0.2, 0.2], targets: st => st.plants.map(p => [p.id, p.name]),
+    get: (st, id) => st.plants.find(p => p.id === id)?.capacity,
+    set: (st, id, v) => { st.plants.find(p => p.id === id).capacity = v; }
+  },
+  uptime: {
+    label: 'Uptime', range: [-0.05, 0.05], absolute: true, bounds: [0, 1], targets: st => st.plants.map(p => [p.id, p.name]),
+    get: (st, id) => st.plants.find(p => p.id === id)?.uptime,
+    set: (st, id, v) => { st.plants.find(p => p.id === id).uptime = v; }
+  },
+  convCost: {
+    label: 'Conversion cost', range: [-0.2, 0.2],
+    targets: st => st.products.flatMap(prod => Object.keys(prod.convCost).map(pid => [`${prod.id}:${pid}`, `${prod.code} @ ${pid}`])),
+    get: (st, id) => { const [prodId, pid] = id.split(':'); return st.products.find(x => x.id === prodId)?.convCost[pid]; },
+    set: (st, id, v) => { const [prodId, pid] = id.split(':'); st.products.find(x => x.id === prodId).convCost[pid] = v; }
+  },
+  laneKm: {
+    label: 'Lane km', range: [-0.2, 0.2], targets: st => Object.keys(st.lanes).map(lane => [lane, lane]),
+    get: (st, id) => st.lanes[id]?.km,
+    set: (st, id, v) => { st.lanes[id].km = v; }
+  },
+  regionDemand: {
+    label: 'Demand', range: [-0.2, 0.2], targets: st => (st.regions || []).map(r => [r.id, r.name || r.id]),
+    // Every product's demand in the region moves by the same fraction
+    get: (st, id) => ((st.regions || []).some(r => r.id === id) ? sum(st.products.map(prod => prod.monthlyDemand[id] || 0)) : undefined),
+    set: (st, id, v) => {
+      const base = sum(st.products.map(prod => prod.monthlyDemand[id] || 0));
+      for (const prod of st.products) if (prod.monthlyDemand[id] != null && base > 0) prod.monthlyDemand[id] *= v / base;
+    }
+  },
+  modeCost: {
+    label: 'Mode cost/km', range: [-0.2, 0.2], targets: () => Object.entries(MODES).map(([m, mode]) => [m, mode.name]),
+    get: (st, id) => MODES[id] && MODES[id].unitCostPerKm * (st.modeCostFactors?.[id] ?? 1),
+    set: (st, id, v) => { st.modeCostFactors = { ...st.modeCostFactors, [id]: v / MODES[id].unitCostPerKm }; }
+  },
+  dutyRate: {
+    // A tariff shock adds percentage points to the duty on a route
+    label: 'Duty rate', range: [0, 0.25], absolute: true, bounds: [0, 1],
+    targets: st => (st.regions || []).flatMap(a => (st.regions || []).filter(b => b.id !== a.id).map(b => [`${a.id}->${b.id}`, `${a.id} → ${b.id}`])),
+    get: (st, id) => ((st.regions || []).some(r => id.startsWith(`${r.id}->`)) ? st.duties?.[id] || 0 : undefined),
+    set: (st, id, v) => { st.duties = { ...st.duties, [id]: v }; }
+  },
+  fxRate: {
+    label: 'FX rate', range: [-0.1, 0.1], targets: st => (st.regions || []).filter(r => (r.fxRate ?? 1) !== 1 || r.currency !== 'USD').map(r => [r.id, `${r.currency} (${r.id})`]),
+    get: (st, id) => (st.regions || []).find(r => r.id === id)?.fxRate,
+    set: (st, id, v) => { st.regions.find(r => r.id === id).fxRate = v; }
+  },
+  lever: {
+    label: 'Lever', range: [-0.5, 0.5],
+    targets: () => [['riskWeight', 'Risk weight'], ['carbonPrice', 'Carbon price'], ['fuelSurcharge', 'Fuel surcharge']],
+    get: (st, id) => st.levers[id],
+    set: (st, id, v) => { st.levers[id] = v; }
+  }
+};
+
+// The fuel surcharge moves in $/unit rather than by a fraction
+const isAbsolute = input => SENSITIVITY_KINDS[input.kind]?.absolute || (input.kind === 'lever' && input.target === 'fuelSurcharge');
+
+/**
+ * Every input of `state` a sensitivity run can vary, as
+ * `{ kind, target, label, absolute, range }` (see SENSITIVITY_KINDS).
+ */
+export function sensitivityInputs(state) {
+  return Object.entries(SENSITIVITY_KINDS).flatMap(([kind, def]) => def.targets(state).map(([target, name]) => {
+    const input = { kind, target };
+    const absolute = isAbsolute(input);
+    return { ...input, label: `${def.label}: ${name}`, absolute, range: kind === 'lever' && absolute ? [-0.02, 0.05] : def.range };
+  }));
+}
+
+// Default run: the policy levers, regional demand and a transatlantic
+// tariff shock, on the objective.
+export const DEFAULT_SENSITIVITY = {
+  metric: 'objective',
+  points: 9,
+  inputs: [
+    { kind: 'lever', target: 'riskWeight', low: -0.5, high: 0.5 },
+    { kind: 'lever', target: 'carbonPrice', low: -0.5, high: 0.5 },
+    { kind: 'lever', target: 'fuelSurcharge', low: -0.02, high: 0.05 },
+    { kind: 'regionDemand', target: 'US', low: -0.2, high: 0.2 },
+    { kind: 'regionDemand', target: 'EU', low: -0.2, high: 0.2 },
+    { kind: 'dutyRate', target: 'US->EU', low: 0, high: 0.25 }
+  ]
+};
+
+// A copy of `state` with one input moved by `change`.
+function withInput(state, input, change) {
+  const def = SENSITIVITY_KINDS[input.kind];
+  const s = JSON.parse(JSON.stringify(state));
+  const base = def.get(s, input.target);
+  let value = isAbsolute(input) ? base + change : base * (1 + change);
+  value = clamp(value, def.bounds?.[0] ?? 0, def.bounds?.[1] ?? Infinity);
+  def.set(s, input.target, value);
+  return { state: s, value };
+}
+
+/**
+ * User-defined tornado and one-way sweeps.  `spec = { metric, points,
+ * inputs: [{ kind, target, low, high }] }` (see DEFAULT_SENSITIVITY):
+ * each input is moved from `low` to `high` in `points` steps with all other
+ * inputs at base, and `metric` is read from the horizon evaluation (or a
+ * single period without a horizon).  Inputs missing from the network are
+ * skipped.  Rows come sorted by swing (largest low/high spread first); each
+ * carries the sweep for spider and line charts.
+ * `onProgress(done, total)` reports each evaluation.
+ */
+export function tornado(state, spec = DEFAULT_SENSITIVITY, onProgress) {
+  const evaluate = s => (s.horizon ? evaluateHorizon(s) : evaluateScenario(s)).metrics[spec.metric];
+  const inputs = spec.inputs.filter(input => SENSITIVITY_KINDS[input.kind]?.get(state, input.target) != null);
+  const labels = Object.fromEntries(sensitivityInputs(state).map(x => [`${x.kind}:${x.target}`, x.label]));
+  const points = Math.max(2, spec.points || 2);
+  const total = inputs.length * points;
+  const base = evaluate(state);
+  let done = 0;
+  const rows = inputs.map((input) => {
+    const sweep = Array.from({ length: points }, (_, k) => {
+      const change = input.low + (input.high - input.low) * k / (points - 1);
+      const { state: s, value: inputValue } = withInput(state, input, change);
+      const value = evaluate(s);
+      if (onProgress) onProgress(++done, total);
+      return { change, inputValue, value, delta: value - base };
+    });
+    const low = sweep[0];
+    const high = sweep[points - 1];
+    return {
+      key: `${input.kind}:${input.target}`,
+      label: labels[`${input.kind}:${input.target}`] ?? `${input.kind}: ${input.target}`,
+      absolute: isAbsolute(input),
+      baseValue: SENSITIVITY_KINDS[input.kind].get(state, input.target),
+      low,
+      high,
+      sweep,
+      swing: Math.abs(high.delta - low.delta)
+    };
+  }).sort((a, b) => b.swing - a.swing);
+  return { metric: spec.metric, base, rows };
+}
+
+// Lost-sales price for demand left unserved by the network and the surge
+// providers.  It is not part of the evaluated objective; it only makes the LP
+// serve every dose it can before trading off cost, rather than shorting
+// demand down to the target.
+const UNMET_PENALTY = 1000;
+
+/**
+ * LP optimizer replacing the old per-row enumeration.  Splits every product's
+ * regional demand across qualified plants, lanes and modes to minimise the
+ * evaluateScenario objective (cost + carbon + risk term) subject to shared
+ * plant capacity and the portfolio service target.
+ *
+ * With `state.horizon` the LP spans every month of the horizon (seasonal
+ * demand, capacity net of shutdowns) and may build DC stock ahead of peaks
+ * and shutdowns: closing stock carries into the next month at its holding
+ * cost and may not exceed what arrived within the shelf life, so nothing
+ * planned expires.  Network late risk is charged on every arrival, a little
+ * more cautious than evaluateHorizon, which lets stock cover late arrivals.
+ * Shipped doses arrive net of cold-chain excursion losses; the shelf-life
+ * rows ignore the life used up in transit, which evaluateHorizon charges.
+ *
+ * `state` is an evaluateScenario state (choices are ignored).  Returns
+ *   { status: 'optimal', alloc, allocByPeriod, objective, shadowPrices }
+ *   { status: 'infeasible', proof: { lines, bestService } }
+ * `alloc` is the total over all periods.  Shadow prices are the objective
+ * saved per extra dose of monthly plant capacity, summed over the horizon.
+ * `onProgress` is passed to solveLP to report simplex iterations.
+ *
+ * With `chooseDesign` the optimizer also picks the network design: one
+ * binary per option in `state.investments` (ignoring `state.design`), each
+ * charged its fixed cost plus its capex annualised by capitalRecovery, pro
+ * rata to the horizon.  Sites and lines only count from their lead time and
+ * a site is not both closed and opened or expanded.  The model is solved by
+ * branch and bound (solveMIP) and the result carries the chosen `design`.
+ * `nodeLimit` is true when branch and bound stopped at its node limit and
+ * `unsolvedNodes` counts the nodes it could not solve (see solveMIP): either
+ * way the plan is feasible but not proven optimal.
+ *
+ * With `levers.overflow` each region's surge providers fill what the network
+ * does not, from their activation month and up to their capacity, priced by
+ * tier (tier prices are assumed to rise with volume).  A provider with a
+ * `minVolume` gets a binary: once used it bills at least that volume every
+ * month from its activation, a little more cautious than evaluateHorizon,
+ * which commits only from the first month actually used.
+ */
+export function optimizeAllocation(state, onProgress, { chooseDesign = false } = {}) {
+  const { products, plants, dcs, lanes, levers, horizon } = state;
+  const options = chooseDesign ? state.investments || [] : [];
+  // The design search starts from every site opened and line added; the
+  // binaries below take away what is not chosen
+  const base = chooseDesign ? { ...state, design: options.filter(o => o.kind !== 'close').map(o => o.id) } : state;
+  const periods = horizon ? Array.from({ length: horizon.months }, (_, t) => periodState(base, t)) : [chooseDesign ? designState(base) : state];
+  const when = t => (horizon ? ` ${periodLabel(horizon, t)}` : '');
+  const variables = [];
+  const flows = [];
+  const shortfalls = [];
+  const demandCons = [];
+  const capacityRows = [];
+  const dcRows = [];
+  const shelfRows = [];
+  const surgeRows = [];
+  // Surge fills per provider and month: { index, t, providerId }
+  const surges = [];
+  // Horizon only: closing-stock variable and arriving flows per product:region
+  const closing = {};
+  const arrivals = {};
+  // Horizon only: months where surge can fill a product:region (see settled)
+  const surgeMonths = [];
+  periods.forEach((ps, t) => {
+    ps.products.forEach((product, pi) => {
+      for (const region of demandRegions(product)) {
+        const demand = product.monthlyDemand[region] || 0;
+        // Over a horizon the stock balance must run through months without demand
+        if (!(horizon ? products[pi].monthlyDemand[region] > 0 : demand > 0)) continue;
+        const sk = `${product.id}:${region}`;
+        const terms = [];
+        const arriving = [];
+        // Only plants qualified for the product and licensed for the market that month
+        for (const p of plants.filter(x => isEligible(product, x.id) && isLicensed(x, region, ps.period ?? Infinity))) {
+          for (const dc of regionDCs(dcs, region)) {
+            const lane = lanes[`${p.id}->${dc.id}`];
+            if (!lane) continue;
+            for (const mode of lane.modes) {
+              // The response to a lane closure reroutes for every month it touches
+              if ((ps.laneAvailability?.[`${p.id}->${dc.id}@${mode}`] ?? 1) < 1) continue;
+              const unit = flowUnitTerms(ps, product.id, p.id, dc.id, mode);
+              const key = flowKey(product.id, p.id, dc.id, mode);
+              const yieldShare = 1 - unit.excursion;
+              terms.push([variables.length, yieldShare]);
+              arriving.push([variables.length, yieldShare]);
+              flows.push({ index: variables.length, key, t, plantId: p.id, dcId: dc.id, late: (1 - unit.onTime) * yieldShare });
+              variables.push({ name: `${key}${when(t)}`, cost: unit.conv + unit.transport + unit.packaging + unit.release + unit.duty + unit.brokerage + unit.handling + levers.carbonPrice * unit.carbon + levers.riskWeight * 1000 * unit.risk });
+            }
+          }
+        }
+        // Surge providers fill what the network does not (as in
+        // evaluateScenario); they are billed through their tiers below
+        const fills = [];
+        if (levers.overflow) {
+          for (const prov of surgeProvidersAt(ps, ps.period ?? Infinity).filter(x => x.region === region)) {
+            surges.push({ index: variables.length, t, providerId: prov.id, penalty: prov.servicePenalty || 0 });
+            fills.push(variables.length);
+            terms.push([variables.length, 1]);
+            variables.push({ name: `surge:${prov.id}:${sk}${when(t)}`, cost: levers.carbonPrice * (prov.co2 || 0) });
+          }
+        }
+        shortfalls.push({ index: variables.length, productId: product.id, region });
+        terms.push([variables.length, 1]);
+        variables.push({ name: `unmet:${sk}${when(t)}`, cost: UNMET_PENALTY });
+        if (horizon) {
+          // opening + arrivals + shortfall − closing = demand
+          if (closing[sk] != null) terms.push([closing[sk], 1]);
+          closing[sk] = variables.length;
+          terms.push([variables.length, -1]);
+          variables.push({ name: `stock:${sk}${when(t)}`, cost: product.holdingCost || 0 });
+          if (fills.length > 0) surgeMonths.push({ stock: closing[sk], unmet: shortfalls[shortfalls.length - 1].index, fills });
+          // Closing stock must have arrived within the shelf life
+          arrivals[sk] = [...(arrivals[sk] || []), arriving];
+          const fresh = arrivals[sk].slice(Math.max(0, t - product.shelfLifeMonths + 2)).flat();
+          shelfRows.push({
+            name: `shelf:${sk}${when(t)}`,
+            terms: [[closing[sk], 1], ...fresh.map(([j, share]) => [j, -share])],
+            sense: '<=',
+            rhs: 0,
+            label: `${product.code} ${region} stock${when(t)} ≤ arrivals within ${product.shelfLifeMonths} months shelf life`
+          });
+        }
+        demandCons.push({ name: `demand:${sk}${when(t)}`, terms, sense: '=', rhs: demand, label: `${product.code} ${region} demand${when(t)} = ${fmt(demand)}` });
+      }
+    });
+    for (const p of ps.plants) {
+      capacityRows.push({
+        name: `capacity:${p.id}${when(t)}`,
+        plantId: p.id,
+        t,
+        terms: flows.filter(f => f.t === t && f.plantId === p.id).map(f => [f.index, 1]),
+        sense: '<=',
+        rhs: p.capacity,
+        label: `${p.name} capacity${when(t)} ≤ ${fmt(p.capacity)}`
+      });
+    }
+    for (const dc of ps.dcs) {
+      const terms = flows.filter(f => f.t === t && f.dcId === dc.id).map(f => [f.index, 1]);
+      if (dc.capacity == null || terms.length === 0) continue;
+      dcRows.push({
+        name: `throughput:${dc.id}${when(t)}`,
+        dcId: dc.id,
+        t,
+        terms,
+        sense: '<=',
+        rhs: dc.capacity,
+        label: `${dc.name} throughput${when(t)} ≤ ${fmt(dc.capacity)}`
+      });
+    }
+    // Surge volume is bought through the provider's price tiers
+    if (levers.overflow) {
+      for (const prov of surgeProvidersAt(ps, ps.period ?? Infinity)) {
+        const fills = surges.filter(sf => sf.t === t && sf.providerId === prov.id).map(sf => [sf.index, 1]);
+        if (fills.length === 0) continue;
+        const bought = [];
+        let from = 0;
+        (prov.tiers || []).forEach((tier, k) => {
+          // The last rate applies beyond the last tier, as in tieredCost
+          const open = tier.upTo == null || k === prov.tiers.length - 1;
+          bought.push([variables.length, 1]);
+          variables.push({ name: `tier:${prov.id}≤${tier.upTo ?? '∞'}${when(t)}`, cost: tier.unitCost, ub: open ? undefined : Math.max(0, tier.upTo - from) });
+          from = tier.upTo ?? from;
+        });
+        surgeRows.push({ name: `surge:${prov.id}${when(t)}`, providerId: prov.id, t, fills, bought, terms: [...fills, ...bought.map(([j]) => [j, -1])], sense: '<=', rhs: 0, label: `${prov.name} fills${when(t)} ≤ doses bought` });
+        if (prov.capacity != null) {
+          surgeRows.push({ name: `surgeCapacity:${prov.id}${when(t)}`, terms: fills, sense: '<=', rhs: prov.capacity, label: `${prov.name} capacity${when(t)} ≤ ${fmt(prov.capacity)}` });
+        }
+      }
+    }
+  });
+  // Minimum volumes: a binary per provider, billed every month once chosen
+  const surgeVars = [];
+  for (const prov of levers.overflow ? state.overflowProviders || [] : []) {
+    const rows = surgeRows.filter(row => row.providerId === prov.id);
+    if (!(prov.minVolume > 0) || rows.length === 0) continue;
+    const y = variables.length;
+    surgeVars.push(y);
+    variables.push({ name: `commit:${prov.id}`, cost: 0, ub: 1 });
+    for (const row of rows) {
+      // Bound on a month's fills: the capacity, else the region's demand
+      const M = prov.capacity ?? sum(demandCons.filter(c => row.fills.some(([j]) => c.terms.some(([i]) => i === j))).map(c => c.rhs));
+      surgeRows.push({ name: `commitFill:${prov.id}${when(row.t)}`, terms: [...row.fills, [y, -M]], sense: '<=', rhs: 0, label: `${prov.name} fills${when(row.t)} only once committed` });
+      surgeRows.push({ name: `commitMin:${prov.id}${when(row.t)}`, terms: [...row.bought, [y, -prov.minVolume]], sense: '>=', rhs: 0, label: `${prov.name} bills${when(row.t)} ≥ ${fmt(prov.minVolume)} once committed` });
+    }
+  }
+  // OTIF = 1 − (late + unmet + penalty × surge) / demand ≥ target, where
+  // each network flow is late with its lead-time miss probability
+  const totalDemand = sum(demandCons.map(r => r.rhs));
+  const serviceRow = {
+    name: 'service',
+    terms: [
+      ...flows.filter(f => f.late > 0).map(f => [f.index, f.late]),
+      ...surges.filter(sf => sf.penalty > 0).map(sf => [sf.index, sf.penalty]),
+      ...shortfalls.map(sf => [sf.index, 1])
+    ],
+    sense: '<=',
+    rhs: (1 - levers.serviceTarget) * totalDemand,
+    label: `Service ≥ ${pct(levers.serviceTarget)} (late/unserved ≤ ${fmt((1 - levers.serviceTarget) * totalDemand)} dose-equivalents)`
+  };
+  // Network design: a binary per option linked into the capacity rows
+  const months = horizon ? horizon.months : 1;
+  const designVars = options.map((o) => {
+    variables.push({ name: `design:${o.id}`, cost: ((o.fixedCost || 0) + (o.capex || 0) * capitalRecovery(state.finance)) * months / 12, ub: 1 });
+    return variables.length - 1;
+  });
+  const designRows = [];
+  if (options.length > 0) {
+    const activeAt = (o, t) => (horizon ? t : Infinity) >= (o.leadMonths || 0);
+    periods.forEach((ps, t) => {
+      const rows = capacityRows.filter(row => row.t === t);
+      // Bound on what a DC can receive this month: every plant at full capacity
+      const M = sum(rows.map(row => row.rhs));
+      for (const row of rows) {
+        const full = row.rhs;
+        const p = plants.find(x => x.id === row.plantId);
+        const mine = options.map((o, k) => [o, designVars[k]]).filter(([o]) => o.site === p.id && activeAt(o, t));
+        // Capacity net of shutdowns and disruptions per nominal dose this month
+        const nominal = p.capacity + sum(mine.filter(([o]) => o.kind === 'expand').map(([o]) => o.capacity || 0));
+        const factor = nominal > 0 ? full / nominal : 0;
+        for (const [o, y] of mine) {
+          if (o.kind === 'close') {
+            // Σflows ≤ full·(1 − y)
+            row.terms.push([y, full]);
+          } else {
+            // Σflows ≤ full − (capacity the option brings)·(1 − y)
+            const brings = (o.kind === 'open' ? p.capacity : o.capacity || 0) * factor;
+            row.terms.push([y, -brings]);
+            row.rhs -= brings;
+          }
+        }
+      }
+      // A DC may only receive while open: Σ arrivals ≤ M·y (or M·(1 − y) when closing)
+      for (const dc of dcs) {
+        const mine = options.map((o, k) => [o, designVars[k]]).filter(([o]) => o.site === dc.id && activeAt(o, t));
+        if (mine.length === 0) continue;
+        const inflow = flows.filter(f => f.t === t && f.dcId === dc.id).map(f => [f.index, 1]);
+        for (const [o, y] of mine) {
+          designRows.push(o.kind === 'close'
+            ? { name: `close:${o.id}${when(t)}`, terms: [...inflow, [y, M]], sense: '<=', rhs: M, label: `${dc.name} receives nothing once ${o.name}${when(t)}` }
+            : { name: `open:${o.id}${when(t)}`, terms: [...inflow, [y, -M]], sense: '<=', rhs: 0, label: `${dc.name} receives only if ${o.name}${when(t)}` });
+        }
+      }
+    });
+    // A site is not both closed and opened or expanded; a line needs its site open
+    options.forEach((o, k) => {
+      if (o.kind !== 'close') return;
+      options.forEach((other, l) => {
+        if (other.site !== o.site || other.kind === 'close') return;
+        designRows.push({ name: `exclusive:${o.id}:${other.id}`, terms: [[designVars[k], 1], [designVars[l], 1]], sense: '<=', rhs: 1, label: `Not both ${o.name} and ${other.name}` });
+      });
+    });
+    options.forEach((o, k) => {
+      if (o.kind !== 'expand') return;
+      options.forEach((other, l) => {
+        if (other.site !== o.site || other.kind !== 'open') return;
+        designRows.push({ name: `requires:${o.id}:${other.id}`, terms: [[designVars[k], 1], [designVars[l], -1]], sense: '<=', rhs: 0, label: `${o.name} requires ${other.name}` });
+      });
+    });
+  }
+  const integers = [...designVars, ...surgeVars];
+  // Surge only fills what is short once stock and arrivals are used up
+  // (evaluateScenario), so a month cannot both buy surge and carry stock.
+  // That is not linear: after each solve, a month doing both is settled the
+  // way evaluateScenario would see it (no surge when the network covered the
+  // demand, else no stock) and the plan is solved again.  Settled variables
+  // are fixed at zero by taking them out of every row (zero-rhs rows for them
+  // stall the simplex).  The design and commitment choices are made in the
+  // first round and held in the later ones, which are plain LPs; should one
+  // of those come out infeasible the choices are searched again.  Each round
+  // settles at least one more month, so this ends.
+  const allRows = [...demandCons, ...capacityRows, ...dcRows, ...shelfRows, ...surgeRows, ...designRows, serviceRow];
+  const settled = new Set();
+  let held = null;
+  const valueOf = j => (settled.has(j) ? 0 : held?.get(j));
+  const substitute = list => list.map((row) => {
+    const out = row.terms.filter(([j]) => valueOf(j) !== undefined);
+    if (out.length === 0) return row;
+    return { ...row, terms: row.terms.filter(([j]) => valueOf(j) === undefined), rhs: row.rhs - sum(out.map(([j, a]) => a * valueOf(j))) };
+  });
+  let constraints;
+  let res;
+  for (;;) {
+    constraints = substitute(allRows);
+    if (held) {
+      const lp = solveLP({ variables: variables.map((v, j) => (held.has(j) ? { ...v, cost: 0 } : v)), constraints }, { onProgress });
+      if (lp.status !== 'optimal') {
+        held = null;
+        continue;
+      }
+      const x = lp.x.slice();
+      for (const [j, v] of held) x[j] = v;
+      res = { ...lp, x, objective: lp.objective + sum([...held].map(([j, v]) => variables[j].cost * v)), nodeLimit: res.nodeLimit, unsolvedNodes: res.unsolvedNodes };
+    } else {
+      res = integers.length > 0
+        ? solveMIP({ variables, constraints }, { integers, onProgress })
+        : solveLP({ variables, constraints }, { onProgress });
+      if (res.status !== 'optimal') break;
+      if (integers.length > 0) held = new Map(integers.map(j => [j, res.x[j]]));
+    }
+    const banked = surgeMonths.filter(m => res.x[m.stock] > SURGE_USE_THRESHOLD && sum(m.fills.map(j => res.x[j])) > SURGE_USE_THRESHOLD);
+    if (banked.length === 0) break;
+    for (const m of banked) {
+      // opening + arrivals − demand = stock − surge − unmet
+      const filled = sum(m.fills.map(j => res.x[j])) + res.x[m.unmet];
+      for (const j of res.x[m.stock] >= filled ? m.fills : [m.stock]) settled.add(j);
+    }
+  }
+  if (res.status === 'infeasible') {
+    // Best achievable service: drop the target and minimise the service row
+    const serviceCost = Object.fromEntries(serviceRow.terms);
+    const relaxed = solveLP({
+      variables: variables.map((v, j) => ({ ...v, cost: serviceCost[j] ?? 0 })),
+      constraints: substitute(allRows.slice(0, -1))
+    });
+    const bestService = relaxed.status === 'optimal' && totalDemand > 0 ? 1 - relaxed.objective / totalDemand : null;
+    const lines = res.certificate
+      .filter(c => c.index >= 0)
+      .map(c => ({ label: constraints[c.index].label, multiplier: c.multiplier }));
+    return { status: 'infeasible', proof: { lines, bestService, infeasibility: res.infeasibility } };
+  }
+  if (res.status !== 'optimal') return { status: res.status };
+  const allocByPeriod = periods.map(() => ({}));
+  const alloc = {};
+  for (const f of flows) {
+    const units = res.x[f.index];
+    if (units <= 1e-6) continue;
+    allocByPeriod[f.t][f.key] = units;
+    alloc[f.key] = (alloc[f.key] || 0) + units;
+  }
+  // Capacity rows may carry design binaries; split them from the flows
+  const isDesign = j => designVars.includes(j);
+  const shadowPrices = plants.map((p) => {
+    const rows = capacityRows.filter(row => row.plantId === p.id);
+    const used = rows.map(row => sum(row.terms.filter(([j]) => !isDesign(j)).map(([j]) => res.x[j])));
+    const capacity = rows.map(row => row.rhs - sum(row.terms.filter(([j]) => isDesign(j)).map(([j, a]) => a * res.x[j])));
+    const binding = rows.filter((row, k) => capacity[k] - used[k] < 1e-6);
+    return {
+      plantId: p.id,
+      price: -sum(rows.map(row => res.duals[allRows.indexOf(row)])),
+      used: sum(used),
+      capacity: sum(capacity),
+      binding: binding.length > 0,
+      bindingPeriods: horizon ? binding.map(row => periodLabel(horizon, row.t)) : []
+    };
+  });
+  const design = chooseDesign ? options.filter((o, k) => res.x[designVars[k]] > 0.5).map(o => o.id) : state.design || [];
+  return { status: 'optimal', alloc, allocByPeriod, objective: res.objective, shadowPrices, design, nodeLimit: !!res.nodeLimit, unsolvedNodes: res.unsolvedNodes || 0 };
+}
+
+/**
+ * Appraise the network-design options against the status quo (no options
+ * taken).  Each case is re-optimized over the horizon (optimizeAllocation)
+ * and evaluated with evaluateHorizon:
+ *   statusQuo  no options
+ *   current    `state.design`
+ *   optimized  the design the optimizer picks (chooseDesign), then planned
+ *              like the other two
+ * A case whose design cannot meet the service target is planned without it
+ * and flagged `meetsTarget: false`; `nodeLimit` and `unsolvedNodes` mark a
+ * plan whose search did not prove it optimal.  Horizon cost plus the revenue
+ * of doses left unserved (at each product's `price`) is annualised; its saving
+ * against the status quo, net of the options' fixed costs, is taken as the
+ * cash flow of every year of `finance.lifeYears` after the capex in year 0:
+ * `npv` at `finance.discountRate` and simple `paybackYears` (null when the
+ * design never pays back).
+ */
+export function investmentAppraisal(state, onProgress) {
+  const finance = { ...DEFAULT_FINANCE, ...state.finance };
+  const months = state.horizon.months;
+  function optimize(design, chooseDesign) {
+    const s = { ...state, design };
+    const res = optimizeAllocation(s, onProgress, { chooseDesign });
+    if (res.status !== 'infeasible') return { res, meetsTarget: true };
+    return { res: optimizeAllocation({ ...s, levers: { ...s.levers, serviceTarget: 0 } }, onProgress, { chooseDesign }), meetsTarget: false };
+  }
+  function plan(key, label, design) {
+    const s = { ...state, design };
+    const { res, meetsTarget } = optimize(design, false);
+    if (res.status !== 'optimal') return { key, label, status: res.status };
+    const ev = evaluateHorizon({ ...s, design: res.design, choices: { alloc: res.alloc, allocByPeriod: res.allocByPeriod } });
+    const options = (state.investments || []).filter(o => res.design.includes(o.id));
+    const lostRevenue = sum(state.products.map(prod => Math.max(0, ev.byProduct[prod.id].demand - ev.byProduct[prod.id].served) * (prod.price || 0)));
+    return {
+      key,
+      label,
+      status: 'optimal',
+      meetsTarget,
+      nodeLimit: res.nodeLimit,
+      unsolvedNodes: res.unsolvedNodes,
+      design: res.design,
+      options,
+      metrics: ev.metrics,
+      annualOperating: ev.metrics.cost * 12 / months,
+      annualLostRevenue: lostRevenue * 12 / months,
+      capex: sum(options.map(o => o.capex || 0)),
+      fixedCost: sum(options.map(o => o.fixedCost || 0)),
+      alloc: res.alloc,
+      allocByPeriod: res.allocByPeriod
+    };
+  }
+  // The optimizer only picks the design; its flows are planned for that design
+  // like any other case, so it never trails the current design when both match
+  const picked = optimize([], true).res;
+  const cases = [
+    plan('statusQuo', 'Status quo', []),
+    plan('current', 'Current design', state.design || []),
+    picked.status === 'optimal'
+      ? { ...plan('optimized', 'Optimized design', picked.design), ...(picked.nodeLimit && { nodeLimit: true }), ...(picked.unsolvedNodes > 0 && { unsolvedNodes: picked.unsolvedNodes }) }
+      : { key: 'optimized', label: 'Optimized design', status: picked.status }
+  ];
+  const statusQuo = cases[0];
+  for (const c of cases) {
+    if (c.status !== 'optimal' || statusQuo.status !== 'optimal') continue;
+    c.annualSaving = statusQuo.annualOperating + statusQuo.annualLostRevenue - c.annualOperating - c.annualLostRevenue - c.fixedCost;
+    c.cashFlows = [-c.capex, ...Array(finance.lifeYears).fill(c.annualSaving)];
+    c.npv = sum(c.cashFlows.map((cf, y) => cf / (1 + finance.discountRate) ** y));
+    c.paybackYears = c.capex <= 0 ? (c.annualSaving >= 0 ? 0 : null) : c.annualSaving > 0 ? c.capex / c.annualSaving : null;
+  }
+  return { finance, cases };
+}
+
+// ------------ Time to survive vs time to recover ------------
+// Cap on time-to-survive: a node whose loss the network absorbs indefinitely
+// reports this many days.
+export const TTS_CAP_DAYS = 365;
+
+/**
+ * Time-based exposure of every plant and DC (time-to-survive vs
+ * time-to-recover) in the network as designed (designState).  For each node
+ * the network is re-planned without it, using the other plants' capacity and
+ * the strategic stock (`bufferDays`) at the surviving DCs:
+ *   timeToSurvive  the longest time, in days, every region's demand can still
+ *                  be met in full (capped at TTS_CAP_DAYS);
+ *   timeToRecover  the node's `recoveryDays`;
+ *   lostDoses      demand that cannot be met while the node recovers, by
+ *                  product, valued at each product's `price` (revenueAtRisk).
+ * A node with timeToRecover > timeToSurvive is an exposure gap.  Demand is
+ * the average month (`monthlyDemand`) and plant capacity and DC throughput
+ * the expected rate (capacity × uptime), both spread evenly over 30 days.
+ * `expectedLoss` weighs the revenue at risk by the node's annual disruption
+ * likelihood (plant `baseRisk`, region risk for DCs) and `riskShare` is the
+ * node's share of the plan's risk index.
+ */
+export function survivalReport(state) {
+  // The network as designed: sites an option closes, or that are only built
+  // with an option not taken, neither report nor survive anything
+  const { closed } = designAt(state, Infinity);
+  const ds = designState(state);
+  const { products, lanes } = ds;
+  const plants = ds.plants.filter(p => !closed.has(p.id));
+  const dcs = ds.dcs.filter(dc => !closed.has(dc.id));
+  const regions = ds.regions || [];
+  const alloc = state.choices?.alloc || {};
+  // Risk index carried by each plant and DC in the current plan
+  const riskByNode = {};
+  for (const [key, vol] of Object.entries(alloc)) {
+    if (!(vol > 0)) continue;
+    const { productId, plantId, dcId, lane, mode } = parseFlowKey(key);
+    if (!laneAllows(lanes[lane], mode) || !isEligible(products.find(x => x.id === productId), plantId)) continue;
+    const risk = vol * flowUnitTerms(ds, productId, plantId, dcId, mode).risk;
+    riskByNode[plantId] = (riskByNode[plantId] || 0) + risk;
+    riskByNode[dcId] = (riskByNode[dcId] || 0) + risk;
+  }
+  const totalRisk = sum(Object.values(riskByNode)) / 2;
+  const daily = v => v / 30;
+  // Strategic stock per product and region held at the DCs still standing
+  function buffers(downId) {
+    const out = {};
+    for (const prod of products) {
+      for (const [region, d] of Object.entries(prod.monthlyDemand)) {
+        const regionDcs = regionDCs(dcs, region);
+        const held = sum(regionDcs.filter(dc => dc.id !== downId).map(dc => (dc.bufferDays || 0) / regionDcs.length));
+        out[`${prod.id}:${region}`] = daily(d) * held;
+      }
+    }
+    return out;
+  }
+  // Supply routes (product, plant, DC) that avoid the lost node
+  function routes(downId) {
+    const list = [];
+    for (const prod of products) {
+      for (const region of Object.keys(prod.monthlyDemand)) {
+        for (const p of plants) {
+          if (p.id === downId || !isEligible(prod, p.id) || !isLicensed(p, region)) continue;
+          for (const dc of regionDCs(dcs, region)) {
+            if (dc.id !== downId && lanes[`${p.id}->${dc.id}`]) list.push({ productId: prod.id, plantId: p.id, dcId: dc.id, region });
+          }
+        }
+      }
+    }
+    return list;
+  }
+  // Expected daily throughput of a surviving DC (none without a capacity)
+  const dcRate = dc => daily(dc.capacity * (dc.uptime ?? 1));
+  const standingDCs = downId => dcs.filter(dc => dc.id !== downId && dc.capacity != null);
+  function survive(downId) {
+    const r = routes(downId);
+    const buf = buffers(downId);
+    const t = r.length;
+    const variables = [...r.map(x => ({ name: `${x.productId}:${x.plantId}->${x.dcId}`, cost: 0 })), { name: 't', cost: -1, ub: TTS_CAP_DAYS }];
+    const constraints = [];
+    for (const prod of products) {
+      for (const [region, d] of Object.entries(prod.monthlyDemand)) {
+        if (!(d > 0)) continue;
+        // demand·t − supply ≤ stock
+        const terms = [[t, daily(d)], ...r.map((x, j) => [x, j]).filter(([x]) => x.productId === prod.id && x.region === region).map(([, j]) => [j, -1])];
+        constraints.push({ name: `demand:${prod.id}:${region}`, terms, sense: '<=', rhs: buf[`${prod.id}:${region}`] });
+      }
+    }
+    for (const p of plants) {
+      if (p.id === downId) continue;
+      const terms = [...r.map((x, j) => [x, j]).filter(([x]) => x.plantId === p.id).map(([, j]) => [j, 1]), [t, -daily(p.capacity * p.uptime)]];
+      constraints.push({ name: `capacity:${p.id}`, terms, sense: '<=', rhs: 0 });
+    }
+    for (const dc of standingDCs(downId)) {
+      const terms = [...r.map((x, j) => [x, j]).filter(([x]) => x.dcId === dc.id).map(([, j]) => [j, 1]), [t, -dcRate(dc)]];
+      constraints.push({ name: `throughput:${dc.id}`, terms, sense: '<=', rhs: 0 });
+    }
+    const res = solveLP({ variables, constraints });
+    return res.status === 'optimal' ? res.x[t] : 0;
+  }
+  // Doses short while the node is down for `days`, per product
+  function lost(downId, days) {
+    const r = routes(downId);
+    const buf = buffers(downId);
+    const need = {};
+    for (const prod of products) {
+      for (const [region, d] of Object.entries(prod.monthlyDemand)) need[`${prod.id}:${region}`] = Math.max(0, daily(d) * days - buf[`${prod.id}:${region}`]);
+    }
+    const constraints = [
+      ...Object.entries(need).map(([k, rhs]) => ({
+        name: `need:${k}`, terms: r.map((x, j) => [x, j]).filter(([x]) => `${x.productId}:${x.region}` === k).map(([, j]) => [j, 1]), sense: '<=', rhs
+      })),
+      ...plants.filter(p => p.id !== downId).map(p => ({
+        name: `capacity:${p.id}`, terms: r.map((x, j) => [x, j]).filter(([x]) => x.plantId === p.id).map(([, j]) => [j, 1]), sense: '<=', rhs: daily(p.capacity * p.uptime) * days
+      })),
+      ...standingDCs(downId).map(dc => ({
+        name: `throughput:${dc.id}`, terms: r.map((x, j) => [x, j]).filter(([x]) => x.dcId === dc.id).map(([, j]) => [j, 1]), sense: '<=', rhs: dcRate(dc) * days
+      }))
+    ].filter(c => c.terms.length > 0);
+    const res = solveLP({ variables: r.map(x => ({ name: `${x.productId}:${x.plantId}->${x.dcId}`, cost: -1 })), constraints });
+    const supplied = {};
+    if (res.status === 'optimal') r.forEach((x, j) => { supplied[x.productId] = (supplied[x.productId] || 0) + res.x[j]; });
+    const byProduct = {};
+    for (const prod of products) {
+      const short = sum(Object.keys(prod.monthlyDemand).map(region => need[`${prod.id}:${region}`])) - (supplied[prod.id] || 0);
+      byProduct[prod.id] = Math.max(0, short);
+    }
+    return byProduct;
+  }
+  const nodes = [
+    ...plants.map(p => ({ id: p.id, name: p.name, type: 'plant', recoveryDays: p.recoveryDays ?? 0, likelihood: p.baseRisk })),
+    ...dcs.map(dc => ({ id: dc.id, name: dc.name, type: 'dc', recoveryDays: dc.recoveryDays ?? 0, likelihood: regions.find(r => r.id === dc.region)?.risk ?? 0 }))
+  ];
+  return nodes.map((node) => {
+    const timeToSurvive = survive(node.id);
+    const lostByProduct = lost(node.id, node.recoveryDays);
+    const lostDoses = sum(Object.values(lostByProduct));
+    const revenueAtRisk = sum(products.map(prod => lostByProduct[prod.id] * (prod.price || 0)));
+    return {
+      ...node,
+      timeToSurvive,
+      timeToRecover: node.recoveryDays,
+      gapDays: Math.max(0, node.recoveryDays - timeToSurvive),
+      exposed: node.recoveryDays > timeToSurvive + 1e-6,
+      lostByProduct,
+      lostDoses,
+      revenueAtRisk,
+      expectedLoss: node.likelihood * revenueAtRisk,
+      riskShare: totalRisk > 0 ? (riskByNode[node.id] || 0) / totalRisk : 0
+    };
+  }).sort((a, b) => b.revenueAtRisk - a.revenueAtRisk || b.gapDays - a.gapDays);
+}
+
+// ------------ Pareto frontier ------------
+// Trade-off axes: metric, direction and label.
+export const PARETO_AXES = [
+  { value: 'cost', label: 'Horizon cost', better: 'min' },
+  { value: 'otif', label: 'Service (OTIF)', better: 'max' },
+  { value: 'carbon', label: 'Carbon (kg)', better: 'min' },
+  { value: 'riskScore', label: 'Risk index', better: 'min' }
+];
+// Objective weights and service targets the frontier search combines: carbon
+// and risk weights are multiples of the current levers (or of these base
+// values when a lever is zero).
+export const PARETO_GRID = {
+  carbon: [0, 1, 5, 25],
+  risk: [0, 1, 5, 25],
+  targets: [0.85, 0.9, 0.93, 0.95, 0.97, 0.99],
+  baseCarbonPrice: 0.02,
+  baseRiskWeight: 0.002
+};
+
+// True when metrics `a` are at least as good as `b` on every axis and
+// strictly better on one.
+function dominates(a, b) {
+  let strictly = false;
+  for (const { value, better } of PARETO_AXES) {
+    const diff = better === 'min' ? b[value] - a[value] : a[value] - b[value];
+    const tol = 1e-9 * Math.max(1, Math.abs(a[value]), Math.abs(b[value]));
+    if (diff < -tol) return false;
+    if (diff > tol) strictly = true;
+  }
+  return strictly;
+}
+
+/**
+ * Efficient frontier of plans across cost, service, carbon and risk.  Runs the
+ * LP optimizer for every combination of carbon weight, risk weight and
+ * service target in `grid` (see PARETO_GRID), evaluates each optimal plan over
+ * the horizon at the scenario's own levers, merges plans with identical
+ * metrics and flags those dominated by another plan.  The plan in `state` is
+ * returned as `current` for reference.  `onProgress(done, total)` reports
+ * each solve.
+ */
+export function paretoFrontier(state, grid = PARETO_GRID, onProgress) {
+  const { levers } = state;
+  const metricsOf = ev => Object.fromEntries(['cost', 'otif', 'carbon', 'riskScore', 'objective'].map(k => [k, ev.metrics[k]]));
+  const carbonBase = levers.carbonPrice || grid.baseCarbonPrice;
+  const riskBase = levers.riskWeight || grid.baseRiskWeight;
+  const runs = grid.carbon.flatMap(c => grid.risk.flatMap(r => grid.targets.map(target => ({
+    carbonPrice: c * carbonBase, riskWeight: r * riskBase, serviceTarget: target
+  }))));
+  const points = [];
+  const seen = new Map();
+  runs.forEach((weights, k) => {
+    const res = optimizeAllocation({ ...state, levers: { ...levers, ...weights } });
+    if (onProgress) onProgress(k + 1, runs.length);
+    if (res.status !== 'optimal') return;
+    const ev = evaluateHorizon({ ...state, choices: { alloc: res.alloc, allocByPeriod: res.allocByPeriod } });
+    const metrics = metricsOf(ev);
+    const signature = PARETO_AXES.map(a => metrics[a.value].toPrecision(8)).join('|');
+    if (seen.has(signature)) {
+      seen.get(signature).weights.push(weights);
+      return;
+    }
+    const point = { id: points.length, weights: [weights], metrics, alloc: res.alloc, allocByPeriod: res.allocByPeriod };
+    seen.set(signature, point);
+    points.push(point);
+  });
+  for (const p of points) p.dominated = points.some(q => q !== p && dominates(q.metrics, p.metrics));
+  const current = state.horizon ? evaluateHorizon(state) : evaluateScenario(state);
+  return { points, current: metricsOf(current), runs: runs.length };
+}
+
+/**
+ * Stress-test the plan in `state` with one disruption event.  Compares the
+ * horizon KPIs of the unchanged plan with and without the event, and of a
+ * plan re-optimized with the event known in advance.  A month from the
+ * event start on is impacted when its service falls below the target (or
+ * below the baseline month, if that already missed it); time-to-survive is
+ * the months from the event start to the first impacted month and
+ * time-to-recover the months until the last one ends.
+ * `onProgress({ phase, iterations })` reports the re-optimization.
+ */
+export function analyzeDisruption(state, event, onProgress) {
+  const baseline = evaluateHorizon(state);
+  const stressed = { ...state, disruptions: [...(state.disruptions || []), event] };
+  const hit = evaluateHorizon(stressed);
+  const response = optimizeAllocation(stressed, onProgress);
+  const responseEval = response.status === 'optimal'
+    ? evaluateHorizon({ ...stressed, choices: { alloc: response.alloc, allocByPeriod: response.allocByPeriod } })
+    : null;
+  const target = state.levers.serviceTarget;
+  const impactOf = (ev) => {
+    const months = ev.periods.map((p, t) => {
+      const b = baseline.periods[t];
+      const extraShortage = sum(Object.values(p.shortage)) - sum(Object.values(b.shortage));
+      const impacted = t >= event.start && p.otif < Math.min(target, b.otif) - 1e-3;
+      return { t, extraShortage, serviceDrop: b.otif - p.otif, costDelta: p.cost - b.cost, impacted };
+    });
+    const impacted = months.filter(m => m.impacted).map(m => m.t);
+    return {
+      months,
+      survives: impacted.length === 0,
+      timeToSurvive: impacted.length ? Math.max(0, impacted[0] - event.start) : null,
+      timeToRecover: impacted.length ? impacted[impacted.length - 1] - event.start + 1 : 0
+    };
+  };
+  const delta = (m) => Object.fromEntries(['cost', 'otif', 'served', 'lateUnits', 'carbon', 'riskScore', 'expired', 'objective']
+    .map(k => [k, m[k] - baseline.metrics[k]]));
+  return {
+    event,
+    labels: baseline.periods.map(p => p.label),
+    baseline: { metrics: baseline.metrics, service: baseline.periods.map(p => p.otif) },
+    disrupted: { metrics: hit.metrics, delta: delta(hit.metrics), service: hit.periods.map(p => p.otif), ...impactOf(hit) },
+    response: responseEval
+      ? { status: 'optimal', metrics: responseEval.metrics, delta: delta(responseEval.metrics), service: responseEval.periods.map(p => p.otif), ...impactOf(responseEval), alloc: response.alloc, allocByPeriod: response.allocByPeriod }
+      : { status: response.status, proof: response.proof }
+  };
+}
+
+// Long-running tasks the UI hands to the engine worker (or runs inline when
+// workers are unavailable).  `progress(message)` streams progress updates.
+const ENGINE_TASKS = {
+  montecarlo: ([state, N, relShock, seed], progress) =>
+    runMonteCarlo(state, N, relShock, seed, (done, partial) => progress({ done, total: N, partial })),
+  sensitivity: ([state, spec], progress) => tornado(state, spec, (done, total) => progress({ done, total })),
+  optimize: ([state], progress) => optimizeAllocation(state, ({ phase, iterations }) => progress({ phase, iterations })),
+  pareto: ([state, grid], progress) => paretoFrontier(state, grid, (done, total) => progress({ done, total })),
+  disruption: ([state, event], progress) => analyzeDisruption(state, event, ({ phase, iterations }) => progress({ phase, iterations })),
+  design: ([state], progress) => investmentAppraisal(state, ({ phase, iterations }) => progress({ phase, iterations }))
+};
+export function runEngineTask(task, args, progress = () => {}) {
+  if (!ENGINE_TASKS[task]) throw new Error(`Unknown engine task ${task}`);
+  return ENGINE_TASKS[task](args, progress);
+}
@@ -0,0 +1,18 @@
+/*
+ * Engine worker: runs the long simulations off the main thread so the UI
+ * stays responsive.  Messages in:  { id, task, args }
+ * Messages out: { id, type: 'progress', ... } while running, then
+ *               { id, type: 'done', result } or { id, type: 'error', message }.
+ * Cancelling is done by the page terminating the worker.
+ */
+import { runEngineTask } from './engine.js';
+
+self.onmessage = (e) => {
+  const { id, task, args } = e.data;
+  try {
+    const result = runEngineTask(task, args, p => self.postMessage({ id, type: 'progress', ...p }));
+    self.postMessage({ id, type: 'done', result });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: err.message });
+  }
+};
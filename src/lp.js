@@ -0,0 +1,221 @@
+/*
+ * Small dense linear-programming engine for the MMD optimizer.
+ *
+ * Models are plain objects so they can be built by the simulator and passed
+ * to a worker unchanged:
+ *
+ *   {
+ *     variables:   [{ name, cost, ub? }],                  // x ≥ 0, minimise Σ cost·x
+ *     constraints: [{ name, terms: [[varIndex, coef], …], sense: '<=' | '>=' | '=', rhs }]
+ *   }
+ *
+ * solveLP runs a two-phase primal simplex with Bland's rule (no cycling on
+ * the degenerate flow models we build).  Besides the primal solution it
+ * returns the constraint duals (∂objective/∂rhs) and, when the model is
+ * infeasible, a Farkas certificate: multipliers y with yᵀA ≤ 0 on every
+ * variable and yᵀb > 0, proving no x ≥ 0 satisfies all constraints.
+ *
+ * solveMIP adds branch and bound on top for models where some variables must
+ * take whole values (the network-design binaries).
+ */
+
+const EPS = 1e-9;
+const PROGRESS_EVERY = 100;
+
+/**
+ * Solve a linear program.  Returns
+ *   { status: 'optimal', x, objective, duals }
+ *   { status: 'infeasible', certificate: [{ name, index, multiplier }], infeasibility }
+ *   { status: 'unbounded' }
+ * `duals` is indexed like `model.constraints`.
+ * `onProgress({ phase, iterations })`, if given, is called every
+ * PROGRESS_EVERY pivots so long solves can report that they are alive.
+ */
+export function solveLP(model, { maxIterations = 50000, onProgress } = {}) {
+  const n = model.variables.length;
+  // Upper bounds become ordinary ≤ rows so the tableau only needs x ≥ 0
+  const rows = model.constraints.map((c) => ({ ...c }));
+  model.variables.forEach((v, j) => {
+    if (v.ub != null && Number.isFinite(v.ub)) rows.push({ name: `ub:${v.name}`, terms: [[j, 1]], sense: '<=', rhs: v.ub });
+  });
+  const m = rows.length;
+
+  // Normalise every row to rhs ≥ 0, remembering which ones were negated
+  const flipped = rows.map(r => r.rhs < 0);
+  const sense = rows.map((r, i) => (!flipped[i] ? r.sense : r.sense === '<=' ? '>=' : r.sense === '>=' ? '<=' : '='));
+
+  // Column layout: [ structural | slack/surplus | artificial | rhs ]
+  const slackCol = new Array(m).fill(-1);
+  const artCol = new Array(m).fill(-1);
+  let cols = n;
+  for (let i = 0; i < m; i++) if (sense[i] !== '=') slackCol[i] = cols++;
+  const firstArt = cols;
+  for (let i = 0; i < m; i++) if (sense[i] !== '<=') artCol[i] = cols++;
+  const width = cols + 1;
+
+  const T = Array.from({ length: m }, () => new Float64Array(width));
+  const basis = new Array(m);
+  for (let i = 0; i < m; i++) {
+    const sign = flipped[i] ? -1 : 1;
+    for (const [j, coef] of rows[i].terms) T[i][j] += sign * coef;
+    T[i][cols] = sign * rows[i].rhs;
+    if (slackCol[i] >= 0) T[i][slackCol[i]] = sense[i] === '<=' ? 1 : -1;
+    if (artCol[i] >= 0) T[i][artCol[i]] = 1;
+    basis[i] = artCol[i] >= 0 ? artCol[i] : slackCol[i];
+  }
+
+  // The column that started as e_i; its reduced cost yields the row dual
+  const unitCol = i => (artCol[i] >= 0 ? artCol[i] : slackCol[i]);
+
+  let iterations = 0;
+  let phase = 1;
+  function reducedCosts(cost) {
+    const z = new Float64Array(width);
+    for (let j = 0; j < width; j++) z[j] = j < cols ? cost[j] : 0;
+    for (let i = 0; i < m; i++) {
+      const cb = cost[basis[i]];
+      if (cb === 0) continue;
+      const row = T[i];
+      for (let j = 0; j < width; j++) z[j] -= cb * row[j];
+    }
+    return z; // z[cols] holds −(objective value)
+  }
+  function pivot(z, r, c) {
+    const pr = T[r];
+    const pv = pr[c];
+    for (let j = 0; j < width; j++) pr[j] /= pv;
+    for (let i = 0; i < m; i++) {
+      if (i === r) continue;
+      const f = T[i][c];
+      if (Math.abs(f) < EPS) continue;
+      const row = T[i];
+      for (let j = 0; j < width; j++) row[j] -= f * pr[j];
+    }
+    const f = z[c];
+    if (Math.abs(f) >= EPS) for (let j = 0; j < width; j++) z[j] -= f * pr[j];
+    basis[r] = c;
+  }
+  // Bland's rule: lowest-index improving column, lowest-basis-index ratio tie-break
+  function iterate(z, allowed) {
+    for (;;) {
+      if (++iterations > maxIterations) return 'iteration_limit';
+      if (onProgress && iterations % PROGRESS_EVERY === 0) onProgress({ phase, iterations });
+      let c = -1;
+      for (let j = 0; j < cols; j++) if (allowed(j) && z[j] < -EPS) { c = j; break; }
+      if (c < 0) return 'optimal';
+      let r = -1;
+      let best = Infinity;
+      for (let i = 0; i < m; i++) {
+        const a = T[i][c];
+        if (a <= EPS) continue;
+        const ratio = T[i][cols] / a;
+        if (ratio < best - EPS || (Math.abs(ratio - best) <= EPS && basis[i] < basis[r])) { best = ratio; r = i; }
+      }
+      if (r < 0) return 'unbounded';
+      pivot(z, r, c);
+    }
+  }
+
+  // Phase 1: minimise the sum of artificials
+  const phase1Cost = new Float64Array(cols);
+  for (let j = firstArt; j < cols; j++) phase1Cost[j] = 1;
+  let z = reducedCosts(phase1Cost);
+  let status = iterate(z, () => true);
+  if (status === 'iteration_limit') return { status };
+  const infeasibility = -z[cols];
+  if (infeasibility > 1e-7 * Math.max(1, ...rows.map(r => Math.abs(r.rhs)))) {
+    // y_i = c_unit − reduced cost of the unit column, mapped back to the
+    // row's original orientation
+    const certificate = [];
+    for (let i = 0; i < m; i++) {
+      let y = phase1Cost[unitCol(i)] - z[unitCol(i)];
+      if (flipped[i]) y = -y;
+      if (Math.abs(y) > 1e-7) certificate.push({ name: rows[i].name, index: i < model.constraints.length ? i : -1, multiplier: y });
+    }
+    return { status: 'infeasible', certificate, infeasibility };
+  }
+  // Drive any artificial still in the basis (at zero) out where possible
+  for (let i = 0; i < m; i++) {
+    if (basis[i] < firstArt) continue;
+    for (let j = 0; j < firstArt; j++) {
+      if (Math.abs(T[i][j]) > EPS) { pivot(z, i, j); break; }
+    }
+  }
+
+  // Phase 2: original objective; artificials may never re-enter
+  phase = 2;
+  const cost = new Float64Array(cols);
+  model.variables.forEach((v, j) => { cost[j] = v.cost || 0; });
+  z = reducedCosts(cost);
+  status = iterate(z, j => j < firstArt);
+  if (status !== 'optimal') return { status };
+
+  const x = new Array(n).fill(0);
+  for (let i = 0; i < m; i++) if (basis[i] < n) x[basis[i]] = T[i][cols];
+  const duals = model.constraints.map((_, i) => {
+    // Surplus columns are −e_i, so their reduced cost is +y_i
+    let y = slackCol[i] >= 0 && sense[i] === '>=' ? z[slackCol[i]] : -z[unitCol(i)];
+    if (flipped[i]) y = -y;
+    return Math.abs(y) < EPS ? 0 : y;
+  });
+  const objective = model.variables.reduce((acc, v, j) => acc + (v.cost || 0) * x[j], 0);
+  return { status: 'optimal', x, objective, duals };
+}
+
+/**
+ * Solve a mixed-integer program: `model` as for solveLP, with the variables
+ * listed in `integers` (indices) restricted to whole values.  Depth-first
+ * branch and bound on the most fractional variable, pruning nodes whose LP
+ * bound is no better than the incumbent.  Returns what solveLP returns for
+ * the best integer solution, plus `nodes` explored; a model whose LP
+ * relaxation is already infeasible returns that result with its certificate.
+ * A search cut short at `maxNodes` returns its best solution with
+ * `nodeLimit: true`; `unsolvedNodes` counts nodes whose LP stopped short of
+ * a verdict (iteration limit, unbounded), leaving their subtrees unexplored.
+ * Either way the solution is feasible, but not proven optimal.
+ * `duals` are those of the final LP, with the integers fixed by branching.
+ * `onProgress({ phase, iterations, nodes })` reports LP pivots and nodes.
+ */
+export function solveMIP(model, { integers = [], maxNodes = 2000, maxIterations, onProgress } = {}) {
+  let best = null;
+  let nodes = 0;
+  let unsolvedNodes = 0;
+  let unsolvedStatus = null;
+  const stack = [[]];
+  while (stack.length > 0) {
+    const branches = stack.pop();
+    if (++nodes > maxNodes) break;
+    const res = solveLP({ variables: model.variables, constraints: [...model.constraints, ...branches] }, {
+      maxIterations,
+      onProgress: onProgress && (p => onProgress({ ...p, nodes }))
+    });
+    if (res.status !== 'optimal') {
+      // Only the root relaxation decides whether the model itself is infeasible
+      if (nodes === 1) return { ...res, nodes };
+      if (res.status !== 'infeasible') {
+        unsolvedNodes++;
+        unsolvedStatus = res.status;
+      }
+      continue;
+    }
+    if (best && res.objective >= best.objective - 1e-7) continue;
+    let j = -1;
+    let frac = 1e-6;
+    for (const i of integers) {
+      const f = Math.abs(res.x[i] - Math.round(res.x[i]));
+      if (f > frac) { frac = f; j = i; }
+    }
+    if (j < 0) {
+      best = { ...res, x: res.x.map((v, i) => (integers.includes(i) ? Math.round(v) : v)), duals: res.duals.slice(0, model.constraints.length) };
+      continue;
+    }
+    const name = model.variables[j].name;
+    const down = { name: `branch:${name}≤${Math.floor(res.x[j])}`, terms: [[j, 1]], sense: '<=', rhs: Math.floor(res.x[j]) };
+    const up = { name: `branch:${name}≥${Math.ceil(res.x[j])}`, terms: [[j, 1]], sense: '>=', rhs: Math.ceil(res.x[j]) };
+    // Explore the side nearer the LP value first
+    if (res.x[j] - Math.floor(res.x[j]) >= 0.5) stack.push([...branches, down], [...branches, up]);
+    else stack.push([...branches, up], [...branches, down]);
+  }
+  if (!best) return { status: nodes > maxNodes ? 'node_limit' : unsolvedStatus ?? 'infeasible', certificate: [], nodes, unsolvedNodes };
+  return { ...best, status: 'optimal', nodes, nodeLimit: nodes > maxNodes, unsolvedNodes };
+}